@@ -0,0 +1,223 @@
+/**
+ * Calendar Service
+ * iCalendar export of single events and tokenized per-user feeds of
+ * everything a user is attending
+ */
+
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+const DatabaseManager = require('../config/database');
+const EventService = require('./EventService');
+const RSVPService = require('./RSVPService');
+const RecurrenceService = require('./RecurrenceService');
+const MailService = require('./MailService');
+const { buildEvent, buildCalendar } = require('../utils/ical');
+const { toOccurrenceKey, fromOccurrenceKey } = require('../utils/recurrence');
+
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'eventhub';
+
+// How often subscribed clients are asked to refresh a feed
+const FEED_REFRESH_INTERVAL = process.env.CALENDAR_REFRESH_INTERVAL || 'PT1H';
+
+class CalendarService {
+  get calendarFeeds() {
+    return DatabaseManager.getRepository('calendarFeeds');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Stable UID for an event, or for one occurrence of a series. Occurrences
+   * moved to a new series by a split keep the UID they had before it.
+   */
+  uidFor(event, occurrenceId = null) {
+    if (!occurrenceId) {
+      return `event-${event.id}@${UID_DOMAIN}`;
+    }
+
+    const origin = event.uidOrigin || { id: event.id, shift: 0 };
+    const originalKey = toOccurrenceKey(new Date(fromOccurrenceKey(occurrenceId).getTime() - origin.shift));
+    return `event-${origin.id}-${originalKey}@${UID_DOMAIN}`;
+  }
+
+  /**
+   * A one-off event or a single occurrence as a standalone VEVENT
+   */
+  toVEvent(event, { cancelled = false } = {}) {
+    return buildEvent({
+      uid: this.uidFor(event, event.occurrenceId),
+      sequence: event.sequence || 0,
+      start: event.date,
+      title: event.title,
+      description: event.description,
+      location: event.location,
+      latitude: event.coordinates ? event.coordinates.latitude : undefined,
+      longitude: event.coordinates ? event.coordinates.longitude : undefined,
+      url: MailService.buildClientUrl(`/events/${event.id}`),
+      created: event.createdAt,
+      status: cancelled || event.cancelled || event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'
+    });
+  }
+
+  /**
+   * A series as its master VEVENT with RRULE and EXDATE, plus one VEVENT
+   * per occurrence that differs from the series
+   */
+  toSeriesVEvents(series) {
+    const exdates = [...(series.recurrence.exdates || [])];
+    const overridden = [];
+
+    Object.entries(series.occurrences || {}).forEach(([key, occurrence]) => {
+      if (occurrence.cancelled) {
+        exdates.push(key);
+      } else if (occurrence.overrides && Object.keys(occurrence.overrides).length > 0) {
+        overridden.push(key);
+      }
+    });
+
+    const master = buildEvent({
+      uid: this.uidFor(series),
+      sequence: series.sequence || 0,
+      start: series.date,
+      rrule: series.recurrence.rule,
+      exdates: exdates.sort().map(fromOccurrenceKey),
+      title: series.title,
+      description: series.description,
+      location: series.location,
+      latitude: series.coordinates ? series.coordinates.latitude : undefined,
+      longitude: series.coordinates ? series.coordinates.longitude : undefined,
+      url: MailService.buildClientUrl(`/events/${series.id}`),
+      created: series.createdAt,
+      status: series.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'
+    });
+
+    const instances = overridden.map(key => {
+      const instance = RecurrenceService.toInstance(series, key);
+      return buildEvent({
+        uid: this.uidFor(series),
+        recurrenceId: fromOccurrenceKey(key),
+        sequence: instance.sequence,
+        start: instance.date,
+        title: instance.title,
+        description: instance.description,
+        location: instance.location,
+        url: MailService.buildClientUrl(`/events/${series.id}`),
+        created: series.createdAt
+      });
+    });
+
+    return [master, ...instances];
+  }
+
+  /**
+   * iCalendar for one event, a whole series, or one occurrence of it
+   */
+  async getEventCalendar(eventId, occurrenceId = null, user = null) {
+    try {
+      const result = await EventService.getEventById(eventId, occurrenceId, user);
+
+      if (!result.success) {
+        return result;
+      }
+
+      const event = result.event;
+      const vevents = RecurrenceService.isRecurring(event) && !occurrenceId
+        ? this.toSeriesVEvents(event)
+        : [this.toVEvent(event)];
+
+      return { success: true, calendar: buildCalendar(vevents) };
+    } catch (error) {
+      Logger.error('Error exporting event calendar', error);
+      return { success: false, error: 'Failed to export event' };
+    }
+  }
+
+  /**
+   * Issue a new feed token for the user. Only the most recent token
+   * works, so this also revokes a leaked feed URL.
+   */
+  async issueFeedToken(userId) {
+    try {
+      await this.calendarFeeds.deleteMany({ userId });
+
+      const token = crypto.randomBytes(24).toString('hex');
+      await this.calendarFeeds.insert({
+        userId,
+        tokenHash: this.hashToken(token),
+        createdAt: new Date().toISOString()
+      });
+
+      Logger.info(`Calendar feed issued for user ${userId}`);
+      return { success: true, token };
+    } catch (error) {
+      Logger.error('Error issuing calendar feed', error);
+      return { success: false, error: 'Failed to create calendar feed' };
+    }
+  }
+
+  async revokeFeed(userId) {
+    try {
+      const removed = await this.calendarFeeds.deleteMany({ userId });
+
+      if (removed === 0) {
+        return { success: false, error: 'No calendar feed found' };
+      }
+
+      Logger.info(`Calendar feed revoked for user ${userId}`);
+      return { success: true, message: 'Calendar feed revoked' };
+    } catch (error) {
+      Logger.error('Error revoking calendar feed', error);
+      return { success: false, error: 'Failed to revoke calendar feed' };
+    }
+  }
+
+  /**
+   * The feed behind a token: every event or occurrence the user is
+   * attending, plus upcoming ones the organizer cancelled, marked
+   * CANCELLED so subscribed clients remove them
+   */
+  async getFeed(token) {
+    try {
+      const feed = await this.calendarFeeds.findOne({ tokenHash: this.hashToken(String(token)) });
+
+      if (!feed) {
+        return { success: false, error: 'Calendar feed not found' };
+      }
+
+      const [attending, cancellations] = await Promise.all([
+        RSVPService.getUserRSVPs(feed.userId),
+        RSVPService.getUserCancellations(feed.userId)
+      ]);
+
+      if (!attending.success || !cancellations.success) {
+        return { success: false, error: 'Failed to build calendar feed' };
+      }
+
+      const seen = new Set();
+      const vevents = [];
+      attending.events.forEach(event => {
+        seen.add(this.uidFor(event, event.occurrenceId));
+        vevents.push(this.toVEvent(event));
+      });
+      cancellations.events.forEach(event => {
+        const uid = this.uidFor(event, event.occurrenceId);
+        if (!seen.has(uid)) {
+          seen.add(uid);
+          vevents.push(this.toVEvent(event, { cancelled: true }));
+        }
+      });
+
+      return {
+        success: true,
+        calendar: buildCalendar(vevents, { name: 'EventHub', refreshInterval: FEED_REFRESH_INTERVAL })
+      };
+    } catch (error) {
+      Logger.error('Error building calendar feed', error);
+      return { success: false, error: 'Failed to build calendar feed' };
+    }
+  }
+}
+
+module.exports = new CalendarService();
@@ -1,213 +1,1142 @@
-/**
- * Event Service
- * Business logic for event management
- */
-
-const Logger = require('../utils/logger');
-const Validators = require('../utils/validators');
-
-class EventService {
-  constructor() {
-    this.events = this.initializeDefaultEvents();
-    this.nextEventId = 3;
-  }
-
-  initializeDefaultEvents() {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(14, 0, 0, 0);
-
-    const nextWeek = new Date();
-    nextWeek.setDate(nextWeek.getDate() + 7);
-    nextWeek.setHours(18, 30, 0, 0);
-
-    return [
-      {
-        id: 1,
-        title: 'Tech Conference 2024',
-        description: 'Join us for an exciting technology conference featuring the latest innovations in web development, AI, and cloud computing. Network with industry professionals and learn from expert speakers.',
-        date: tomorrow.toISOString(),
-        location: 'Convention Center, Downtown',
-        capacity: 150,
-        currentAttendees: 23,
-        creator: 'admin',
-        creatorName: 'Event Admin',
-        attendees: [],
-        createdAt: new Date().toISOString()
-      },
-      {
-        id: 2,
-        title: 'Community Meetup',
-        description: 'Monthly community meetup for developers and tech enthusiasts. Come share your projects, learn new skills, and connect with like-minded people in a casual environment.',
-        date: nextWeek.toISOString(),
-        location: 'Community Center, Main Street',
-        capacity: 50,
-        currentAttendees: 12,
-        creator: 'admin',
-        creatorName: 'Event Admin',
-        attendees: [],
-        createdAt: new Date().toISOString()
-      }
-    ];
-  }
-
-  getAllEvents(filters = {}) {
-    try {
-      let filteredEvents = [...this.events];
-
-      // Filter by search term
-      if (filters.search) {
-        const searchTerm = filters.search.toLowerCase();
-        filteredEvents = filteredEvents.filter(event =>
-          event.title.toLowerCase().includes(searchTerm) ||
-          event.description.toLowerCase().includes(searchTerm) ||
-          event.location.toLowerCase().includes(searchTerm)
-        );
-      }
-
-      // Filter future events only
-      filteredEvents = filteredEvents.filter(event => new Date(event.date) > new Date());
-
-      Logger.info(`Retrieved ${filteredEvents.length} events`);
-      return { success: true, events: filteredEvents };
-    } catch (error) {
-      Logger.error('Error retrieving events', error);
-      return { success: false, error: 'Failed to retrieve events' };
-    }
-  }
-
-  getEventById(eventId) {
-    try {
-      const event = this.events.find(e => e.id === parseInt(eventId));
-      
-      if (!event) {
-        return { success: false, error: 'Event not found' };
-      }
-
-      // Format for frontend compatibility
-      const formattedEvent = {
-        ...event,
-        _id: event.id,
-        creator: {
-          _id: event.creator,
-          name: event.creatorName || 'Event Admin',
-          email: 'admin@example.com'
-        }
-      };
-
-      Logger.info(`Retrieved event: ${event.title}`);
-      return { success: true, event: formattedEvent };
-    } catch (error) {
-      Logger.error('Error retrieving event', error);
-      return { success: false, error: 'Failed to retrieve event' };
-    }
-  }
-
-  createEvent(eventData, userId) {
-    try {
-      const validation = Validators.validateEventData(eventData);
-      
-      if (!validation.isValid) {
-        return { success: false, errors: validation.errors };
-      }
-
-      const newEvent = {
-        id: this.nextEventId++,
-        title: Validators.sanitizeString(eventData.title),
-        description: Validators.sanitizeString(eventData.description),
-        date: eventData.date,
-        location: Validators.sanitizeString(eventData.location),
-        capacity: parseInt(eventData.capacity),
-        currentAttendees: 0,
-        creator: userId,
-        creatorName: 'User',
-        attendees: [],
-        createdAt: new Date().toISOString()
-      };
-
-      this.events.push(newEvent);
-      Logger.info(`Event created: ${newEvent.title} by user ${userId}`);
-      
-      return { success: true, event: newEvent };
-    } catch (error) {
-      Logger.error('Error creating event', error);
-      return { success: false, error: 'Failed to create event' };
-    }
-  }
-
-  updateEvent(eventId, updateData, userId) {
-    try {
-      const eventIndex = this.events.findIndex(e => e.id === parseInt(eventId));
-      
-      if (eventIndex === -1) {
-        return { success: false, error: 'Event not found' };
-      }
-
-      const event = this.events[eventIndex];
-      
-      if (event.creator !== userId) {
-        return { success: false, error: 'Not authorized to update this event' };
-      }
-
-      // Validate updates
-      if (updateData.capacity && updateData.capacity < event.currentAttendees) {
-        return { 
-          success: false, 
-          error: `Cannot reduce capacity below current attendees (${event.currentAttendees})` 
-        };
-      }
-
-      // Apply updates
-      Object.keys(updateData).forEach(key => {
-        if (updateData[key] !== undefined) {
-          event[key] = typeof updateData[key] === 'string' 
-            ? Validators.sanitizeString(updateData[key]) 
-            : updateData[key];
-        }
-      });
-
-      Logger.info(`Event updated: ${event.title}`);
-      return { success: true, event };
-    } catch (error) {
-      Logger.error('Error updating event', error);
-      return { success: false, error: 'Failed to update event' };
-    }
-  }
-
-  deleteEvent(eventId, userId) {
-    try {
-      const eventIndex = this.events.findIndex(e => e.id === parseInt(eventId));
-      
-      if (eventIndex === -1) {
-        return { success: false, error: 'Event not found' };
-      }
-
-      const event = this.events[eventIndex];
-      
-      if (event.creator !== userId) {
-        return { success: false, error: 'Not authorized to delete this event' };
-      }
-
-      this.events.splice(eventIndex, 1);
-      Logger.info(`Event deleted: ${event.title}`);
-      
-      return { success: true, message: 'Event deleted successfully' };
-    } catch (error) {
-      Logger.error('Error deleting event', error);
-      return { success: false, error: 'Failed to delete event' };
-    }
-  }
-
-  getUserEvents(userId) {
-    try {
-      const userEvents = this.events.filter(e => e.creator === userId);
-      Logger.info(`Retrieved ${userEvents.length} events for user ${userId}`);
-      return { success: true, events: userEvents };
-    } catch (error) {
-      Logger.error('Error retrieving user events', error);
-      return { success: false, error: 'Failed to retrieve user events' };
-    }
-  }
-}
-
-module.exports = new EventService();
\ No newline at end of file
+/**
+ * Event Service
+ * Business logic for event management
+ */
+
+const Logger = require('../utils/logger');
+const Validators = require('../utils/validators');
+const DatabaseManager = require('../config/database');
+const WaitlistService = require('./WaitlistService');
+const RecurrenceService = require('./RecurrenceService');
+const NotificationService = require('./NotificationService');
+const ReminderService = require('./ReminderService');
+const WebhookService = require('./WebhookService');
+const { canManageEvent } = require('../utils/roles');
+const { CATEGORIES, isValidCategory, normalizeTags } = require('../utils/categories');
+const SearchIndex = require('../utils/searchIndex');
+const { EARTH_RADIUS_KM, distanceKm, toGeoPoint, parseGeoQuery } = require('../utils/geo');
+const { fromOccurrenceKey } = require('../utils/recurrence');
+const { normalizeTicketTypes, hasTicketTypes, saleError } = require('../utils/tickets');
+const { statusOf, isOpen, isFinal, transitionError } = require('../utils/lifecycle');
+const { FIELD_LABELS } = require('../utils/notificationTemplates');
+
+// Fields organizers may change through updateEvent
+const EDITABLE_FIELDS = ['title', 'description', 'date', 'location', 'capacity', 'category', 'tags', 'coordinates', 'recurrence', 'ticketTypes', 'maxGuests'];
+
+// Fields that can differ for a single occurrence of a series
+const OCCURRENCE_FIELDS = ['title', 'description', 'location', 'date', 'capacity'];
+
+const OCCURRENCE_SCOPES = ['this', 'following'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const remainingSeats = (event) => event.capacity - event.currentAttendees;
+
+const isHasSeatsFilter = (filters) => filters.hasSeats === 'true' || filters.hasSeats === true;
+
+// Sort keys accepted by getAllEvents; those with a stored `field` can be
+// sorted by the repository
+const SORT_FIELDS = {
+  date: { field: 'date', value: event => event.date, defaultOrder: 'asc' },
+  created: { field: 'createdAt', value: event => event.createdAt, defaultOrder: 'desc' },
+  popularity: { field: 'currentAttendees', value: event => event.currentAttendees, defaultOrder: 'desc' },
+  seats: { value: remainingSeats, defaultOrder: 'desc' },
+  relevance: { value: event => event.score || 0, defaultOrder: 'desc' },
+  distance: { value: event => event.distance, defaultOrder: 'asc' }
+};
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Comparator for `sortField`; ties are broken by id and then date, the
+ * same order the repository gives with { [field]: direction, id: 1 }
+ */
+const compareEvents = (sortField, direction) => (a, b) => {
+  const valueA = sortField.value(a);
+  const valueB = sortField.value(b);
+  if (valueA !== valueB) {
+    return (valueA < valueB ? -1 : 1) * direction;
+  }
+  // Stable order across pages for equal sort values
+  return a.id - b.id || (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+};
+
+class EventService {
+  constructor() {
+    this.searchIndex = new SearchIndex();
+  }
+
+  get events() {
+    return DatabaseManager.getRepository('events');
+  }
+
+  get rsvps() {
+    return DatabaseManager.getRepository('rsvps');
+  }
+
+  /**
+   * Ensure the geospatial index, seed the demo events when running on an
+   * empty in-memory store, then build the search index from whichever
+   * backend is active
+   */
+  async initialize() {
+    await this.events.createIndex({ geo: '2dsphere' });
+
+    if (!DatabaseManager.getConnectionStatus() && await this.events.count() === 0) {
+      for (const event of this.initializeDefaultEvents()) {
+        await this.events.insert(event);
+      }
+    }
+
+    await this.rebuildSearchIndex();
+  }
+
+  /**
+   * Store coordinates as given plus a GeoJSON point for geo queries;
+   * null clears both
+   */
+  buildCoordinates(coordinates) {
+    if (coordinates === undefined) {
+      return {};
+    }
+    if (coordinates === null) {
+      return { coordinates: null, geo: null };
+    }
+
+    const { latitude, longitude } = coordinates;
+    return { coordinates: { latitude, longitude }, geo: toGeoPoint({ latitude, longitude }) };
+  }
+
+  async rebuildSearchIndex() {
+    this.searchIndex.clear();
+    (await this.events.find({})).forEach(event => this.searchIndex.add(event));
+    Logger.info(`Search index built with ${this.searchIndex.size} events`);
+  }
+
+  initializeDefaultEvents() {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(14, 0, 0, 0);
+
+    const nextWeek = new Date();
+    nextWeek.setDate(nextWeek.getDate() + 7);
+    nextWeek.setHours(18, 30, 0, 0);
+
+    return [
+      {
+        id: 1,
+        title: 'Tech Conference 2024',
+        description: 'Join us for an exciting technology conference featuring the latest innovations in web development, AI, and cloud computing. Network with industry professionals and learn from expert speakers.',
+        date: tomorrow.toISOString(),
+        location: 'Convention Center, Downtown',
+        capacity: 150,
+        category: 'conference',
+        tags: ['web', 'ai', 'cloud'],
+        status: 'published',
+        currentAttendees: 23,
+        creator: 'admin',
+        creatorName: 'Event Admin',
+        attendees: [],
+        waitlist: [],
+        createdAt: new Date().toISOString()
+      },
+      {
+        id: 2,
+        title: 'Community Meetup',
+        description: 'Monthly community meetup for developers and tech enthusiasts. Come share your projects, learn new skills, and connect with like-minded people in a casual environment.',
+        date: nextWeek.toISOString(),
+        location: 'Community Center, Main Street',
+        capacity: 50,
+        category: 'meetup',
+        tags: ['networking', 'web'],
+        recurrence: { rule: 'FREQ=MONTHLY', exdates: [], end: null },
+        occurrences: {},
+        status: 'published',
+        currentAttendees: 0,
+        creator: 'admin',
+        creatorName: 'Event Admin',
+        attendees: [],
+        waitlist: [],
+        createdAt: new Date().toISOString()
+      }
+    ];
+  }
+
+  /**
+   * Build the repository query for the list filters.
+   * Returns { query, window } or { error } for malformed input; recurring
+   * series are matched whole and expanded over `window` afterwards.
+   */
+  buildQuery(filters = {}) {
+    const from = filters.from ? new Date(filters.from) : new Date();
+    const to = filters.to ? new Date(filters.to) : null;
+
+    if (isNaN(from) || (to && isNaN(to))) {
+      return { error: 'Invalid date range' };
+    }
+
+    // Upcoming events by default; an explicit `from` widens the range
+    const date = { [filters.from ? '$gte' : '$gt']: from.toISOString() };
+    if (to) {
+      date.$lte = to.toISOString();
+    }
+
+    // Series that start before the window ends and have not finished before it starts
+    const series = {
+      'recurrence.rule': { $exists: true },
+      $or: [{ 'recurrence.end': null }, { 'recurrence.end': { $gte: from.toISOString() } }]
+    };
+    if (to) {
+      series.date = { $lte: to.toISOString() };
+    }
+
+    const query = {
+      $or: [{ date, 'recurrence.rule': { $exists: false } }, series],
+      // Drafts are not public yet and cancelled events are not happening
+      status: { $nin: ['draft', 'cancelled'] }
+    };
+
+    // Full-text search narrows the query to the index hits
+    let hits = null;
+    if (filters.search) {
+      hits = this.searchIndex.search(String(filters.search));
+      query.id = { $in: [...hits.keys()] };
+    }
+
+    if (filters.location) {
+      query.location = { $regex: escapeRegex(String(filters.location)), $options: 'i' };
+    }
+
+    if (filters.creator !== undefined && filters.creator !== '') {
+      // Seeded events use string creators, everything else numeric user ids
+      const creatorId = Number(filters.creator);
+      query.creator = isNaN(creatorId) ? String(filters.creator) : creatorId;
+    }
+
+    if (filters.category) {
+      if (!isValidCategory(filters.category)) {
+        return { error: `Invalid category. Use one of: ${CATEGORIES.join(', ')}` };
+      }
+      query.category = filters.category;
+    }
+
+    const conditions = [];
+
+    // Comma-separated tags; events must carry every one of them
+    if (filters.tag) {
+      normalizeTags(String(filters.tag).split(',')).forEach(tag => conditions.push({ tags: tag }));
+    }
+
+    const geo = parseGeoQuery(filters);
+    if (geo.error) {
+      return { error: geo.error };
+    }
+
+    if (geo.radiusKm) {
+      query.geo = { $geoWithin: { $centerSphere: [geo.origin, geo.radiusKm / EARTH_RADIUS_KM] } };
+    }
+
+    if (geo.bbox) {
+      const { minLng, minLat, maxLng, maxLat } = geo.bbox;
+      conditions.push({ 'geo.coordinates.1': { $gte: minLat, $lte: maxLat } });
+      conditions.push(minLng <= maxLng
+        ? { 'geo.coordinates.0': { $gte: minLng, $lte: maxLng } }
+        : { $or: [{ 'geo.coordinates.0': { $gte: minLng } }, { 'geo.coordinates.0': { $lte: maxLng } }] });
+    }
+
+    if (conditions.length > 0) {
+      query.$and = conditions;
+    }
+
+    const window = { from, to: to || new Date(from.getTime() + RecurrenceService.windowDays * DAY_MS) };
+
+    return { query, hits, origin: geo.origin, window };
+  }
+
+  async findMatching(filters = {}) {
+    const { query, hits, origin, window, error } = this.buildQuery(filters);
+
+    if (error) {
+      return { error };
+    }
+
+    let events = (await this.events.find(query)).flatMap(event => (RecurrenceService.isRecurring(event)
+      ? RecurrenceService.expandSeries(event, window.from, window.to)
+      : [event]));
+
+    if (hits) {
+      events.forEach(event => {
+        event.score = hits.get(event.id).score;
+      });
+    }
+
+    if (origin) {
+      events.forEach(event => {
+        event.distance = Math.round(distanceKm(origin, event.geo.coordinates) * 100) / 100;
+      });
+    }
+
+    // Remaining seats is derived, so this filter runs in process
+    if (isHasSeatsFilter(filters)) {
+      events = events.filter(event => remainingSeats(event) > 0);
+    }
+
+    return { events, hits };
+  }
+
+  /**
+   * One page of matches sorted by a stored field. One-off events are
+   * sorted and paged by the repository. Matching series are expanded here
+   * and merged in; the page can then hold occurrences, so one-off events up
+   * to the end of the page are read instead of the page alone.
+   */
+  async findPage(filters, sortField, direction, { page, limit }) {
+    const { query, hits, origin, window, error } = this.buildQuery(filters);
+
+    if (error) {
+      return { error };
+    }
+
+    const { $or: [oneOffs, series], ...common } = query;
+    const oneOffQuery = { ...common, ...oneOffs };
+    const sort = { [sortField.field]: direction, id: 1 };
+
+    const occurrences = (await this.events.find({ ...common, ...series }))
+      .flatMap(event => RecurrenceService.expandSeries(event, window.from, window.to));
+    const total = await this.events.count(oneOffQuery) + occurrences.length;
+
+    let events;
+    if (occurrences.length === 0) {
+      events = await this.events.find(oneOffQuery, { sort, skip: (page - 1) * limit, limit });
+    } else {
+      events = [...await this.events.find(oneOffQuery, { sort, limit: page * limit }), ...occurrences]
+        .sort(compareEvents(sortField, direction))
+        .slice((page - 1) * limit, page * limit);
+    }
+
+    if (hits) {
+      events.forEach(event => {
+        event.score = hits.get(event.id).score;
+      });
+    }
+
+    if (origin) {
+      events.forEach(event => {
+        event.distance = Math.round(distanceKm(origin, event.geo.coordinates) * 100) / 100;
+      });
+    }
+
+    return { events, total, hits };
+  }
+
+  /**
+   * List events with filters, sorting and page-based pagination.
+   * Filters: search, from, to, location, creator, category, tag, hasSeats,
+   * lat/lng/radius and bbox.
+   * Sorting: sortBy (relevance, distance, date, created, popularity, seats)
+   * and order (asc, desc). Searches sort by relevance and geo queries by
+   * distance unless told otherwise. Recurring events are listed once per
+   * occurrence in the window (`to`, or RECURRENCE_WINDOW_DAYS after `from`).
+   */
+  async getAllEvents(filters = {}) {
+    try {
+      const isGeoQuery = filters.lat !== undefined || filters.lng !== undefined || !!filters.bbox;
+      const sortBy = filters.sortBy || (filters.search ? 'relevance' : isGeoQuery ? 'distance' : 'date');
+      const sortField = SORT_FIELDS[sortBy];
+
+      if (!sortField) {
+        return { success: false, error: `Invalid sortBy. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+      }
+
+      if (filters.order && !['asc', 'desc'].includes(filters.order)) {
+        return { success: false, error: 'Invalid order. Use asc or desc' };
+      }
+
+      const direction = (filters.order || sortField.defaultOrder) === 'desc' ? -1 : 1;
+      const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const page = Math.max(parseInt(filters.page) || 1, 1);
+
+      // Relevance, distance and seats are computed per event, so those
+      // sorts and the seats filter need every match in process
+      let pageEvents;
+      let total;
+      let hits;
+      if (sortField.field && !isHasSeatsFilter(filters)) {
+        const found = await this.findPage(filters, sortField, direction, { page, limit });
+        if (found.error) {
+          return { success: false, error: found.error };
+        }
+        ({ events: pageEvents, total, hits } = found);
+      } else {
+        const found = await this.findMatching(filters);
+        if (found.error) {
+          return { success: false, error: found.error };
+        }
+        const events = found.events.sort(compareEvents(sortField, direction));
+        pageEvents = events.slice((page - 1) * limit, page * limit);
+        total = events.length;
+        hits = found.hits;
+      }
+
+      const totalPages = Math.ceil(total / limit);
+
+      if (hits) {
+        pageEvents.forEach(event => {
+          event.highlights = this.searchIndex.highlight(event, hits.get(event.id).terms);
+        });
+      }
+
+      Logger.info(`Retrieved ${pageEvents.length} of ${total} events`);
+      return {
+        success: true,
+        events: pageEvents,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+    } catch (error) {
+      Logger.error('Error retrieving events', error);
+      return { success: false, error: 'Failed to retrieve events' };
+    }
+  }
+
+  /**
+   * Counts per category and tag for the current filter. Category counts
+   * ignore the category filter itself so the UI can offer alternatives.
+   */
+  async getFacets(filters = {}) {
+    try {
+      const { category, ...otherFilters } = filters;
+
+      const [withoutCategory, matching] = await Promise.all([
+        this.findMatching(otherFilters),
+        this.findMatching(filters)
+      ]);
+
+      const error = withoutCategory.error || matching.error;
+      if (error) {
+        return { success: false, error };
+      }
+
+      const categories = Object.fromEntries(CATEGORIES.map(name => [name, 0]));
+      withoutCategory.events.forEach(event => {
+        if (event.category) {
+          categories[event.category] = (categories[event.category] || 0) + 1;
+        }
+      });
+
+      const tags = {};
+      matching.events.forEach(event => {
+        (event.tags || []).forEach(tag => {
+          tags[tag] = (tags[tag] || 0) + 1;
+        });
+      });
+
+      return {
+        success: true,
+        total: matching.events.length,
+        facets: { categories, tags }
+      };
+    } catch (error) {
+      Logger.error('Error computing event facets', error);
+      return { success: false, error: 'Failed to compute facets' };
+    }
+  }
+
+  formatEvent(event) {
+    // Format for frontend compatibility
+    return {
+      ...event,
+      _id: event.id,
+      status: statusOf(event),
+      creator: {
+        _id: event.creator,
+        name: event.creatorName || 'Event Admin',
+        email: 'admin@example.com'
+      },
+      ...(hasTicketTypes(event) ? { ticketTypes: this.formatTicketTypes(event) } : {})
+    };
+  }
+
+  /**
+   * Public ticket tiers with what is left of each. A series has no counts
+   * of its own; they are per occurrence.
+   */
+  formatTicketTypes(event) {
+    const counted = !RecurrenceService.isRecurring(event) || !!event.occurrenceId;
+    const counts = event.ticketCounts || {};
+
+    return event.ticketTypes
+      .filter(type => type.visibility === 'public')
+      .map(type => ({
+        ...type,
+        onSale: !saleError(type),
+        ...(counted ? { sold: counts[type.id] || 0, remaining: Math.max(type.capacity - (counts[type.id] || 0), 0) } : {})
+      }));
+  }
+
+  /**
+   * A one-off event or whole series, or with `occurrenceId` a single
+   * occurrence of a series. Drafts are only shown to `user` when they may
+   * manage them.
+   */
+  async getEventById(eventId, occurrenceId = null, user = null) {
+    try {
+      const event = await this.events.findById(parseInt(eventId));
+      
+      if (!event || !this.isVisibleTo(event, user)) {
+        return { success: false, error: 'Event not found' };
+      }
+
+      if (occurrenceId) {
+        if (!RecurrenceService.isRecurring(event) || !RecurrenceService.hasOccurrence(event, occurrenceId)) {
+          return { success: false, error: 'Occurrence not found' };
+        }
+
+        return { success: true, event: this.formatEvent(RecurrenceService.toInstance(event, occurrenceId)) };
+      }
+
+      Logger.info(`Retrieved event: ${event.title}`);
+      return { success: true, event: this.formatEvent(event) };
+    } catch (error) {
+      Logger.error('Error retrieving event', error);
+      return { success: false, error: 'Failed to retrieve event' };
+    }
+  }
+
+  // Drafts are hidden from everyone but their creator and admins
+  isVisibleTo(event, user) {
+    return statusOf(event) !== 'draft' || canManageEvent(user, event.creator);
+  }
+
+  /**
+   * The stored form of validated event input
+   */
+  buildEventDocument(eventData, userId, creatorName) {
+    return {
+      title: Validators.sanitizeString(eventData.title),
+      description: Validators.sanitizeString(eventData.description),
+      date: new Date(eventData.date).toISOString(),
+      location: Validators.sanitizeString(eventData.location),
+      capacity: parseInt(eventData.capacity),
+      category: eventData.category || 'other',
+      tags: normalizeTags(eventData.tags || []),
+      ...this.buildCoordinates(eventData.coordinates),
+      ...(eventData.recurrence
+        ? { recurrence: RecurrenceService.normalize(eventData.recurrence, eventData.date), occurrences: {} }
+        : {}),
+      ...(eventData.ticketTypes && eventData.ticketTypes.length > 0
+        ? { ticketTypes: this.buildTicketTypes(eventData.ticketTypes), ticketCounts: {} }
+        : {}),
+      maxGuests: eventData.maxGuests || 0,
+      status: eventData.status || 'published',
+      currentAttendees: 0,
+      creator: userId,
+      creatorName,
+      attendees: [],
+      waitlist: [],
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  async createEvent(eventData, userId, creatorName = 'User') {
+    try {
+      const validation = Validators.validateEventData(eventData);
+      
+      if (!validation.isValid) {
+        return { success: false, errors: validation.errors };
+      }
+
+      const newEvent = await this.events.insert(this.buildEventDocument(eventData, userId, creatorName));
+
+      this.searchIndex.add(newEvent);
+      Logger.info(`Event created: ${newEvent.title} by user ${userId}`);
+      
+      return { success: true, event: newEvent };
+    } catch (error) {
+      Logger.error('Error creating event', error);
+      return { success: false, error: 'Failed to create event' };
+    }
+  }
+
+  async updateEvent(eventId, updateData, user) {
+    try {
+      const event = await this.events.findById(parseInt(eventId));
+      
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+
+      if (!canManageEvent(user, event.creator)) {
+        return { success: false, error: 'Not authorized to update this event' };
+      }
+
+      if (isFinal(event)) {
+        return { success: false, error: `This event is ${statusOf(event)} and can no longer be changed` };
+      }
+
+      // Validate updates
+      const fieldErrors = [
+        ...Validators.validateEventTaxonomy(updateData),
+        ...Validators.validateCoordinates(updateData.coordinates),
+        ...Validators.validateRecurrence(updateData.recurrence),
+        ...Validators.validateTicketTypes(updateData.ticketTypes),
+        ...Validators.validateMaxGuests(updateData.maxGuests)
+      ];
+      if (fieldErrors.length > 0) {
+        return { success: false, error: fieldErrors.join('. ') };
+      }
+
+      const isRecurring = RecurrenceService.isRecurring(event);
+      const attendeeCount = isRecurring
+        ? RecurrenceService.maxAttendeesAtSeriesCapacity(event)
+        : event.currentAttendees;
+
+      if (updateData.capacity && updateData.capacity < attendeeCount) {
+        return { 
+          success: false, 
+          error: `Cannot reduce capacity below current attendees (${attendeeCount})` 
+        };
+      }
+
+      // Occurrence keys are derived from the schedule, so it is fixed once people have signed up
+      const reschedules = updateData.date !== undefined || updateData.recurrence !== undefined;
+      const hasAttendance = isRecurring
+        ? RecurrenceService.hasActiveAttendance(event)
+        : updateData.recurrence && (event.currentAttendees > 0 || (event.waitlist || []).length > 0);
+      if (reschedules && hasAttendance) {
+        return {
+          success: false,
+          error: 'Cannot change the schedule of an event with RSVPs; edit this and following occurrences instead'
+        };
+      }
+
+      // Apply updates
+      const changes = this.buildChanges(updateData, EDITABLE_FIELDS);
+
+      if (changes.ticketTypes !== undefined) {
+        changes.ticketTypes = this.buildTicketTypes(changes.ticketTypes || [], event.ticketTypes);
+        const ticketError = await this.checkTicketTypeChange(event, changes.ticketTypes);
+        if (ticketError) {
+          return { success: false, error: ticketError };
+        }
+      }
+
+      if (reschedules && (isRecurring || changes.recurrence)) {
+        const recurrence = changes.recurrence !== undefined ? changes.recurrence : event.recurrence;
+        changes.recurrence = recurrence
+          ? RecurrenceService.normalize(recurrence, changes.date || event.date)
+          : null;
+        changes.occurrences = {};
+      }
+
+      // Re-check the attendee count in the same write, so an RSVP landing
+      // after the check above cannot leave the event overbooked
+      const filter = { id: event.id };
+      if (changes.capacity !== undefined) {
+        filter.currentAttendees = { $lte: changes.capacity };
+      }
+      if (changes.ticketTypes !== undefined && !isRecurring) {
+        // Tier counts move with the attendee count
+        filter.currentAttendees = event.currentAttendees;
+      }
+      if (isRecurring) {
+        // Any occurrence RSVP in between makes the checks above stale
+        filter.occurrences = event.occurrences === undefined ? { $exists: false } : event.occurrences;
+      }
+
+      // `sequence` tells calendar clients a newer version of the event exists
+      const updatedEvent = await this.events.updateOne(filter, { $set: changes, $inc: { sequence: 1 } });
+
+      if (!updatedEvent) {
+        const current = await this.events.findById(event.id);
+        return {
+          success: false,
+          error: !current ? 'Event not found'
+            : isRecurring || changes.ticketTypes !== undefined ? 'Event changed while updating, please try again'
+              : `Cannot reduce capacity below current attendees (${current.currentAttendees})`
+        };
+      }
+
+      this.searchIndex.add(updatedEvent);
+
+      const announced = this.announcedChanges(event, changes);
+      if (announced.length > 0) {
+        await NotificationService.notifyAudience('event.updated', updatedEvent, { details: { changes: announced } });
+      }
+      if (reschedules) {
+        ReminderService.reschedule();
+      }
+      const changed = this.changedFields(event, changes);
+      if (changed.length > 0) {
+        await WebhookService.publish('event.updated', updatedEvent, { changes: changed });
+      }
+
+      // New tiers or tier capacity may let waitlisted users in
+      const morePlaces = changes.capacity > event.capacity || changes.ticketTypes !== undefined;
+
+      if (isRecurring && morePlaces) {
+        await RecurrenceService.promoteAll(updatedEvent);
+        Logger.info(`Event updated: ${updatedEvent.title}`);
+        return { success: true, event: await this.events.findById(event.id) };
+      }
+
+      // Extra capacity goes to the waitlist first
+      if (morePlaces) {
+        const promoted = await WaitlistService.promote(event.id);
+        if (promoted.length > 0) {
+          Logger.info(`Event updated: ${updatedEvent.title}, promoted ${promoted.length} from the waitlist`);
+          return { success: true, event: await this.events.findById(event.id) };
+        }
+      }
+
+      Logger.info(`Event updated: ${updatedEvent.title}`);
+      return { success: true, event: updatedEvent };
+    } catch (error) {
+      Logger.error('Error updating event', error);
+      return { success: false, error: 'Failed to update event' };
+    }
+  }
+
+  buildTicketTypes(ticketTypes, existing = []) {
+    return normalizeTicketTypes(
+      ticketTypes.map(type => ({ ...type, name: Validators.sanitizeString(type.name) })),
+      existing
+    );
+  }
+
+  /**
+   * Why the event's tiers cannot be replaced by `ticketTypes`: a tier with
+   * sold tickets or a waitlist cannot be removed or shrunk below what it sold
+   */
+  async checkTicketTypeChange(event, ticketTypes) {
+    const slots = RecurrenceService.isRecurring(event)
+      ? Object.values(event.occurrences || {})
+      : [event];
+
+    for (const current of event.ticketTypes || []) {
+      const sold = Math.max(0, ...slots.map(slot => (slot.ticketCounts || {})[current.id] || 0));
+      const replacement = ticketTypes.find(type => type.id === current.id);
+
+      if (!replacement) {
+        const waiting = await this.rsvps.count({ eventId: event.id, status: 'waitlisted', ticketType: current.id });
+        if (sold > 0 || waiting > 0) {
+          return `Cannot remove ticket type ${current.name} while it has attendees or a waitlist`;
+        }
+      } else if (replacement.capacity < sold) {
+        return `Cannot reduce ${current.name} capacity below tickets sold (${sold})`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * The changes people who answered the event are told about, as
+   * { field, from, to }
+   */
+  announcedChanges(before, changes) {
+    return Object.keys(FIELD_LABELS)
+      .filter(field => changes[field] !== undefined && changes[field] !== before[field])
+      .map(field => ({ field, from: before[field], to: changes[field] }));
+  }
+
+  /**
+   * The editable fields `changes` gives a new value, as reported to webhooks
+   */
+  changedFields(before, changes) {
+    return Object.keys(changes)
+      .filter(field => EDITABLE_FIELDS.includes(field))
+      .filter(field => JSON.stringify(changes[field]) !== JSON.stringify(before[field]));
+  }
+
+  /**
+   * Sanitized values for the given fields of an update request
+   */
+  buildChanges(updateData, fields) {
+    const changes = {};
+    fields.forEach(key => {
+      if (updateData[key] !== undefined) {
+        changes[key] = typeof updateData[key] === 'string' 
+          ? Validators.sanitizeString(updateData[key]) 
+          : updateData[key];
+      }
+    });
+
+    if (changes.capacity !== undefined) {
+      changes.capacity = parseInt(changes.capacity);
+    }
+    if (changes.date !== undefined) {
+      changes.date = new Date(changes.date).toISOString();
+    }
+    if (changes.tags !== undefined) {
+      changes.tags = normalizeTags(changes.tags);
+    }
+    if (changes.coordinates !== undefined) {
+      Object.assign(changes, this.buildCoordinates(changes.coordinates));
+    }
+
+    return changes;
+  }
+
+  /**
+   * Occurrences of a series between `from` (default now) and `to`
+   * (default RECURRENCE_WINDOW_DAYS later), cancelled ones included
+   */
+  async getOccurrences(eventId, filters = {}, user = null) {
+    try {
+      const event = await this.events.findById(parseInt(eventId));
+
+      if (!event || !this.isVisibleTo(event, user)) {
+        return { success: false, error: 'Event not found' };
+      }
+
+      if (!RecurrenceService.isRecurring(event)) {
+        return { success: false, error: 'Event is not recurring' };
+      }
+
+      const from = filters.from ? new Date(filters.from) : new Date();
+      const to = filters.to ? new Date(filters.to) : new Date(from.getTime() + RecurrenceService.windowDays * DAY_MS);
+
+      if (isNaN(from) || isNaN(to)) {
+        return { success: false, error: 'Invalid date range' };
+      }
+
+      const limit = Math.min(Math.max(parseInt(filters.limit) || MAX_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const occurrences = RecurrenceService.expandSeries(event, from, to, { includeCancelled: true })
+        .slice(0, limit)
+        .map(occurrence => this.formatEvent(occurrence));
+
+      return { success: true, occurrences };
+    } catch (error) {
+      Logger.error('Error retrieving occurrences', error);
+      return { success: false, error: 'Failed to retrieve occurrences' };
+    }
+  }
+
+  /**
+   * Load a series and check the caller may change `occurrenceId` of it
+   */
+  async findOccurrenceForUpdate(eventId, occurrenceId, user, scope) {
+    const event = await this.events.findById(parseInt(eventId));
+
+    if (!event) {
+      return { error: 'Event not found' };
+    }
+
+    if (!canManageEvent(user, event.creator)) {
+      return { error: 'Not authorized to update this event' };
+    }
+
+    if (isFinal(event)) {
+      return { error: `This event is ${statusOf(event)} and can no longer be changed` };
+    }
+
+    if (!OCCURRENCE_SCOPES.includes(scope)) {
+      return { error: `Invalid scope. Use one of: ${OCCURRENCE_SCOPES.join(', ')}` };
+    }
+
+    if (!RecurrenceService.isRecurring(event) || !RecurrenceService.hasOccurrence(event, occurrenceId)) {
+      return { error: 'Occurrence not found' };
+    }
+
+    if (fromOccurrenceKey(occurrenceId) <= new Date()) {
+      return { error: 'Past occurrences cannot be changed' };
+    }
+
+    return { event };
+  }
+
+  /**
+   * Edit one occurrence (`scope` "this") or it and every later one
+   * ("following"), which splits the series in two
+   */
+  async updateOccurrence(eventId, occurrenceId, updateData, user, scope = 'this') {
+    try {
+      const { event, error } = await this.findOccurrenceForUpdate(eventId, occurrenceId, user, scope);
+
+      if (error) {
+        return { success: false, error };
+      }
+
+      // Schedule, ticket types and guest limits belong to the whole series
+      const fields = scope === 'this'
+        ? OCCURRENCE_FIELDS
+        : EDITABLE_FIELDS.filter(field => !['recurrence', 'ticketTypes', 'maxGuests'].includes(field));
+      const unsupported = Object.keys(updateData).filter(field => !fields.includes(field));
+      if (unsupported.length > 0) {
+        return { success: false, error: `Fields that cannot be changed with scope ${scope}: ${unsupported.join(', ')}` };
+      }
+
+      const fieldErrors = [
+        ...Validators.validateEventTaxonomy(updateData),
+        ...Validators.validateCoordinates(updateData.coordinates)
+      ];
+      if (updateData.date !== undefined && !(new Date(updateData.date) > new Date())) {
+        fieldErrors.push('Event date must be in the future');
+      }
+      if (updateData.capacity !== undefined && !(updateData.capacity >= 1 && updateData.capacity <= 10000)) {
+        fieldErrors.push('Capacity must be between 1 and 10,000');
+      }
+      if (fieldErrors.length > 0) {
+        return { success: false, error: fieldErrors.join('. ') };
+      }
+
+      const changes = this.buildChanges(updateData, fields);
+      if (Object.keys(changes).length === 0) {
+        return { success: false, error: 'No changes given' };
+      }
+
+      const instance = RecurrenceService.toInstance(event, occurrenceId);
+      const announced = this.announcedChanges(instance, changes);
+      const changed = this.changedFields(instance, changes);
+
+      if (scope === 'this') {
+        const result = await RecurrenceService.updateOccurrence(event, occurrenceId, changes);
+        if (!result.success) {
+          return result;
+        }
+
+        const updated = await this.events.findById(event.id);
+        if (announced.length > 0) {
+          await NotificationService.notifyAudience('event.updated', updated, {
+            occurrenceFilter: { occurrenceId },
+            details: { changes: announced }
+          });
+        }
+        if (changes.date !== undefined) {
+          ReminderService.reschedule();
+        }
+        if (changed.length > 0) {
+          await WebhookService.publish('event.updated', updated, { occurrenceId, changes: changed });
+        }
+        return result;
+      }
+
+      const result = await RecurrenceService.splitFollowing(event.id, occurrenceId, changes);
+      if (result.success) {
+        this.searchIndex.add(result.event);
+        // The RSVPs of the moved occurrences now belong to the new series
+        if (announced.length > 0) {
+          await NotificationService.notifyAudience('event.updated', result.event, { details: { changes: announced } });
+        }
+        if (changes.date !== undefined) {
+          ReminderService.reschedule();
+        }
+        if (changed.length > 0) {
+          await WebhookService.publish('event.updated', result.event, { changes: changed });
+        }
+      }
+
+      return result;
+    } catch (error) {
+      Logger.error('Error updating occurrence', error);
+      return { success: false, error: 'Failed to update occurrence' };
+    }
+  }
+
+  /**
+   * Cancel one occurrence (`scope` "this") or it and every later one
+   * ("following"); RSVPs for the cancelled occurrences are cancelled too
+   */
+  async cancelOccurrence(eventId, occurrenceId, user, scope = 'this') {
+    try {
+      const { event, error } = await this.findOccurrenceForUpdate(eventId, occurrenceId, user, scope);
+
+      if (error) {
+        return { success: false, error };
+      }
+
+      if (scope === 'this') {
+        const result = await RecurrenceService.cancelOccurrence(event, occurrenceId);
+        if (result.success) {
+          await WebhookService.publish('event.updated', await this.events.findById(event.id), {
+            occurrenceId,
+            changes: ['status']
+          });
+        }
+        return result;
+      }
+
+      // The series now ends before the cancelled occurrences
+      const result = await RecurrenceService.cancelFollowing(event.id, occurrenceId);
+      const series = result.success && await this.events.findById(event.id);
+      if (series) {
+        await WebhookService.publish('event.updated', series, { changes: ['recurrence'] });
+      }
+      return result;
+    } catch (error) {
+      Logger.error('Error cancelling occurrence', error);
+      return { success: false, error: 'Failed to cancel occurrence' };
+    }
+  }
+
+  /**
+   * Move an event to another lifecycle state. Publishing makes a draft
+   * public; postponing moves a one-off event to a later `date` and keeps
+   * its attendees; cancelling keeps the event but cancels its RSVPs and
+   * waitlist; completing closes an event that has taken place.
+   */
+  async changeStatus(eventId, user, status, { date } = {}) {
+    try {
+      const event = await this.events.findById(parseInt(eventId));
+
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+
+      if (!canManageEvent(user, event.creator)) {
+        return { success: false, error: 'Not authorized to update this event' };
+      }
+
+      const invalid = transitionError(event, status);
+      if (invalid) {
+        return { success: false, error: invalid };
+      }
+
+      const isRecurring = RecurrenceService.isRecurring(event);
+      const now = new Date();
+      const changes = { status };
+
+      if (status === 'published') {
+        const lastStart = isRecurring ? event.recurrence.end : event.date;
+        if (lastStart && new Date(lastStart) <= now) {
+          return { success: false, error: 'Cannot publish an event that is already over' };
+        }
+        changes.publishedAt = now.toISOString();
+      }
+
+      if (status === 'postponed') {
+        if (isRecurring) {
+          return { success: false, error: 'Move single occurrences of a recurring event instead' };
+        }
+        if (!date || isNaN(new Date(date))) {
+          return { success: false, error: 'A valid new date is required to postpone an event' };
+        }
+        if (new Date(date) <= now || new Date(date) <= new Date(event.date)) {
+          return { success: false, error: 'The new date must be in the future and later than the current one' };
+        }
+        changes.date = new Date(date).toISOString();
+        changes.originalDate = event.originalDate || event.date;
+        changes.postponedAt = now.toISOString();
+      }
+
+      if (status === 'cancelled') {
+        changes.cancelledAt = now.toISOString();
+        if (!isRecurring) {
+          Object.assign(changes, { currentAttendees: 0, attendees: [], waitlist: [], ticketCounts: {} });
+        }
+      }
+
+      if (status === 'completed') {
+        const lastStart = isRecurring ? event.recurrence.end : event.date;
+        if (!lastStart || new Date(lastStart) > now) {
+          return { success: false, error: 'Only events that have taken place can be completed' };
+        }
+        changes.completedAt = now.toISOString();
+      }
+
+      // Guard on the state we checked, so two changes cannot both apply
+      const updated = await this.events.updateOne(
+        { id: event.id, status: event.status === undefined ? { $exists: false } : event.status, date: event.date },
+        { $set: changes, $inc: { sequence: 1 } }
+      );
+
+      if (!updated) {
+        return { success: false, error: 'Event changed while updating, please try again' };
+      }
+
+      this.searchIndex.add(updated);
+
+      let cancelledRsvps = 0;
+      if (status === 'cancelled') {
+        cancelledRsvps = await RecurrenceService.cancelRsvps(event, {});
+      }
+      if (status === 'postponed') {
+        await NotificationService.notifyAudience('event.postponed', updated, { details: { previousDate: event.date } });
+        ReminderService.reschedule();
+      }
+      await WebhookService.publish('event.updated', updated, { changes: changes.date ? ['status', 'date'] : ['status'] });
+
+      Logger.info(`Event ${event.id} ${statusOf(event)} -> ${status} by user ${user.id}`);
+
+      return {
+        success: true,
+        message: `Event ${status}`,
+        event: this.formatEvent(updated),
+        ...(status === 'cancelled' ? { cancelledRsvps } : {})
+      };
+    } catch (error) {
+      Logger.error('Error changing event status', error);
+      return { success: false, error: 'Failed to change event status' };
+    }
+  }
+
+  async deleteEvent(eventId, user) {
+    try {
+      const event = await this.events.findById(parseInt(eventId));
+      
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+
+      if (!canManageEvent(user, event.creator)) {
+        return { success: false, error: 'Not authorized to delete this event' };
+      }
+
+      await this.events.deleteById(event.id);
+      this.searchIndex.remove(event.id);
+
+      // Nobody answered a draft, and a cancelled event has told everyone
+      // already. Told before the RSVPs close, while they still say who
+      // was going and who had declined.
+      if (isOpen(event)) {
+        await NotificationService.notifyAudience('event.cancelled', event);
+      }
+
+      // Close every answer, including interested, maybe and declined, and keep
+      // enough of the event for calendar feeds to show it as cancelled
+      const { attendees, waitlist, ...eventSnapshot } = event;
+      await this.rsvps.updateMany(
+        { eventId: event.id, status: { $ne: 'cancelled' } },
+        {
+          $set: {
+            status: 'cancelled',
+            cancelReason: 'event-deleted',
+            cancelledAt: new Date().toISOString(),
+            eventSnapshot: { ...eventSnapshot, sequence: (event.sequence || 0) + 1 }
+          }
+        }
+      );
+      await WebhookService.publish('event.deleted', event);
+
+      Logger.info(`Event deleted: ${event.title} by user ${user.id}`);
+      
+      return { success: true, message: 'Event deleted successfully' };
+    } catch (error) {
+      Logger.error('Error deleting event', error);
+      return { success: false, error: 'Failed to delete event' };
+    }
+  }
+
+  async getUserEvents(userId) {
+    try {
+      const userEvents = await this.events.find({ creator: userId }, { sort: { date: 1 } });
+      Logger.info(`Retrieved ${userEvents.length} events for user ${userId}`);
+      return { success: true, events: userEvents };
+    } catch (error) {
+      Logger.error('Error retrieving user events', error);
+      return { success: false, error: 'Failed to retrieve user events' };
+    }
+  }
+}
+
+module.exports = new EventService();
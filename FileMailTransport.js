@@ -0,0 +1,33 @@
+/**
+ * File Mail Transport
+ * Development/test transport that writes each message to disk and logs it
+ * instead of delivering it
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+
+class FileMailTransport {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail');
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = path.join(this.directory, `${messageId}.json`);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      messageId,
+      ...message,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+
+    Logger.info(`Mail to ${message.to}: ${message.subject}`, { file });
+    return { messageId };
+  }
+}
+
+module.exports = FileMailTransport;
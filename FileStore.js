@@ -0,0 +1,177 @@
+/**
+ * File Store
+ * Durable storage for the in-memory repositories. Every write is appended
+ * to a journal and fsync'd before the repository call returns; the journal
+ * is periodically folded into a snapshot. On startup the snapshot is loaded
+ * and the journal replayed on top of it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/logger');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.log';
+
+class FileStore {
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.snapshotIntervalMs = options.snapshotIntervalMs || 5 * 60 * 1000;
+    this.maxJournalEntries = options.maxJournalEntries || 1000;
+
+    // Collection name -> repository, or raw { documents, lastId } state
+    // for collections no repository has asked for yet
+    this.collections = new Map();
+    this.journalFd = null;
+    this.journalEntries = 0;
+    this.timer = null;
+  }
+
+  get snapshotPath() {
+    return path.join(this.directory, SNAPSHOT_FILE);
+  }
+
+  get journalPath() {
+    return path.join(this.directory, JOURNAL_FILE);
+  }
+
+  open() {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    this.loadSnapshot();
+    const replayed = this.replayJournal();
+
+    this.journalFd = fs.openSync(this.journalPath, 'a');
+
+    // Fold the replayed journal into a fresh snapshot; this also drops a
+    // torn trailing line so new entries are not appended after it
+    this.snapshot();
+
+    this.timer = setInterval(() => this.snapshot(), this.snapshotIntervalMs);
+    this.timer.unref();
+
+    Logger.info(`File store opened at ${this.directory}`, { replayedEntries: replayed });
+  }
+
+  loadSnapshot() {
+    if (!fs.existsSync(this.snapshotPath)) {
+      return;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+    Object.entries(data.collections || {}).forEach(([name, state]) => {
+      this.collections.set(name, { documents: state.documents || [], lastId: state.lastId || 0 });
+    });
+  }
+
+  replayJournal() {
+    if (!fs.existsSync(this.journalPath)) {
+      return 0;
+    }
+
+    const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n').filter(Boolean);
+    let replayed = 0;
+
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-append can leave a torn last line; nothing after it was acknowledged
+        Logger.warn('Ignoring incomplete journal entry');
+        break;
+      }
+      this.apply(entry);
+      replayed++;
+    }
+
+    return replayed;
+  }
+
+  getState(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, { documents: [], lastId: 0 });
+    }
+    return this.collections.get(name);
+  }
+
+  apply(entry) {
+    const state = this.getState(entry.collection);
+    const index = state.documents.findIndex(doc => doc.id === (entry.op === 'put' ? entry.doc.id : entry.id));
+
+    if (entry.op === 'put') {
+      if (index === -1) {
+        state.documents.push(entry.doc);
+      } else {
+        state.documents[index] = entry.doc;
+      }
+      if (typeof entry.doc.id === 'number') {
+        state.lastId = Math.max(state.lastId, entry.doc.id);
+      }
+    } else if (entry.op === 'delete' && index !== -1) {
+      state.documents.splice(index, 1);
+    }
+  }
+
+  /**
+   * Hand a repository the persisted state of its collection
+   */
+  attach(repository) {
+    const state = this.getState(repository.name);
+    repository.documents = state.documents;
+    repository.lastId = state.lastId;
+    this.collections.set(repository.name, repository);
+  }
+
+  record(entry) {
+    if (this.journalFd === null) {
+      throw new Error('File store is closed');
+    }
+
+    fs.writeSync(this.journalFd, JSON.stringify(entry) + '\n');
+    fs.fsyncSync(this.journalFd);
+
+    if (++this.journalEntries >= this.maxJournalEntries) {
+      this.snapshot();
+    }
+  }
+
+  snapshot() {
+    if (this.journalFd === null) {
+      return;
+    }
+
+    const collections = {};
+    this.collections.forEach((state, name) => {
+      collections[name] = { documents: state.documents, lastId: state.lastId };
+    });
+
+    // Write-then-rename so a crash never leaves a half-written snapshot
+    const tempPath = `${this.snapshotPath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    fs.writeSync(fd, JSON.stringify({ savedAt: new Date().toISOString(), collections }));
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fs.renameSync(tempPath, this.snapshotPath);
+
+    // Replaying the journal over the new snapshot is harmless, so a crash
+    // before the truncate loses nothing
+    fs.ftruncateSync(this.journalFd, 0);
+    fs.fsyncSync(this.journalFd);
+    this.journalEntries = 0;
+  }
+
+  close() {
+    if (this.journalFd === null) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.snapshot();
+    fs.closeSync(this.journalFd);
+    this.journalFd = null;
+    Logger.info('File store closed');
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,275 @@
+/**
+ * Import Service
+ * Bulk event creation from CSV and iCalendar files. Every row is
+ * validated like a single create. Rows are written as drafts, which are
+ * never listed, and published together in one write once all are in, so
+ * nobody sees a partial import. Drafts left by an import that failed
+ * part-way are deleted; after a crash they stay with the organizer as
+ * drafts under the same `importId`.
+ */
+
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+const Validators = require('../utils/validators');
+const EventService = require('./EventService');
+const { parseCsv } = require('../utils/csv');
+const { parseCalendar } = require('../utils/ical');
+const { isValidCategory } = require('../utils/categories');
+const { toOccurrenceKey } = require('../utils/recurrence');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 500;
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+
+const FORMATS = ['csv', 'ics'];
+
+// CSV header (case-insensitive) -> event field
+const CSV_COLUMNS = {
+  title: 'title',
+  name: 'title',
+  description: 'description',
+  date: 'date',
+  start: 'date',
+  location: 'location',
+  capacity: 'capacity',
+  category: 'category',
+  tags: 'tags',
+  latitude: 'latitude',
+  lat: 'latitude',
+  longitude: 'longitude',
+  lng: 'longitude',
+  recurrence: 'recurrence',
+  rrule: 'recurrence',
+  exdates: 'exdates'
+};
+
+class ImportService {
+  get maxFileBytes() {
+    return MAX_IMPORT_BYTES;
+  }
+
+  /**
+   * Format from an explicit choice, the file name or the MIME type
+   */
+  detectFormat({ format, filename = '', mimetype = '' }) {
+    if (format) {
+      return String(format).toLowerCase();
+    }
+    if (/\.csv$/i.test(filename) || mimetype === 'text/csv') {
+      return 'csv';
+    }
+    if (/\.ics$/i.test(filename) || mimetype === 'text/calendar') {
+      return 'ics';
+    }
+    return null;
+  }
+
+  fromCsv(text, defaults) {
+    const { records, error } = parseCsv(text);
+
+    if (error) {
+      return { error: `Could not read CSV: ${error}` };
+    }
+    if (records.length === 0) {
+      return { error: 'The file is empty' };
+    }
+
+    const [header, ...data] = records;
+    const fields = header.map(name => CSV_COLUMNS[name.trim().toLowerCase()] || null);
+
+    if (!fields.includes('title') || !fields.includes('date')) {
+      return { error: 'The first CSV row must be a header with at least title and date columns' };
+    }
+
+    const rows = data.map((values, index) => {
+      const raw = {};
+      fields.forEach((field, column) => {
+        const value = (values[column] || '').trim();
+        if (field && value !== '') {
+          raw[field] = value;
+        }
+      });
+
+      const hasCoordinates = raw.latitude !== undefined || raw.longitude !== undefined;
+
+      return {
+        row: index + 1,
+        data: {
+          title: raw.title,
+          description: raw.description,
+          date: raw.date,
+          location: raw.location,
+          capacity: raw.capacity !== undefined ? Number(raw.capacity) : defaults.capacity,
+          category: raw.category ? raw.category.toLowerCase() : defaults.category,
+          tags: raw.tags ? raw.tags.split(/[;|,]/).filter(tag => tag.trim()) : undefined,
+          coordinates: hasCoordinates ? { latitude: Number(raw.latitude), longitude: Number(raw.longitude) } : undefined,
+          recurrence: raw.recurrence
+            ? { rule: raw.recurrence, exdates: raw.exdates ? raw.exdates.split(/[\s;,]+/).filter(Boolean) : [] }
+            : undefined
+        }
+      };
+    });
+
+    const ignoredColumns = header.filter((name, column) => !fields[column] && name.trim());
+
+    return { rows, skipped: [], ignoredColumns };
+  }
+
+  fromCalendar(text, defaults) {
+    const { events, error } = parseCalendar(text);
+
+    if (error) {
+      return { error };
+    }
+
+    const rows = [];
+    const skipped = [];
+
+    events.forEach((vevent, index) => {
+      const row = index + 1;
+
+      if (vevent.recurrenceId) {
+        skipped.push({ row, title: vevent.summary || null, reason: 'Changed occurrences of recurring events are not imported' });
+        return;
+      }
+      if (vevent.status === 'CANCELLED') {
+        skipped.push({ row, title: vevent.summary || null, reason: 'Event is cancelled' });
+        return;
+      }
+
+      // The first CATEGORIES value we know becomes the category, the rest tags
+      const labels = vevent.categories.map(label => label.toLowerCase());
+      const category = labels.find(isValidCategory);
+
+      rows.push({
+        row,
+        sourceUid: vevent.uid,
+        unreadable: vevent.invalid,
+        data: {
+          title: vevent.summary,
+          description: vevent.description,
+          date: vevent.start ? vevent.start.toISOString() : undefined,
+          location: vevent.location,
+          capacity: defaults.capacity,
+          category: category || defaults.category,
+          tags: labels.filter(label => label !== category),
+          coordinates: vevent.geo,
+          recurrence: vevent.rrule
+            ? { rule: vevent.rrule, exdates: vevent.exdates.map(toOccurrenceKey) }
+            : undefined
+        }
+      });
+    });
+
+    return { rows, skipped, ignoredColumns: [] };
+  }
+
+  /**
+   * Validate and, unless `dryRun`, create every event in the file.
+   * `defaults` fill in capacity and category where the file has none.
+   * Events already imported from the same iCalendar UID are skipped.
+   */
+  async importEvents({ content, format }, user, { dryRun = false, defaults = {} } = {}) {
+    try {
+      if (!FORMATS.includes(format)) {
+        return { success: false, error: `Unsupported format. Use one of: ${FORMATS.join(', ')}` };
+      }
+
+      const parsed = format === 'csv' ? this.fromCsv(content, defaults) : this.fromCalendar(content, defaults);
+
+      if (parsed.error) {
+        return { success: false, error: parsed.error };
+      }
+      if (parsed.rows.length + parsed.skipped.length === 0) {
+        return { success: false, error: 'The file contains no events' };
+      }
+      if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        return { success: false, error: `Too many events in one import (at most ${MAX_IMPORT_ROWS})` };
+      }
+
+      const sourceUids = parsed.rows.map(row => row.sourceUid).filter(Boolean);
+      const alreadyImported = new Set(sourceUids.length === 0 ? [] : (await EventService.events.find({
+        creator: user.id,
+        sourceUid: { $in: sourceUids }
+      })).map(event => event.sourceUid));
+
+      const skipped = [...parsed.skipped];
+      const errors = [];
+      const valid = [];
+
+      parsed.rows.forEach(row => {
+        if (row.sourceUid && alreadyImported.has(row.sourceUid)) {
+          skipped.push({ row: row.row, title: row.data.title || null, reason: 'Already imported' });
+          return;
+        }
+
+        const rowErrors = [
+          ...(row.unreadable || []).map(value => `Could not read ${value}`),
+          ...Validators.validateEventData(row.data).errors
+        ];
+
+        if (rowErrors.length > 0) {
+          errors.push({ row: row.row, title: row.data.title || null, errors: rowErrors });
+        } else {
+          valid.push(row);
+          if (row.sourceUid) {
+            // A UID repeated within the file is imported once
+            alreadyImported.add(row.sourceUid);
+          }
+        }
+      });
+
+      const documents = valid.map(row => ({
+        ...EventService.buildEventDocument(row.data, user.id, user.name),
+        ...(row.sourceUid ? { sourceUid: row.sourceUid } : {})
+      }));
+
+      const summary = {
+        total: parsed.rows.length + parsed.skipped.length,
+        valid: valid.length,
+        invalid: errors.length,
+        skipped: skipped.sort((a, b) => a.row - b.row),
+        errors,
+        ignoredColumns: parsed.ignoredColumns
+      };
+
+      if (dryRun) {
+        return { success: true, dryRun: true, ...summary, events: documents };
+      }
+
+      if (errors.length > 0) {
+        return {
+          success: false,
+          error: `${errors.length} of ${parsed.rows.length} events are invalid; nothing was imported`,
+          ...summary
+        };
+      }
+
+      const importId = crypto.randomUUID();
+      try {
+        for (const document of documents) {
+          await EventService.events.insert({ ...document, status: 'draft', importId });
+        }
+      } catch (error) {
+        // All or nothing: take back whatever made it in
+        await EventService.events.deleteMany({ importId });
+        throw error;
+      }
+
+      await EventService.events.updateMany(
+        { importId, status: 'draft' },
+        { $set: { status: 'published' } }
+      );
+      const created = await EventService.events.find({ importId }, { sort: { id: 1 } });
+
+      created.forEach(event => EventService.searchIndex.add(event));
+      Logger.info(`Imported ${created.length} events from ${format} for user ${user.id}`);
+
+      return { success: true, importId, imported: created.length, ...summary, events: created };
+    } catch (error) {
+      Logger.error('Error importing events', error);
+      return { success: false, error: 'Failed to import events' };
+    }
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,65 @@
+/**
+ * Mail Service
+ * Sends application email through a pluggable transport.
+ * A transport is any object with an async send({ from, to, subject, text, html }) method.
+ */
+
+const Logger = require('../utils/logger');
+const FileMailTransport = require('../mail/FileMailTransport');
+const SmtpMailTransport = require('../mail/SmtpMailTransport');
+
+const DEFAULT_FROM = 'EventHub <no-reply@eventhub.local>';
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  createDefaultTransport() {
+    const type = process.env.MAIL_TRANSPORT || 'file';
+
+    if (type === 'smtp') {
+      return new SmtpMailTransport();
+    }
+    if (type !== 'file') {
+      Logger.warn(`Unknown MAIL_TRANSPORT "${type}", using file transport`);
+    }
+    return new FileMailTransport();
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = this.createDefaultTransport();
+    }
+    return this.transport;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async sendMail({ to, subject, text, html }) {
+    try {
+      const info = await this.getTransport().send({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to,
+        subject,
+        text,
+        html
+      });
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      Logger.error(`Error sending mail to ${to}`, error);
+      return { success: false, error: 'Failed to send email' };
+    }
+  }
+
+  buildClientUrl(pathname, params = {}) {
+    const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:3000');
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,328 @@
+/**
+ * In-Memory Repository
+ * Array-backed document store used when MongoDB is unavailable.
+ * Understands the subset of MongoDB query and update syntax the services use,
+ * so it can be swapped for MongoRepository without changing callers.
+ * When given a FileStore, every write is journaled to disk.
+ */
+
+const { angularDistance } = require('../utils/geo');
+
+// MongoDB's error code for a write that breaks a unique index
+const DUPLICATE_KEY = 11000;
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const getPath = (doc, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  doc
+);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => {
+    if (obj[key] === null || typeof obj[key] !== 'object') {
+      obj[key] = {};
+    }
+    return obj[key];
+  }, doc);
+  target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => (obj ? obj[key] : undefined), doc);
+  if (target) {
+    delete target[last];
+  }
+};
+
+const isEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a === 'object' && typeof b === 'object' && a !== null && b !== null) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+};
+
+const compareValues = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return -1;
+  }
+  if (b === undefined || b === null) {
+    return 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Mongo semantics: a scalar condition matches an array field containing it,
+// and null matches a missing field
+const valueMatches = (value, expected) => {
+  if (expected === null) {
+    return value === null || value === undefined;
+  }
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(item => isEqual(item, expected));
+  }
+  return isEqual(value, expected);
+};
+
+const isOperatorObject = (condition) =>
+  condition !== null &&
+  typeof condition === 'object' &&
+  !Array.isArray(condition) &&
+  Object.keys(condition).length > 0 &&
+  Object.keys(condition).every(key => key.startsWith('$'));
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    return valueMatches(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return valueMatches(value, operand);
+      case '$ne':
+        return !valueMatches(value, operand);
+      case '$in':
+        return operand.some(item => valueMatches(value, item));
+      case '$nin':
+        return !operand.some(item => valueMatches(value, item));
+      case '$gt':
+        return value !== undefined && value !== null && compareValues(value, operand) > 0;
+      case '$gte':
+        return value !== undefined && value !== null && compareValues(value, operand) >= 0;
+      case '$lt':
+        return value !== undefined && value !== null && compareValues(value, operand) < 0;
+      case '$lte':
+        return value !== undefined && value !== null && compareValues(value, operand) <= 0;
+      case '$exists':
+        return (value !== undefined) === !!operand;
+      case '$regex': {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+        return typeof value === 'string' && regex.test(value);
+      }
+      case '$options':
+        return true;
+      case '$geoWithin': {
+        // Only $centerSphere against GeoJSON points is supported
+        if (!operand.$centerSphere) {
+          throw new Error('Unsupported $geoWithin shape');
+        }
+        const [center, radius] = operand.$centerSphere;
+        return !!value && value.type === 'Point' && angularDistance(value.coordinates, center) <= radius;
+      }
+      case '$elemMatch':
+        return Array.isArray(value) && value.some(item => matchesFilter(item, operand));
+      default:
+        throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+};
+
+const matchesFilter = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some(subFilter => matchesFilter(doc, subFilter));
+  }
+  if (key === '$and') {
+    return condition.every(subFilter => matchesFilter(doc, subFilter));
+  }
+  return matchesCondition(getPath(doc, key), condition);
+});
+
+const applyUpdate = (doc, update) => {
+  const operations = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  Object.entries(operations).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      const current = getPath(doc, path);
+
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case '$push': {
+          const items = value && value.$each ? value.$each : [value];
+          setPath(doc, path, [...(current || []), ...clone(items)]);
+          break;
+        }
+        case '$addToSet': {
+          const items = value && value.$each ? value.$each : [value];
+          const next = [...(current || [])];
+          items.forEach(item => {
+            if (!next.some(existing => isEqual(existing, item))) {
+              next.push(clone(item));
+            }
+          });
+          setPath(doc, path, next);
+          break;
+        }
+        case '$pull': {
+          // An object condition is a query against array elements
+          const isQuery = value !== null && typeof value === 'object' && !isOperatorObject(value);
+          setPath(doc, path, (current || []).filter(item =>
+            !(isQuery ? matchesFilter(item, value) : matchesCondition(item, value))
+          ));
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator ${operator}`);
+      }
+    });
+  });
+};
+
+const sortDocuments = (documents, sort) => {
+  const keys = Object.entries(sort || {});
+  if (keys.length === 0) {
+    return documents;
+  }
+
+  return documents.sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const result = compareValues(getPath(a, path), getPath(b, path));
+      if (result !== 0) {
+        return result * direction;
+      }
+    }
+    return 0;
+  });
+};
+
+class MemoryRepository {
+  constructor(name, store = null) {
+    this.name = name;
+    this.documents = [];
+    this.lastId = 0;
+    this.uniqueFields = [];
+    this.store = store;
+
+    if (store) {
+      store.attach(this);
+    }
+  }
+
+  persist(docs) {
+    if (this.store) {
+      docs.forEach(doc => this.store.record({ collection: this.name, op: 'put', doc }));
+    }
+  }
+
+  persistDeletes(docs) {
+    if (this.store) {
+      docs.forEach(doc => this.store.record({ collection: this.name, op: 'delete', id: doc.id }));
+    }
+  }
+
+  /**
+   * Only unique indexes mean anything in memory: inserts that would
+   * duplicate a unique field fail like MongoDB's duplicate key error
+   */
+  async createIndex(spec, { unique = false } = {}) {
+    if (unique) {
+      this.uniqueFields.push(...Object.keys(spec).filter(path => !this.uniqueFields.includes(path)));
+    }
+  }
+
+  checkUnique(doc) {
+    const duplicate = this.uniqueFields.find(path => getPath(doc, path) !== undefined &&
+      this.documents.some(existing => isEqual(getPath(existing, path), getPath(doc, path))));
+
+    if (duplicate) {
+      const error = new Error(`E11000 duplicate key error collection: ${this.name} index: ${duplicate}_1`);
+      error.code = DUPLICATE_KEY;
+      throw error;
+    }
+  }
+
+  async nextId() {
+    return ++this.lastId;
+  }
+
+  async insert(doc) {
+    const stored = clone(doc);
+    this.checkUnique(stored);
+
+    if (stored.id === undefined) {
+      stored.id = await this.nextId();
+    } else if (typeof stored.id === 'number') {
+      this.lastId = Math.max(this.lastId, stored.id);
+    }
+
+    this.documents.push(stored);
+    this.persist([stored]);
+    return clone(stored);
+  }
+
+  async findById(id) {
+    return this.findOne({ id });
+  }
+
+  async findOne(filter = {}) {
+    return clone(this.documents.find(doc => matchesFilter(doc, filter))) || null;
+  }
+
+  async find(filter = {}, { sort, skip = 0, limit } = {}) {
+    const matched = sortDocuments(this.documents.filter(doc => matchesFilter(doc, filter)), sort);
+    const end = limit ? skip + limit : undefined;
+    return clone(matched.slice(skip, end));
+  }
+
+  async count(filter = {}) {
+    return this.documents.filter(doc => matchesFilter(doc, filter)).length;
+  }
+
+  /**
+   * Update the first document matching the filter.
+   * Returns the updated document, or null when nothing matched.
+   */
+  async updateOne(filter, update) {
+    const doc = this.documents.find(d => matchesFilter(d, filter));
+
+    if (!doc) {
+      return null;
+    }
+
+    applyUpdate(doc, update);
+    this.persist([doc]);
+    return clone(doc);
+  }
+
+  async updateById(id, update) {
+    return this.updateOne({ id }, update);
+  }
+
+  async updateMany(filter, update) {
+    const matched = this.documents.filter(doc => matchesFilter(doc, filter));
+    matched.forEach(doc => applyUpdate(doc, update));
+    this.persist(matched);
+    return matched.length;
+  }
+
+  async deleteById(id) {
+    return (await this.deleteMany({ id })) > 0;
+  }
+
+  async deleteMany(filter = {}) {
+    const removed = this.documents.filter(doc => matchesFilter(doc, filter));
+    this.documents = this.documents.filter(doc => !matchesFilter(doc, filter));
+    this.persistDeletes(removed);
+    return removed.length;
+  }
+}
+
+module.exports = MemoryRepository;
@@ -0,0 +1,116 @@
+/**
+ * MongoDB Repository
+ * Stores plain documents in a MongoDB collection with the same interface
+ * as MemoryRepository. Documents are addressed by a numeric `id` field
+ * allocated from the `counters` collection; Mongo's own `_id` is never exposed.
+ */
+
+const mongoose = require('mongoose');
+
+const WITHOUT_MONGO_ID = { _id: 0 };
+
+class MongoRepository {
+  constructor(name) {
+    this.name = name;
+    this.indexesReady = null;
+  }
+
+  get collection() {
+    return mongoose.connection.collection(this.name);
+  }
+
+  async ensureIdIndex() {
+    if (!this.indexesReady) {
+      this.indexesReady = this.collection.createIndex({ id: 1 }, { unique: true, sparse: true });
+    }
+    return this.indexesReady;
+  }
+
+  async createIndex(spec, options = {}) {
+    await this.collection.createIndex(spec, options);
+  }
+
+  async nextId() {
+    const counter = await mongoose.connection.collection('counters').findOneAndUpdate(
+      { _id: this.name },
+      { $inc: { seq: 1 } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return counter.seq;
+  }
+
+  async insert(doc) {
+    await this.ensureIdIndex();
+
+    const stored = { ...doc };
+    if (stored.id === undefined) {
+      stored.id = await this.nextId();
+    }
+
+    await this.collection.insertOne(stored);
+    delete stored._id;
+    return stored;
+  }
+
+  async findById(id) {
+    return this.findOne({ id });
+  }
+
+  async findOne(filter = {}) {
+    return this.collection.findOne(filter, { projection: WITHOUT_MONGO_ID });
+  }
+
+  async find(filter = {}, { sort, skip = 0, limit } = {}) {
+    let cursor = this.collection.find(filter, { projection: WITHOUT_MONGO_ID });
+
+    if (sort) {
+      cursor = cursor.sort(sort);
+    }
+    if (skip) {
+      cursor = cursor.skip(skip);
+    }
+    if (limit) {
+      cursor = cursor.limit(limit);
+    }
+    return cursor.toArray();
+  }
+
+  async count(filter = {}) {
+    return this.collection.countDocuments(filter);
+  }
+
+  /**
+   * Update the first document matching the filter.
+   * Returns the updated document, or null when nothing matched.
+   */
+  async updateOne(filter, update) {
+    return this.collection.findOneAndUpdate(filter, this.toUpdateOperations(update), {
+      returnDocument: 'after',
+      projection: WITHOUT_MONGO_ID
+    });
+  }
+
+  async updateById(id, update) {
+    return this.updateOne({ id }, update);
+  }
+
+  async updateMany(filter, update) {
+    const result = await this.collection.updateMany(filter, this.toUpdateOperations(update));
+    return result.modifiedCount;
+  }
+
+  async deleteById(id) {
+    return (await this.deleteMany({ id })) > 0;
+  }
+
+  async deleteMany(filter = {}) {
+    const result = await this.collection.deleteMany(filter);
+    return result.deletedCount;
+  }
+
+  toUpdateOperations(update) {
+    return Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+  }
+}
+
+module.exports = MongoRepository;
@@ -0,0 +1,394 @@
+/**
+ * Notification Service
+ * Turns domain events (RSVPs, event changes and cancellations) into
+ * messages in an outbox and delivers them through a pluggable transport,
+ * retrying failed sends with exponential backoff. Users choose which
+ * categories of notification they get.
+ * A transport is any object with an async send({ to, subject, text }) method;
+ * the default one emails through MailService, which writes files in development.
+ */
+
+const Logger = require('../utils/logger');
+const DatabaseManager = require('../config/database');
+const MailService = require('./MailService');
+const { toOccurrenceKey, fromOccurrenceKey } = require('../utils/recurrence');
+const { NOTIFICATION_CATEGORIES, categoryOf, renderNotification } = require('../utils/notificationTemplates');
+
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFICATION_POLL_INTERVAL_MS) || 30 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.NOTIFICATION_RETRY_BASE_MS) || 60 * 1000;
+
+// A message still 'sending' after this long was claimed by a process that died
+const SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+const MAX_LISTED = 50;
+
+// People who hear about changes to an event they answered
+const AUDIENCE_STATUSES = ['attending', 'waitlisted', 'interested', 'maybe'];
+
+const DEFAULT_PREFERENCES = Object.freeze(Object.fromEntries(NOTIFICATION_CATEGORIES.map(category => [category, true])));
+
+// Failed sends must throw so the outbox retries them
+const mailTransport = {
+  async send(message) {
+    const result = await MailService.sendMail(message);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  }
+};
+
+class NotificationService {
+  constructor() {
+    this.transport = null;
+    this.timer = null;
+    this.processing = null;
+    this.rerun = false;
+    this.stopping = false;
+  }
+
+  get notifications() {
+    return DatabaseManager.getRepository('notifications');
+  }
+
+  get users() {
+    return DatabaseManager.getRepository('users');
+  }
+
+  get rsvps() {
+    return DatabaseManager.getRepository('rsvps');
+  }
+
+  getTransport() {
+    return this.transport || mailTransport;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * What a message says about a stored event, or one occurrence of it
+   * with that occurrence's own changes applied
+   */
+  describeEvent(event, occurrenceId = null) {
+    const overrides = occurrenceId ? ((event.occurrences || {})[occurrenceId] || {}).overrides || {} : {};
+    const fields = { ...event, ...overrides };
+
+    return {
+      id: event.id,
+      occurrenceId,
+      title: fields.title,
+      date: overrides.date || (occurrenceId ? fromOccurrenceKey(occurrenceId).toISOString() : event.date),
+      location: fields.location,
+      url: MailService.buildClientUrl(`/events/${event.id}`, occurrenceId ? { occurrence: occurrenceId } : {})
+    };
+  }
+
+  preferencesOf(user) {
+    return { ...DEFAULT_PREFERENCES, ...(user.notificationPreferences || {}) };
+  }
+
+  /**
+   * Queue a `type` notification for each of `userIds` that has its category
+   * turned on. Messages are rendered now, so later edits to the event do
+   * not change what was announced. Users who already have a message with
+   * the same `key` are skipped, so a job that is run again after a crash
+   * sends nothing twice. Never throws: a notification problem must not
+   * fail the action that caused it. Returns the number queued.
+   */
+  async notify(type, userIds, payload, { key = null } = {}) {
+    try {
+      const ids = [...new Set(userIds)];
+      if (ids.length === 0) {
+        return 0;
+      }
+
+      const category = categoryOf(type);
+      const users = await this.users.find({ id: { $in: ids } });
+      const alreadyQueued = key
+        ? new Set((await this.notifications.find({ key, userId: { $in: ids } })).map(message => message.userId))
+        : new Set();
+      const now = new Date().toISOString();
+      let queued = 0;
+
+      for (const user of users) {
+        if (!this.preferencesOf(user)[category] || alreadyQueued.has(user.id)) {
+          continue;
+        }
+
+        const { subject, text } = renderNotification(type, user.name, payload);
+        await this.notifications.insert({
+          type,
+          category,
+          key,
+          userId: user.id,
+          to: user.email,
+          eventId: payload.event.id,
+          occurrenceId: payload.event.occurrenceId,
+          subject,
+          text,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: now,
+          createdAt: now
+        });
+        queued++;
+      }
+
+      if (queued > 0) {
+        this.dispatch();
+      }
+
+      return queued;
+    } catch (error) {
+      Logger.error(`Error queueing ${type} notifications`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Notify everyone who answered `event` (or the occurrences matching
+   * `occurrenceFilter`) and is still interested. Occurrences that already
+   * took place are left out; someone who answered several upcoming ones
+   * gets one message, about the earliest.
+   */
+  async notifyAudience(type, event, { occurrenceFilter = {}, details = {} } = {}) {
+    try {
+      const rsvps = await this.rsvps.find(
+        { eventId: event.id, ...occurrenceFilter, status: { $in: AUDIENCE_STATUSES } },
+        { sort: { occurrenceId: 1 } }
+      );
+
+      const nowKey = toOccurrenceKey(new Date());
+      const occurrenceOf = new Map();
+      rsvps.filter(rsvp => !rsvp.occurrenceId || rsvp.occurrenceId >= nowKey).forEach(rsvp => {
+        if (!occurrenceOf.has(rsvp.userId)) {
+          occurrenceOf.set(rsvp.userId, rsvp.occurrenceId || null);
+        }
+      });
+
+      const usersByOccurrence = new Map();
+      occurrenceOf.forEach((occurrenceId, userId) => {
+        usersByOccurrence.set(occurrenceId, [...(usersByOccurrence.get(occurrenceId) || []), userId]);
+      });
+
+      let queued = 0;
+      for (const [occurrenceId, userIds] of usersByOccurrence) {
+        queued += await this.notify(type, userIds, { ...details, event: this.describeEvent(event, occurrenceId) });
+      }
+
+      return queued;
+    } catch (error) {
+      Logger.error(`Error notifying the audience of event ${event.id}`, error);
+      return 0;
+    }
+  }
+
+  async getPreferences(userId) {
+    const user = await this.users.findById(userId);
+
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    return { success: true, preferences: this.preferencesOf(user) };
+  }
+
+  /**
+   * Turn categories on or off; categories not mentioned keep their setting
+   */
+  async updatePreferences(userId, changes) {
+    try {
+      const entries = Object.entries(changes || {});
+      const unknown = entries.filter(([category]) => !NOTIFICATION_CATEGORIES.includes(category));
+
+      if (entries.length === 0) {
+        return { success: false, error: `Give at least one of: ${NOTIFICATION_CATEGORIES.join(', ')}` };
+      }
+      if (unknown.length > 0) {
+        return { success: false, error: `Unknown notification categories: ${unknown.map(([category]) => category).join(', ')}` };
+      }
+      if (entries.some(([, enabled]) => typeof enabled !== 'boolean')) {
+        return { success: false, error: 'Preferences must be true or false' };
+      }
+
+      const user = await this.users.updateOne(
+        { id: userId },
+        { $set: Object.fromEntries(entries.map(([category, enabled]) => [`notificationPreferences.${category}`, enabled])) }
+      );
+
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      Logger.info(`Notification preferences updated for user ${userId}`);
+      return { success: true, preferences: this.preferencesOf(user) };
+    } catch (error) {
+      Logger.error('Error updating notification preferences', error);
+      return { success: false, error: 'Failed to update notification preferences' };
+    }
+  }
+
+  /**
+   * The user's most recent notifications and how their delivery went
+   */
+  async getUserNotifications(userId) {
+    try {
+      const messages = await this.notifications.find({ userId }, { sort: { createdAt: -1, id: -1 }, limit: MAX_LISTED });
+
+      return {
+        success: true,
+        notifications: messages.map(message => ({
+          id: message.id,
+          type: message.type,
+          category: message.category,
+          eventId: message.eventId,
+          occurrenceId: message.occurrenceId,
+          subject: message.subject,
+          status: message.status,
+          attempts: message.attempts,
+          createdAt: message.createdAt,
+          sentAt: message.sentAt || null
+        }))
+      };
+    } catch (error) {
+      Logger.error('Error fetching notifications', error);
+      return { success: false, error: 'Failed to fetch notifications' };
+    }
+  }
+
+  /**
+   * Send one message. Claiming it first with a compare-and-set means two
+   * passes (or two servers) never send it twice; a process dying mid-send
+   * can still cause a resend once the claim times out.
+   */
+  async deliver(message) {
+    const claimed = await this.notifications.updateOne(
+      { id: message.id, status: message.status, attempts: message.attempts },
+      { $set: { status: 'sending', claimedAt: new Date().toISOString() }, $inc: { attempts: 1 } }
+    );
+
+    if (!claimed) {
+      return;
+    }
+
+    try {
+      await this.getTransport().send({ to: claimed.to, subject: claimed.subject, text: claimed.text });
+      await this.notifications.updateOne(
+        { id: claimed.id, status: 'sending' },
+        { $set: { status: 'sent', sentAt: new Date().toISOString(), lastError: null } }
+      );
+    } catch (error) {
+      const failed = claimed.attempts >= MAX_ATTEMPTS;
+      // Wait 1, 2, 4, 8... times the base delay between attempts
+      const delay = RETRY_BASE_MS * 2 ** (claimed.attempts - 1);
+
+      await this.notifications.updateOne(
+        { id: claimed.id, status: 'sending' },
+        {
+          $set: {
+            status: failed ? 'failed' : 'pending',
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + delay).toISOString()
+          }
+        }
+      );
+
+      if (failed) {
+        Logger.error(`Notification ${claimed.id} to ${claimed.to} failed after ${claimed.attempts} attempts`, { error: error.message });
+      } else {
+        Logger.warn(`Notification ${claimed.id} to ${claimed.to} failed, retrying in ${delay}ms`, { error: error.message });
+      }
+    }
+  }
+
+  async drainOutbox() {
+    do {
+      this.rerun = false;
+      const now = Date.now();
+      const due = await this.notifications.find(
+        {
+          $or: [
+            { status: 'pending', nextAttemptAt: { $lte: new Date(now).toISOString() } },
+            { status: 'sending', claimedAt: { $lte: new Date(now - SENDING_TIMEOUT_MS).toISOString() } }
+          ]
+        },
+        { sort: { nextAttemptAt: 1, id: 1 }, limit: BATCH_SIZE }
+      );
+
+      for (const message of due) {
+        if (this.stopping) {
+          return;
+        }
+        await this.deliver(message);
+      }
+
+      if (due.length === BATCH_SIZE) {
+        this.rerun = true;
+      }
+    } while (this.rerun && !this.stopping);
+  }
+
+  /**
+   * Send every message that is due. Calls made while a pass is running
+   * are folded into it.
+   */
+  async processOutbox() {
+    if (this.processing) {
+      this.rerun = true;
+      return this.processing;
+    }
+
+    this.processing = this.drainOutbox()
+      .catch(error => Logger.error('Error processing the notification outbox', error))
+      .finally(() => {
+        this.processing = null;
+      });
+
+    return this.processing;
+  }
+
+  // Send new messages right away instead of at the next poll
+  dispatch() {
+    if (this.timer) {
+      this.processOutbox();
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.stopping = false;
+    this.timer = setInterval(() => this.processOutbox(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.processOutbox();
+
+    Logger.info('Notification outbox started', { pollIntervalMs: POLL_INTERVAL_MS });
+  }
+
+  /**
+   * Stop polling and let a message being sent finish; anything still
+   * queued is sent after the next start
+   */
+  async stop() {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stopping = true;
+
+    if (this.processing) {
+      await this.processing;
+    }
+
+    Logger.info('Notification outbox stopped');
+  }
+}
+
+module.exports = new NotificationService();
@@ -1,140 +1,901 @@
-/**
- * RSVP Service
- * Business logic for RSVP management with concurrency handling
- */
-
-const Logger = require('../utils/logger');
-const EventService = require('./EventService');
-
-class RSVPService {
-  constructor() {
-    this.rsvps = [];
-  }
-
-  async createRSVP(eventId, userId) {
-    try {
-      const eventResult = EventService.getEventById(eventId);
-      
-      if (!eventResult.success) {
-        return eventResult;
-      }
-
-      const event = eventResult.event;
-
-      // Check if event is in the future
-      if (new Date(event.date) <= new Date()) {
-        return { success: false, error: 'Cannot RSVP to past events' };
-      }
-
-      // Check for existing RSVP
-      const existingRsvp = this.rsvps.find(r => 
-        r.userId === userId && r.eventId === parseInt(eventId) && r.status === 'attending'
-      );
-
-      if (existingRsvp) {
-        return { success: false, error: 'You have already RSVP\'d to this event' };
-      }
-
-      // Check capacity (critical for concurrency)
-      if (event.currentAttendees >= event.capacity) {
-        return { success: false, error: 'Event is at full capacity' };
-      }
-
-      // Create RSVP (atomic operation simulation)
-      const rsvp = {
-        id: Date.now(),
-        userId,
-        eventId: parseInt(eventId),
-        status: 'attending',
-        createdAt: new Date().toISOString()
-      };
-
-      this.rsvps.push(rsvp);
-
-      // Update event attendees
-      const originalEvent = EventService.events.find(e => e.id === parseInt(eventId));
-      if (originalEvent) {
-        originalEvent.currentAttendees++;
-        originalEvent.attendees.push(userId);
-      }
-
-      Logger.info(`RSVP created for event ${eventId} by user ${userId}`);
-      
-      return { 
-        success: true, 
-        message: 'RSVP successful',
-        event: EventService.getEventById(eventId).event
-      };
-    } catch (error) {
-      Logger.error('Error creating RSVP', error);
-      return { success: false, error: 'Failed to process RSVP' };
-    }
-  }
-
-  async cancelRSVP(eventId, userId) {
-    try {
-      const rsvpIndex = this.rsvps.findIndex(r => 
-        r.userId === userId && r.eventId === parseInt(eventId) && r.status === 'attending'
-      );
-
-      if (rsvpIndex === -1) {
-        return { success: false, error: 'No active RSVP found for this event' };
-      }
-
-      // Cancel RSVP
-      this.rsvps[rsvpIndex].status = 'cancelled';
-
-      // Update event attendees
-      const event = EventService.events.find(e => e.id === parseInt(eventId));
-      if (event) {
-        event.currentAttendees--;
-        event.attendees = event.attendees.filter(id => id !== userId);
-      }
-
-      Logger.info(`RSVP cancelled for event ${eventId} by user ${userId}`);
-      
-      return { 
-        success: true, 
-        message: 'RSVP cancelled successfully',
-        event: EventService.getEventById(eventId).event
-      };
-    } catch (error) {
-      Logger.error('Error cancelling RSVP', error);
-      return { success: false, error: 'Failed to cancel RSVP' };
-    }
-  }
-
-  getUserRSVPs(userId) {
-    try {
-      const userRsvps = this.rsvps.filter(r => r.userId === userId && r.status === 'attending');
-      const attendingEvents = userRsvps
-        .map(rsvp => EventService.getEventById(rsvp.eventId).event)
-        .filter(event => event);
-
-      Logger.info(`Retrieved ${attendingEvents.length} RSVPs for user ${userId}`);
-      return { success: true, events: attendingEvents };
-    } catch (error) {
-      Logger.error('Error retrieving user RSVPs', error);
-      return { success: false, error: 'Failed to retrieve RSVPs' };
-    }
-  }
-
-  checkRSVPStatus(eventId, userId) {
-    try {
-      const rsvp = this.rsvps.find(r => 
-        r.userId === userId && r.eventId === parseInt(eventId) && r.status === 'attending'
-      );
-
-      return { 
-        success: true, 
-        hasRSVP: !!rsvp,
-        rsvp: rsvp || null
-      };
-    } catch (error) {
-      Logger.error('Error checking RSVP status', error);
-      return { success: false, error: 'Failed to check RSVP status' };
-    }
-  }
-}
-
-module.exports = new RSVPService();
\ No newline at end of file
+/**
+ * RSVP Service
+ * Business logic for RSVP management with concurrency handling
+ */
+
+const Logger = require('../utils/logger');
+const Validators = require('../utils/validators');
+const DatabaseManager = require('../config/database');
+const EventService = require('./EventService');
+const UserService = require('./UserService');
+const WaitlistService = require('./WaitlistService');
+const RecurrenceService = require('./RecurrenceService');
+const TicketService = require('./TicketService');
+const NotificationService = require('./NotificationService');
+const WebhookService = require('./WebhookService');
+const { canManageEvent } = require('../utils/roles');
+const { seatsOf, slotField, readSlot, slotGuard } = require('../utils/seats');
+const { toCsv } = require('../utils/csv');
+const { isOpen } = require('../utils/lifecycle');
+const { hasTicketTypes, findTicketType, resolveTicketType, saleError } = require('../utils/tickets');
+
+// Compare-and-set retries before giving up on a heavily contended event
+const MAX_RESERVATION_ATTEMPTS = 5;
+
+// Answers that do not take a seat
+const RESPONSE_STATUSES = ['interested', 'maybe', 'declined'];
+// A user has at most one RSVP in one of these per event or occurrence
+const ACTIVE_STATUSES = ['attending', 'waitlisted', ...RESPONSE_STATUSES];
+const ATTENDEE_STATUSES = [...ACTIVE_STATUSES, 'cancelled'];
+const DEFAULT_ATTENDEE_PAGE_SIZE = 50;
+const MAX_ATTENDEE_PAGE_SIZE = 200;
+
+class RSVPService {
+  get rsvps() {
+    return DatabaseManager.getRepository('rsvps');
+  }
+
+  // The event as the client sees it: the occurrence for recurring events
+  present(event, occurrenceId) {
+    return EventService.formatEvent(occurrenceId ? RecurrenceService.toInstance(event, occurrenceId) : event);
+  }
+
+  /**
+   * Claim a seat with a compare-and-set on the attendee count, so two
+   * requests that read the same count cannot both take the last seat.
+   * For recurring events the seat is in one occurrence. With a ticket type
+   * the seat also has to fit in that tier. A party of `seats` is seated
+   * together or not at all.
+   */
+  async reserveSeat(eventId, userId, occurrenceId = null, { ticketTypeId = null, seats = 1 } = {}) {
+    for (let attempt = 0; attempt < MAX_RESERVATION_ATTEMPTS; attempt++) {
+      const event = await EventService.events.findById(eventId);
+
+      if (!event || (occurrenceId && !RecurrenceService.hasOccurrence(event, occurrenceId))) {
+        return { success: false, error: occurrenceId ? 'Occurrence not found' : 'Event not found' };
+      }
+
+      const slot = readSlot(event, occurrenceId);
+
+      if (slot.cancelled) {
+        return { success: false, error: occurrenceId ? 'This occurrence has been cancelled' : 'This event has been cancelled' };
+      }
+
+      if (slot.attendees.includes(userId)) {
+        return { success: false, error: 'You have already RSVP\'d to this event' };
+      }
+
+      if (slot.waitlist.includes(userId)) {
+        return { success: false, error: 'You are already on the waitlist for this event' };
+      }
+
+      const ticketType = ticketTypeId ? findTicketType(event, ticketTypeId) : null;
+
+      if (ticketTypeId && !ticketType) {
+        return { success: false, error: 'Ticket type not found' };
+      }
+
+      if (seats > slot.capacity || (ticketType && seats > ticketType.capacity)) {
+        return { success: false, error: `A party of ${seats} does not fit in this event` };
+      }
+
+      // Free seats go to the waitlist first, so nobody jumps the queue
+      if (slot.currentAttendees + seats > slot.capacity || slot.waitlist.length > 0 ||
+          (ticketType && (slot.ticketCounts[ticketType.id] || 0) + seats > ticketType.capacity)) {
+        return { success: false, full: true, error: 'Event is at full capacity' };
+      }
+
+      const reserved = await EventService.events.updateOne(
+        {
+          ...slotGuard(event, occurrenceId),
+          [slotField(occurrenceId, 'attendees')]: { $ne: userId },
+          [slotField(occurrenceId, 'waitlist.0')]: { $exists: false },
+          // The tier's capacity may have been edited since
+          ...(ticketType ? { ticketTypes: { $elemMatch: { id: ticketType.id, capacity: ticketType.capacity } } } : {})
+        },
+        {
+          $inc: {
+            [slotField(occurrenceId, 'currentAttendees')]: seats,
+            ...(ticketType ? { [slotField(occurrenceId, `ticketCounts.${ticketType.id}`)]: seats } : {})
+          },
+          $push: { [slotField(occurrenceId, 'attendees')]: userId }
+        }
+      );
+
+      if (reserved) {
+        return { success: true, event: reserved };
+      }
+
+      // Someone else changed the event in between; re-read and try again
+    }
+
+    return { success: false, error: 'Event is busy, please try again' };
+  }
+
+  async releaseSeat(eventId, userId, occurrenceId = null, { ticketTypeId = null, seats = 1 } = {}) {
+    // Only decrement when the user actually holds a seat, so a repeated
+    // release can never drive the count out of step with the RSVPs
+    return EventService.events.updateOne(
+      { id: eventId, [slotField(occurrenceId, 'attendees')]: userId },
+      {
+        $inc: {
+          [slotField(occurrenceId, 'currentAttendees')]: -seats,
+          ...(ticketTypeId ? { [slotField(occurrenceId, `ticketCounts.${ticketTypeId}`)]: -seats } : {})
+        },
+        $pull: { [slotField(occurrenceId, 'attendees')]: userId }
+      }
+    );
+  }
+
+  /**
+   * Claim `extra` more seats for an attendee's party, compare-and-set like
+   * reserveSeat. Nobody on the waitlist is passed over for them.
+   */
+  async addSeats(eventId, userId, occurrenceId, { ticketTypeId = null, extra }) {
+    for (let attempt = 0; attempt < MAX_RESERVATION_ATTEMPTS; attempt++) {
+      const event = await EventService.events.findById(eventId);
+      const slot = event && readSlot(event, occurrenceId);
+
+      if (!slot || !slot.attendees.includes(userId)) {
+        return { success: false, error: 'No active RSVP found for this event' };
+      }
+
+      const ticketType = ticketTypeId ? findTicketType(event, ticketTypeId) : null;
+
+      if (slot.currentAttendees + extra > slot.capacity || slot.waitlist.length > 0 ||
+          (ticketType && (slot.ticketCounts[ticketType.id] || 0) + extra > ticketType.capacity)) {
+        return { success: false, error: 'Not enough free seats for more guests' };
+      }
+
+      const reserved = await EventService.events.updateOne(
+        {
+          ...slotGuard(event, occurrenceId),
+          [slotField(occurrenceId, 'attendees')]: userId,
+          [slotField(occurrenceId, 'waitlist.0')]: { $exists: false },
+          ...(ticketType ? { ticketTypes: { $elemMatch: { id: ticketType.id, capacity: ticketType.capacity } } } : {})
+        },
+        {
+          $inc: {
+            [slotField(occurrenceId, 'currentAttendees')]: extra,
+            ...(ticketType ? { [slotField(occurrenceId, `ticketCounts.${ticketType.id}`)]: extra } : {})
+          }
+        }
+      );
+
+      if (reserved) {
+        return { success: true, event: reserved };
+      }
+    }
+
+    return { success: false, error: 'Event is busy, please try again' };
+  }
+
+  // Unconditional seat count change, for a party whose RSVP already records it
+  async adjustSeats(eventId, occurrenceId, { ticketTypeId = null, seats }) {
+    return EventService.events.updateOne(
+      { id: eventId },
+      {
+        $inc: {
+          [slotField(occurrenceId, 'currentAttendees')]: seats,
+          ...(ticketTypeId ? { [slotField(occurrenceId, `ticketCounts.${ticketTypeId}`)]: seats } : {})
+        }
+      }
+    );
+  }
+
+  /**
+   * Stored form of validated guests: one entry per guest, name or null
+   */
+  normalizeGuests(guests) {
+    if (guests === undefined || guests === null) {
+      return [];
+    }
+    if (Array.isArray(guests)) {
+      return guests.map(name => (name && Validators.sanitizeString(name)) || null);
+    }
+    return Array.from({ length: guests }, () => null);
+  }
+
+  /**
+   * The event or occurrence a user can still respond to: it exists, is
+   * upcoming and not cancelled
+   */
+  async findOpenEvent(eventId, occurrenceId) {
+    const eventResult = await EventService.getEventById(eventId, occurrenceId);
+
+    if (!eventResult.success) {
+      return eventResult;
+    }
+
+    const event = eventResult.event;
+
+    if (!isOpen(event)) {
+      return { success: false, error: event.status === 'cancelled' ? 'This event has been cancelled' : 'This event has ended' };
+    }
+
+    if (!occurrenceId && RecurrenceService.isRecurring(event)) {
+      return { success: false, error: 'Choose an occurrence of this recurring event' };
+    }
+
+    if (event.cancelled) {
+      return { success: false, error: 'This occurrence has been cancelled' };
+    }
+
+    // Check if event is in the future
+    if (new Date(event.date) <= new Date()) {
+      return { success: false, error: 'Cannot RSVP to past events' };
+    }
+
+    return { success: true, event };
+  }
+
+  /**
+   * RSVP for the user and, where the event allows it, `guests` (a count
+   * or a list of names) with a ticket type where the event has them
+   */
+  async createRSVP(eventId, userId, occurrenceId = null, { ticketTypeId = null, guests } = {}) {
+    try {
+      const open = await this.findOpenEvent(eventId, occurrenceId);
+
+      if (!open.success) {
+        return open;
+      }
+
+      const event = open.event;
+
+      // `event` is formatted and only lists public tiers, so resolve on the stored one
+      const stored = await EventService.events.findById(event.id);
+
+      const guestErrors = Validators.validateGuests(guests, stored.maxGuests || 0);
+      if (guestErrors.length > 0) {
+        return { success: false, error: guestErrors.join('. ') };
+      }
+      const party = this.normalizeGuests(guests);
+      const seats = party.length + 1;
+
+      const { ticketType, error: ticketError } = resolveTicketType(stored, ticketTypeId);
+
+      if (ticketError) {
+        return { success: false, error: ticketError };
+      }
+
+      const closed = ticketType && saleError(ticketType);
+      if (closed) {
+        return { success: false, error: closed };
+      }
+
+      const chosenType = ticketType ? ticketType.id : null;
+      const reservation = await this.reserveSeat(event.id, userId, occurrenceId, { ticketTypeId: chosenType, seats });
+
+      if (reservation.full) {
+        const queued = await this.joinWaitlist(event.id, userId, occurrenceId, { ticketTypeId: chosenType, guests: party });
+        if (queued.success) {
+          await this.clearResponses(event.id, userId, occurrenceId);
+        }
+        return queued;
+      }
+
+      if (!reservation.success) {
+        return reservation;
+      }
+
+      let rsvp;
+      try {
+        // Ids come from the repository's counter, not the clock
+        rsvp = await this.rsvps.insert({
+          userId,
+          eventId: event.id,
+          occurrenceId,
+          ticketType: chosenType,
+          guests: party,
+          seats,
+          status: 'attending',
+          createdAt: new Date().toISOString()
+        });
+      } catch (error) {
+        // Give the seats back so the count matches the RSVP records
+        await this.releaseSeat(event.id, userId, occurrenceId, { ticketTypeId: chosenType, seats });
+        throw error;
+      }
+
+      await this.clearResponses(event.id, userId, occurrenceId);
+
+      Logger.info(`RSVP created for event ${eventId}${occurrenceId ? ` (${occurrenceId})` : ''} by user ${userId}`);
+
+      const ticketCode = TicketService.codeFor(rsvp);
+      await NotificationService.notify('rsvp.confirmed', [userId], {
+        event: NotificationService.describeEvent(reservation.event, occurrenceId),
+        seats,
+        ticketCode
+      });
+      await WebhookService.publish('rsvp.created', reservation.event, { occurrenceId, rsvp });
+
+      return {
+        success: true,
+        message: 'RSVP successful',
+        event: this.present(reservation.event, occurrenceId),
+        ticket: { code: ticketCode }
+      };
+    } catch (error) {
+      Logger.error('Error creating RSVP', error);
+      return { success: false, error: 'Failed to process RSVP' };
+    }
+  }
+
+  // Tell the user about a change to their RSVP, unless the event is gone
+  async notifyUser(type, userId, eventId, occurrenceId, details = {}) {
+    const event = await EventService.events.findById(eventId);
+    if (event) {
+      await NotificationService.notify(type, [userId], { ...details, event: NotificationService.describeEvent(event, occurrenceId) });
+    }
+  }
+
+  // Tell the organizer's webhooks about an RSVP that ended
+  async publishCancellation(rsvp) {
+    const event = await EventService.events.findById(rsvp.eventId);
+    if (event) {
+      await WebhookService.publish('rsvp.cancelled', event, { occurrenceId: rsvp.occurrenceId || null, rsvp });
+    }
+  }
+
+  // An RSVP or waitlist entry replaces an earlier interested/maybe/declined
+  async clearResponses(eventId, userId, occurrenceId) {
+    return this.rsvps.deleteMany({ userId, eventId, occurrenceId, status: { $in: RESPONSE_STATUSES } });
+  }
+
+  async joinWaitlist(eventId, userId, occurrenceId = null, party = {}) {
+    const result = await WaitlistService.join(eventId, userId, occurrenceId, party);
+
+    if (!result.success) {
+      return result;
+    }
+
+    await WebhookService.publish('rsvp.created', result.event, { occurrenceId, rsvp: result.rsvp });
+
+    // A seat freed up while joining and we were first in line
+    if (result.promoted) {
+      return {
+        success: true,
+        message: 'RSVP successful',
+        event: this.present(result.event, occurrenceId)
+      };
+    }
+
+    await NotificationService.notify('rsvp.waitlisted', [userId], {
+      event: NotificationService.describeEvent(result.event, occurrenceId),
+      position: result.position
+    });
+
+    return {
+      success: true,
+      waitlisted: true,
+      position: result.position,
+      message: `Event is at full capacity. You are number ${result.position} on the waitlist`,
+      event: this.present(result.event, occurrenceId)
+    };
+  }
+
+  async cancelRSVP(eventId, userId, occurrenceId = null) {
+    try {
+      // Claiming the RSVP atomically means only one cancel releases the seat
+      const rsvp = await this.rsvps.updateOne(
+        { userId, eventId: parseInt(eventId), occurrenceId, status: 'attending' },
+        { $set: { status: 'cancelled', cancelledAt: new Date().toISOString() } }
+      );
+
+      if (!rsvp) {
+        return { success: false, error: 'No active RSVP found for this event' };
+      }
+
+      await this.releaseSeat(rsvp.eventId, userId, occurrenceId, { ticketTypeId: rsvp.ticketType, seats: seatsOf(rsvp) });
+      await WaitlistService.promote(rsvp.eventId, occurrenceId);
+
+      Logger.info(`RSVP cancelled for event ${eventId} by user ${userId}`);
+
+      await this.notifyUser('rsvp.cancelled', userId, rsvp.eventId, occurrenceId);
+      await this.publishCancellation(rsvp);
+
+      return {
+        success: true,
+        message: 'RSVP cancelled successfully',
+        event: (await EventService.getEventById(eventId, occurrenceId)).event
+      };
+    } catch (error) {
+      Logger.error('Error cancelling RSVP', error);
+      return { success: false, error: 'Failed to cancel RSVP' };
+    }
+  }
+
+  /**
+   * Change the guests on the user's RSVP. Extra seats are taken only when
+   * they are free; seats given up go to the waitlist.
+   */
+  async updateGuests(eventId, userId, occurrenceId = null, guests) {
+    try {
+      const rsvp = await this.rsvps.findOne({
+        userId, eventId: parseInt(eventId), occurrenceId, status: { $in: ['attending', 'waitlisted'] }
+      });
+
+      if (!rsvp) {
+        return { success: false, error: 'No active RSVP found for this event' };
+      }
+
+      const event = await EventService.events.findById(rsvp.eventId);
+
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+
+      if (guests === undefined) {
+        return { success: false, error: 'Guests are required' };
+      }
+
+      const guestErrors = Validators.validateGuests(guests, event.maxGuests || 0);
+      if (guestErrors.length > 0) {
+        return { success: false, error: guestErrors.join('. ') };
+      }
+
+      const party = this.normalizeGuests(guests);
+      const seats = party.length + 1;
+      const change = seats - seatsOf(rsvp);
+      const attending = rsvp.status === 'attending';
+      const seatOptions = { ticketTypeId: rsvp.ticketType || null };
+
+      if (attending && change > 0) {
+        const added = await this.addSeats(event.id, userId, occurrenceId, { ...seatOptions, extra: change });
+        if (!added.success) {
+          return added;
+        }
+      }
+
+      // Only apply the change to the RSVP it was worked out from
+      const updated = await this.rsvps.updateOne(
+        { id: rsvp.id, status: rsvp.status, seats: rsvp.seats === undefined ? { $exists: false } : rsvp.seats },
+        { $set: { guests: party, seats } }
+      );
+
+      if (!updated) {
+        if (attending && change > 0) {
+          await this.adjustSeats(event.id, occurrenceId, { ...seatOptions, seats: -change });
+        }
+        return { success: false, error: 'Your RSVP changed in the meantime, please try again' };
+      }
+
+      // The RSVP now records the smaller party, so the seats are released
+      // even if it is cancelled right after
+      if (attending && change < 0) {
+        await this.adjustSeats(event.id, occurrenceId, { ...seatOptions, seats: change });
+      }
+      if (!attending || change < 0) {
+        await WaitlistService.promote(event.id, occurrenceId);
+      }
+
+      Logger.info(`Guests on RSVP ${rsvp.id} changed from ${seatsOf(rsvp) - 1} to ${party.length}`);
+
+      return {
+        success: true,
+        message: 'Guests updated',
+        guests: party,
+        seats,
+        event: (await EventService.getEventById(event.id, occurrenceId)).event
+      };
+    } catch (error) {
+      Logger.error('Error updating guests', error);
+      return { success: false, error: 'Failed to update guests' };
+    }
+  }
+
+  /**
+   * Set the user's response to 'attending', which goes through the same
+   * seat reservation as an RSVP, or to one of RESPONSE_STATUSES, which
+   * hold no seat. Seats given up go to the waitlist.
+   */
+  async respond(eventId, userId, occurrenceId = null, status, { ticketTypeId = null, guests } = {}) {
+    try {
+      if (!['attending', ...RESPONSE_STATUSES].includes(status)) {
+        return { success: false, error: `Invalid status. Use one of: attending, ${RESPONSE_STATUSES.join(', ')}` };
+      }
+
+      const current = await this.rsvps.findOne({
+        userId, eventId: parseInt(eventId), occurrenceId, status: { $in: ACTIVE_STATUSES }
+      });
+
+      if (current && current.status === status) {
+        return { success: false, error: `Your response is already ${status}` };
+      }
+
+      if (status === 'attending') {
+        const result = await this.createRSVP(eventId, userId, occurrenceId, { ticketTypeId, guests });
+        return result.success ? { ...result, status: result.waitlisted ? 'waitlisted' : 'attending' } : result;
+      }
+
+      const open = await this.findOpenEvent(eventId, occurrenceId);
+
+      if (!open.success) {
+        return open;
+      }
+
+      const respondedAt = new Date().toISOString();
+
+      if (!current) {
+        await this.rsvps.insert({
+          userId,
+          eventId: open.event.id,
+          occurrenceId,
+          status,
+          createdAt: respondedAt
+        });
+      } else {
+        // Claiming the RSVP atomically means only one change releases its seats
+        const claimed = await this.rsvps.updateOne(
+          { id: current.id, status: current.status },
+          { $set: { status, respondedAt } }
+        );
+
+        if (!claimed) {
+          return { success: false, error: 'Your RSVP changed in the meantime, please try again' };
+        }
+
+        if (current.status === 'attending') {
+          await this.releaseSeat(current.eventId, userId, occurrenceId, { ticketTypeId: current.ticketType, seats: seatsOf(current) });
+          await WaitlistService.promote(current.eventId, occurrenceId);
+          await this.notifyUser('rsvp.cancelled', userId, current.eventId, occurrenceId);
+          await this.publishCancellation(claimed);
+        } else if (current.status === 'waitlisted') {
+          await EventService.events.updateOne(
+            { id: current.eventId },
+            { $pull: { [slotField(occurrenceId, 'waitlist')]: userId } }
+          );
+          await this.publishCancellation(claimed);
+        }
+      }
+
+      Logger.info(`User ${userId} responded ${status} to event ${eventId}${occurrenceId ? ` (${occurrenceId})` : ''}`);
+
+      return {
+        success: true,
+        message: `Response saved: ${status}`,
+        status,
+        event: (await EventService.getEventById(open.event.id, occurrenceId)).event
+      };
+    } catch (error) {
+      Logger.error('Error saving response', error);
+      return { success: false, error: 'Failed to save response' };
+    }
+  }
+
+  async getWaitlistPosition(eventId, userId, occurrenceId = null) {
+    try {
+      return await WaitlistService.getPosition(eventId, userId, occurrenceId);
+    } catch (error) {
+      Logger.error('Error checking waitlist position', error);
+      return { success: false, error: 'Failed to check waitlist position' };
+    }
+  }
+
+  async leaveWaitlist(eventId, userId, occurrenceId = null) {
+    try {
+      const { rsvp, ...result } = await WaitlistService.leave(eventId, userId, occurrenceId);
+
+      if (result.success) {
+        await this.publishCancellation(rsvp);
+      }
+
+      return result;
+    } catch (error) {
+      Logger.error('Error leaving waitlist', error);
+      return { success: false, error: 'Failed to leave waitlist' };
+    }
+  }
+
+  async getUserRSVPs(userId) {
+    try {
+      const userRsvps = await this.rsvps.find(
+        { userId, status: 'attending' },
+        { sort: { createdAt: -1 } }
+      );
+      const attendingEvents = (await Promise.all(
+        userRsvps.map(rsvp => EventService.getEventById(rsvp.eventId, rsvp.occurrenceId))
+      ))
+        .map(result => result.event)
+        .filter(event => event);
+
+      Logger.info(`Retrieved ${attendingEvents.length} RSVPs for user ${userId}`);
+      return { success: true, events: attendingEvents };
+    } catch (error) {
+      Logger.error('Error retrieving user RSVPs', error);
+      return { success: false, error: 'Failed to retrieve RSVPs' };
+    }
+  }
+
+  /**
+   * The user's events grouped by their response, or only those with
+   * `status` (one of ACTIVE_STATUSES)
+   */
+  async getUserResponses(userId, status = null) {
+    try {
+      if (status && !ACTIVE_STATUSES.includes(status)) {
+        return { success: false, error: `Invalid status. Use one of: ${ACTIVE_STATUSES.join(', ')}` };
+      }
+
+      const statuses = status ? [status] : ACTIVE_STATUSES;
+      const userRsvps = await this.rsvps.find(
+        { userId, status: { $in: statuses } },
+        { sort: { createdAt: -1 } }
+      );
+      const results = await Promise.all(
+        userRsvps.map(rsvp => EventService.getEventById(rsvp.eventId, rsvp.occurrenceId))
+      );
+
+      const responses = Object.fromEntries(statuses.map(name => [name, []]));
+      userRsvps.forEach((rsvp, index) => {
+        if (results[index].success) {
+          responses[rsvp.status].push(results[index].event);
+        }
+      });
+
+      return { success: true, responses };
+    } catch (error) {
+      Logger.error('Error retrieving user responses', error);
+      return { success: false, error: 'Failed to retrieve responses' };
+    }
+  }
+
+  /**
+   * Upcoming events and occurrences the organizer cancelled or deleted
+   * while the user was signed up for them
+   */
+  async getUserCancellations(userId) {
+    try {
+      const cancelled = await this.rsvps.find(
+        { userId, status: 'cancelled', cancelReason: { $exists: true } },
+        { sort: { cancelledAt: -1 } }
+      );
+
+      const now = new Date();
+      const events = (await Promise.all(cancelled.map(async rsvp => {
+        // Deleted events only survive as the snapshot taken at deletion
+        const event = rsvp.eventSnapshot || await EventService.events.findById(rsvp.eventId);
+        if (!event) {
+          return null;
+        }
+        return rsvp.occurrenceId ? RecurrenceService.toInstance(event, rsvp.occurrenceId) : event;
+      })))
+        .filter(event => event && new Date(event.date) > now);
+
+      return { success: true, events };
+    } catch (error) {
+      Logger.error('Error retrieving cancelled RSVPs', error);
+      return { success: false, error: 'Failed to retrieve cancelled RSVPs' };
+    }
+  }
+
+  async checkRSVPStatus(eventId, userId, occurrenceId = null) {
+    try {
+      const rsvp = await this.rsvps.findOne({
+        userId, eventId: parseInt(eventId), occurrenceId, status: { $in: ACTIVE_STATUSES }
+      });
+      const attending = !!rsvp && rsvp.status === 'attending';
+
+      return {
+        success: true,
+        hasRSVP: attending,
+        status: rsvp ? rsvp.status : null,
+        rsvp: attending ? rsvp : null
+      };
+    } catch (error) {
+      Logger.error('Error checking RSVP status', error);
+      return { success: false, error: 'Failed to check RSVP status' };
+    }
+  }
+
+  /**
+   * The event behind an attendee list, if `user` may manage it
+   */
+  async findOwnEvent(eventId, user, occurrenceId) {
+    const event = await EventService.events.findById(parseInt(eventId));
+
+    if (!event) {
+      return { error: 'Event not found' };
+    }
+
+    if (!canManageEvent(user, event.creator)) {
+      return { error: 'Not authorized to view attendees' };
+    }
+
+    if (occurrenceId && !RecurrenceService.hasOccurrence(event, occurrenceId)) {
+      return { error: 'Occurrence not found' };
+    }
+
+    return { event };
+  }
+
+  /**
+   * Number of RSVPs in each status for the event's organizers, with the
+   * seats taken where there is a single slot to count them in
+   */
+  async getResponseCounts(eventId, user, occurrenceId = null) {
+    try {
+      const event = await EventService.events.findById(parseInt(eventId));
+
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+
+      if (!canManageEvent(user, event.creator)) {
+        return { success: false, error: 'Not authorized to view responses for this event' };
+      }
+
+      if (occurrenceId && !RecurrenceService.hasOccurrence(event, occurrenceId)) {
+        return { success: false, error: 'Occurrence not found' };
+      }
+
+      const filter = { eventId: event.id, ...(occurrenceId ? { occurrenceId } : {}) };
+      const totals = await Promise.all(ATTENDEE_STATUSES.map(status => this.rsvps.count({ ...filter, status })));
+      const slot = readSlot(event, occurrenceId);
+
+      return {
+        success: true,
+        counts: Object.fromEntries(ATTENDEE_STATUSES.map((status, index) => [status, totals[index]])),
+        ...(occurrenceId || !RecurrenceService.isRecurring(event)
+          ? { seatsTaken: slot.currentAttendees, capacity: slot.capacity }
+          : {})
+      };
+    } catch (error) {
+      Logger.error('Error counting responses', error);
+      return { success: false, error: 'Failed to count responses' };
+    }
+  }
+
+  /**
+   * RSVP records joined with the user's name and email. Waitlisted
+   * entries carry their current position in the queue; `seats` counts the
+   * attendee and their guests.
+   */
+  async toAttendees(event, rsvps) {
+    const userIds = [...new Set(rsvps.map(rsvp => rsvp.userId))];
+    const users = userIds.length === 0 ? [] : await UserService.users.find({ id: { $in: userIds } });
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    return rsvps.map(rsvp => {
+      const user = usersById.get(rsvp.userId);
+      return {
+        id: rsvp.userId,
+        name: user ? user.name : null,
+        email: user ? user.email : null,
+        status: rsvp.status,
+        ...(rsvp.occurrenceId ? { occurrenceId: rsvp.occurrenceId } : {}),
+        ...(rsvp.ticketType ? { ticketType: rsvp.ticketType } : {}),
+        guests: rsvp.guests || [],
+        seats: seatsOf(rsvp),
+        rsvpDate: rsvp.createdAt,
+        ...(rsvp.promotedAt ? { promotedAt: rsvp.promotedAt } : {}),
+        ...(rsvp.respondedAt ? { respondedAt: rsvp.respondedAt } : {}),
+        ...(rsvp.cancelledAt ? { cancelledAt: rsvp.cancelledAt } : {}),
+        ...(rsvp.status === 'waitlisted'
+          ? { waitlistPosition: WaitlistService.getPositionIn(event, rsvp.userId, rsvp.occurrenceId) }
+          : {})
+      };
+    });
+  }
+
+  /**
+   * A page of an event's attendees, for its creator only. For recurring
+   * events this covers one occurrence, or every occurrence when none is
+   * given. `status` is one of ATTENDEE_STATUSES or 'all'.
+   */
+  async getEventAttendees(eventId, user, { occurrenceId = null, status = 'attending', page, limit } = {}) {
+    try {
+      if (status !== 'all' && !ATTENDEE_STATUSES.includes(status)) {
+        return { success: false, error: `Invalid status. Use one of: ${[...ATTENDEE_STATUSES, 'all'].join(', ')}` };
+      }
+
+      const { event, error } = await this.findOwnEvent(eventId, user, occurrenceId);
+
+      if (error) {
+        return { success: false, error };
+      }
+
+      const filter = {
+        eventId: event.id,
+        ...(occurrenceId ? { occurrenceId } : {}),
+        ...(status !== 'all' ? { status } : {})
+      };
+      const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_ATTENDEE_PAGE_SIZE, 1), MAX_ATTENDEE_PAGE_SIZE);
+      const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+      const [total, rsvps] = await Promise.all([
+        this.rsvps.count(filter),
+        this.rsvps.find(filter, {
+          sort: { createdAt: 1, id: 1 },
+          skip: (pageNumber - 1) * pageSize,
+          limit: pageSize
+        })
+      ]);
+      const totalPages = Math.ceil(total / pageSize);
+
+      return {
+        success: true,
+        attendees: await this.toAttendees(event, rsvps),
+        capacity: readSlot(event, occurrenceId).capacity,
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          totalPages,
+          hasNextPage: pageNumber < totalPages,
+          hasPrevPage: pageNumber > 1
+        }
+      };
+    } catch (error) {
+      Logger.error('Error retrieving attendees', error);
+      return { success: false, error: 'Failed to retrieve attendees' };
+    }
+  }
+
+  /**
+   * Every RSVP of an event, including waitlisted and cancelled ones, as a
+   * CSV file for the event's creator
+   */
+  async exportAttendees(eventId, user, occurrenceId = null) {
+    try {
+      const { event, error } = await this.findOwnEvent(eventId, user, occurrenceId);
+
+      if (error) {
+        return { success: false, error };
+      }
+
+      const rsvps = await this.rsvps.find(
+        { eventId: event.id, ...(occurrenceId ? { occurrenceId } : {}) },
+        { sort: { createdAt: 1, id: 1 } }
+      );
+      const attendees = await this.toAttendees(event, rsvps);
+      const withOccurrences = RecurrenceService.isRecurring(event);
+      const withTicketTypes = hasTicketTypes(event);
+      const ticketTypeName = id => (findTicketType(event, id) || { name: id }).name;
+
+      const rows = [
+        [
+          'Name',
+          'Email',
+          'Status',
+          'Waitlist Position',
+          ...(withOccurrences ? ['Occurrence'] : []),
+          ...(withTicketTypes ? ['Ticket Type'] : []),
+          'Guests',
+          'Guest Names',
+          'RSVP Date',
+          'Promoted At',
+          'Cancelled At'
+        ],
+        ...attendees.map(attendee => [
+          attendee.name,
+          attendee.email,
+          attendee.status,
+          attendee.waitlistPosition,
+          ...(withOccurrences ? [attendee.occurrenceId] : []),
+          ...(withTicketTypes ? [attendee.ticketType ? ticketTypeName(attendee.ticketType) : null] : []),
+          attendee.guests.length,
+          attendee.guests.filter(Boolean).join('; '),
+          attendee.rsvpDate,
+          attendee.promotedAt,
+          attendee.cancelledAt
+        ])
+      ];
+
+      Logger.info(`Exported ${attendees.length} attendees of event ${event.id} for user ${user.id}`);
+
+      return {
+        success: true,
+        // The byte order mark makes spreadsheet apps read the file as UTF-8
+        csv: '\uFEFF' + toCsv(rows),
+        filename: `event-${event.id}${occurrenceId ? `-${occurrenceId}` : ''}-attendees.csv`
+      };
+    } catch (error) {
+      Logger.error('Error exporting attendees', error);
+      return { success: false, error: 'Failed to export attendees' };
+    }
+  }
+}
+
+module.exports = new RSVPService();
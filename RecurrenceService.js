@@ -0,0 +1,414 @@
+/**
+ * Recurrence Service
+ * Occurrence expansion, per-occurrence overrides and cancellation, and
+ * "this and following" splits for recurring event series
+ */
+
+const Logger = require('../utils/logger');
+const DatabaseManager = require('../config/database');
+const WaitlistService = require('./WaitlistService');
+const NotificationService = require('./NotificationService');
+const { readSlot, slotField } = require('../utils/seats');
+const {
+  toOccurrenceKey,
+  fromOccurrenceKey,
+  parseDateValue,
+  parseRule,
+  formatRule,
+  expand,
+  isOccurrence,
+  countBefore,
+  lastOccurrence
+} = require('../utils/recurrence');
+
+// How far ahead occurrences are listed when the query has no end date
+const RECURRENCE_WINDOW_DAYS = parseInt(process.env.RECURRENCE_WINDOW_DAYS) || 90;
+
+// Compare-and-set retries before giving up on a heavily contended series
+const MAX_ATTEMPTS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RecurrenceService {
+  get events() {
+    return DatabaseManager.getRepository('events');
+  }
+
+  get rsvps() {
+    return DatabaseManager.getRepository('rsvps');
+  }
+
+  get windowDays() {
+    return RECURRENCE_WINDOW_DAYS;
+  }
+
+  isRecurring(event) {
+    return !!(event && event.recurrence && event.recurrence.rule);
+  }
+
+  /**
+   * Stored form of a validated { rule, exdates } input: the canonical rule,
+   * exception dates as occurrence keys and the last occurrence (null when
+   * open-ended) so finished series can be skipped in queries
+   */
+  normalize(recurrence, date) {
+    const { rule } = parseRule(recurrence.rule);
+    const dtstart = new Date(date);
+    const last = lastOccurrence(rule, dtstart);
+
+    return {
+      rule: formatRule(rule.parts),
+      exdates: [...new Set((recurrence.exdates || []).map(value => toOccurrenceKey(parseDateValue(value))))].sort(),
+      end: last ? last.toISOString() : null
+    };
+  }
+
+  /**
+   * A single occurrence of a series, shaped like a one-off event. Its
+   * `sequence` grows with every change to the series or the occurrence.
+   */
+  toInstance(series, occurrenceId) {
+    const { occurrences, ...fields } = series;
+    const occurrence = (occurrences || {})[occurrenceId] || {};
+    const slot = readSlot(series, occurrenceId);
+
+    return {
+      ...fields,
+      ...(occurrence.overrides || {}),
+      occurrenceId,
+      seriesStart: series.date,
+      date: (occurrence.overrides || {}).date || fromOccurrenceKey(occurrenceId).toISOString(),
+      capacity: slot.capacity,
+      currentAttendees: slot.currentAttendees,
+      attendees: slot.attendees,
+      waitlist: slot.waitlist,
+      ticketCounts: slot.ticketCounts,
+      cancelled: slot.cancelled,
+      sequence: (series.sequence || 0) + (occurrence.sequence || 0)
+    };
+  }
+
+  /**
+   * Whether `occurrenceId` is generated by the series rule and not excluded
+   */
+  hasOccurrence(series, occurrenceId) {
+    const start = fromOccurrenceKey(occurrenceId);
+    if (!start || (series.recurrence.exdates || []).includes(occurrenceId)) {
+      return false;
+    }
+
+    const { rule } = parseRule(series.recurrence.rule);
+    return isOccurrence(rule, new Date(series.date), start);
+  }
+
+  /**
+   * Occurrences whose (possibly moved) start falls inside [from, to]
+   */
+  expandSeries(series, from, to, { includeCancelled = false } = {}) {
+    const { rule } = parseRule(series.recurrence.rule);
+    const exdates = new Set(series.recurrence.exdates || []);
+
+    const keys = new Set(expand(rule, new Date(series.date), { from, to }).map(toOccurrenceKey));
+
+    // Occurrences moved into the window from outside it
+    Object.entries(series.occurrences || {}).forEach(([key, occurrence]) => {
+      if (occurrence.overrides && occurrence.overrides.date && this.hasOccurrence(series, key)) {
+        keys.add(key);
+      }
+    });
+
+    return [...keys]
+      .filter(key => !exdates.has(key))
+      .map(key => this.toInstance(series, key))
+      .filter(instance => {
+        const date = new Date(instance.date);
+        return date >= from && date <= to && (includeCancelled || !instance.cancelled);
+      })
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  }
+
+  hasActiveAttendance(series, fromKey = null) {
+    return Object.entries(series.occurrences || {}).some(([key, occurrence]) =>
+      (!fromKey || key >= fromKey) &&
+      ((occurrence.attendees || []).length > 0 || (occurrence.waitlist || []).length > 0)
+    );
+  }
+
+  /**
+   * Highest attendee count among occurrences that use the series capacity
+   */
+  maxAttendeesAtSeriesCapacity(series) {
+    return Math.max(0, ...Object.values(series.occurrences || {})
+      .filter(occurrence => !occurrence.overrides || occurrence.overrides.capacity === undefined)
+      .map(occurrence => occurrence.currentAttendees || 0));
+  }
+
+  async promoteAll(series) {
+    for (const key of Object.keys(series.occurrences || {})) {
+      await WaitlistService.promote(series.id, key);
+    }
+  }
+
+  /**
+   * Change fields of one occurrence
+   */
+  async updateOccurrence(series, occurrenceId, changes) {
+    const filter = {
+      id: series.id,
+      [slotField(occurrenceId, 'cancelled')]: { $ne: true }
+    };
+
+    // Re-check the attendee count in the same write, as updateEvent does
+    if (changes.capacity !== undefined) {
+      filter.$or = [
+        { [slotField(occurrenceId, 'currentAttendees')]: { $exists: false } },
+        { [slotField(occurrenceId, 'currentAttendees')]: { $lte: changes.capacity } }
+      ];
+    }
+
+    const update = {};
+    Object.entries(changes).forEach(([field, value]) => {
+      update[slotField(occurrenceId, `overrides.${field}`)] = value;
+    });
+
+    const updated = await this.events.updateOne(filter, {
+      $set: update,
+      $inc: { [slotField(occurrenceId, 'sequence')]: 1 }
+    });
+
+    if (!updated) {
+      const current = await this.events.findById(series.id);
+      const slot = current ? readSlot(current, occurrenceId) : null;
+      return {
+        success: false,
+        error: !slot ? 'Event not found'
+          : slot.cancelled ? 'This occurrence has been cancelled'
+            : `Cannot reduce capacity below current attendees (${slot.currentAttendees})`
+      };
+    }
+
+    if (changes.capacity !== undefined) {
+      await WaitlistService.promote(series.id, occurrenceId);
+    }
+
+    Logger.info(`Occurrence ${occurrenceId} of event ${series.id} updated`);
+    return { success: true, event: this.toInstance(await this.events.findById(series.id), occurrenceId) };
+  }
+
+  /**
+   * Cancel one occurrence; its RSVPs and waitlist are cancelled with it
+   */
+  async cancelOccurrence(series, occurrenceId) {
+    const updated = await this.events.updateOne(
+      { id: series.id, [slotField(occurrenceId, 'cancelled')]: { $ne: true } },
+      {
+        $set: {
+          [slotField(occurrenceId, 'cancelled')]: true,
+          [slotField(occurrenceId, 'currentAttendees')]: 0,
+          [slotField(occurrenceId, 'attendees')]: [],
+          [slotField(occurrenceId, 'waitlist')]: []
+        },
+        $inc: { [slotField(occurrenceId, 'sequence')]: 1 }
+      }
+    );
+
+    if (!updated) {
+      return { success: false, error: 'This occurrence has already been cancelled' };
+    }
+
+    const cancelledRsvps = await this.cancelRsvps(series, { occurrenceId });
+    Logger.info(`Occurrence ${occurrenceId} of event ${series.id} cancelled, ${cancelledRsvps} RSVPs cancelled`);
+
+    return { success: true, message: 'Occurrence cancelled', cancelledRsvps };
+  }
+
+  /**
+   * Cancel every answer on behalf of the organizer, including interested,
+   * maybe and declined, and tell everyone who answered. They are told
+   * first, while the answers still say who was going and who had declined.
+   * `cancelReason` lets calendar feeds tell these apart from users changing
+   * their minds. `event` is the event as it was before the cancellation.
+   */
+  async cancelRsvps(event, occurrenceFilter) {
+    await NotificationService.notifyAudience('event.cancelled', event, { occurrenceFilter });
+
+    return this.rsvps.updateMany(
+      { eventId: event.id, ...occurrenceFilter, status: { $ne: 'cancelled' } },
+      { $set: { status: 'cancelled', cancelReason: 'event-cancelled', cancelledAt: new Date().toISOString() } }
+    );
+  }
+
+  /**
+   * End the series just before `occurrenceId`. The write is guarded on the
+   * occurrence state we read, so an RSVP landing meanwhile forces a retry
+   * instead of being lost. Returns the series as it was before truncation.
+   */
+  async truncate(eventId, occurrenceId) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const series = await this.events.findById(eventId);
+
+      if (!series || !this.isRecurring(series)) {
+        return { success: false, error: 'Event not found' };
+      }
+
+      const { rule } = parseRule(series.recurrence.rule);
+      const start = fromOccurrenceKey(occurrenceId);
+
+      if (countBefore(rule, new Date(series.date), start) === 0) {
+        return { success: false, error: 'This is the first occurrence; update or delete the whole event instead' };
+      }
+
+      const parts = { ...rule.parts, UNTIL: toOccurrenceKey(new Date(start.getTime() - 1000)) };
+      delete parts.COUNT;
+
+      const truncated = {
+        rule: formatRule(parts),
+        exdates: (series.recurrence.exdates || []).filter(key => key < occurrenceId),
+        end: null
+      };
+      const last = lastOccurrence(parseRule(truncated.rule).rule, new Date(series.date));
+      truncated.end = last ? last.toISOString() : null;
+
+      const removed = Object.keys(series.occurrences || {}).filter(key => key >= occurrenceId);
+      const update = { $set: { recurrence: truncated }, $inc: { sequence: 1 } };
+      if (removed.length > 0) {
+        update.$unset = Object.fromEntries(removed.map(key => [`occurrences.${key}`, '']));
+      }
+
+      const updated = await this.events.updateOne(
+        {
+          id: series.id,
+          'recurrence.rule': series.recurrence.rule,
+          occurrences: series.occurrences === undefined ? { $exists: false } : series.occurrences
+        },
+        update
+      );
+
+      if (updated) {
+        return { success: true, series, updated };
+      }
+    }
+
+    return { success: false, error: 'Event is busy, please try again' };
+  }
+
+  /**
+   * Cancel `occurrenceId` and every later occurrence
+   */
+  async cancelFollowing(eventId, occurrenceId) {
+    const result = await this.truncate(eventId, occurrenceId);
+
+    if (!result.success) {
+      return result;
+    }
+
+    const cancelledRsvps = await this.cancelRsvps(result.series, { occurrenceId: { $gte: occurrenceId } });
+    Logger.info(`Event ${eventId} cancelled from ${occurrenceId} on, ${cancelledRsvps} RSVPs cancelled`);
+
+    return { success: true, message: 'This and following occurrences cancelled', cancelledRsvps };
+  }
+
+  /**
+   * Apply `changes` to `occurrenceId` and every later occurrence by ending
+   * the series there and starting a new one. Occurrence state, exception
+   * dates and RSVPs move to the new series, shifted if the start moved.
+   * `uidOrigin` keeps calendar UIDs of the moved occurrences unchanged.
+   */
+  async splitFollowing(eventId, occurrenceId, changes) {
+    const current = await this.events.findById(eventId);
+    const { rule } = parseRule(current.recurrence.rule);
+    const occurrenceStart = fromOccurrenceKey(occurrenceId);
+    const newStart = changes.date ? new Date(changes.date) : occurrenceStart;
+    const shift = newStart.getTime() - occurrenceStart.getTime();
+
+    const hasByParts = rule.byDay.length > 0 || rule.byMonthDay.length > 0 || rule.byMonth.length > 0;
+    if (hasByParts && Math.floor(newStart / DAY_MS) !== Math.floor(occurrenceStart / DAY_MS)) {
+      return {
+        success: false,
+        error: 'Moving this and following occurrences to another day is only supported for rules without BYDAY, BYMONTHDAY or BYMONTH'
+      };
+    }
+
+    const moved = Object.entries(current.occurrences || {}).filter(([key]) => key >= occurrenceId);
+    if (changes.capacity !== undefined) {
+      const busiest = Math.max(0, ...moved
+        .filter(([, occurrence]) => !occurrence.overrides || occurrence.overrides.capacity === undefined)
+        .map(([, occurrence]) => occurrence.currentAttendees || 0));
+      if (changes.capacity < busiest) {
+        return { success: false, error: `Cannot reduce capacity below current attendees (${busiest})` };
+      }
+    }
+
+    const result = await this.truncate(eventId, occurrenceId);
+    if (!result.success) {
+      return result;
+    }
+
+    const { series } = result;
+    const shiftKey = key => toOccurrenceKey(new Date(fromOccurrenceKey(key).getTime() + shift));
+
+    const parts = { ...rule.parts };
+    if (rule.count) {
+      parts.COUNT = String(rule.count - countBefore(rule, new Date(series.date), occurrenceStart));
+    }
+    if (rule.until) {
+      parts.UNTIL = toOccurrenceKey(new Date(rule.until.getTime() + shift));
+    }
+
+    const occurrences = {};
+    Object.entries(series.occurrences || {})
+      .filter(([key]) => key >= occurrenceId)
+      .forEach(([key, occurrence]) => {
+        occurrences[shiftKey(key)] = occurrence;
+      });
+
+    const { id, date, createdAt, recurrence, sequence = 0, uidOrigin, ...fields } = series;
+    const newRecurrence = {
+      rule: formatRule(parts),
+      exdates: (recurrence.exdates || []).filter(key => key >= occurrenceId).map(shiftKey)
+    };
+
+    let created;
+    try {
+      created = await this.events.insert({
+        ...fields,
+        ...changes,
+        date: newStart.toISOString(),
+        recurrence: this.normalize(newRecurrence, newStart),
+        occurrences,
+        sequence: sequence + 1,
+        uidOrigin: {
+          id: uidOrigin ? uidOrigin.id : id,
+          shift: (uidOrigin ? uidOrigin.shift : 0) + shift
+        },
+        splitFrom: id,
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      // Put the original series back
+      await this.events.updateById(id, { $set: { recurrence, occurrences: series.occurrences || {} } });
+      throw error;
+    }
+
+    // Answers that hold no seat can be for occurrences without a slot
+    const answered = (await this.rsvps.find({ eventId: id, occurrenceId: { $gte: occurrenceId } }))
+      .map(rsvp => rsvp.occurrenceId);
+    const movedKeys = new Set([...Object.keys(series.occurrences || {}).filter(key => key >= occurrenceId), ...answered]);
+
+    for (const key of movedKeys) {
+      await this.rsvps.updateMany(
+        { eventId: id, occurrenceId: key },
+        { $set: { eventId: created.id, occurrenceId: shiftKey(key) } }
+      );
+    }
+
+    if (changes.capacity !== undefined) {
+      await this.promoteAll(created);
+    }
+
+    Logger.info(`Event ${id} split at ${occurrenceId} into new series ${created.id}`);
+    return { success: true, event: created, previous: result.updated };
+  }
+}
+
+module.exports = new RecurrenceService();
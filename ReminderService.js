@@ -0,0 +1,215 @@
+/**
+ * Reminder Service
+ * In-process scheduler that reminds attendees of upcoming events at
+ * configurable offsets before they start (REMINDER_OFFSETS, e.g. "24h,1h").
+ * Each pass looks at events starting within the largest offset and queues
+ * the reminders that are due as notifications. Sent reminders are recorded
+ * per event, occurrence and start time, so a restart sends nothing twice
+ * and an event moved to a new time is reminded again for that time.
+ */
+
+const Logger = require('../utils/logger');
+const DatabaseManager = require('../config/database');
+const RecurrenceService = require('./RecurrenceService');
+const NotificationService = require('./NotificationService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.REMINDER_POLL_INTERVAL_MS) || 60 * 1000;
+const DEFAULT_OFFSETS = '24h,1h';
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * "24h,1h" to offsets in milliseconds, largest first; null when any part
+ * is not a whole number of minutes (m), hours (h) or days (d)
+ */
+const parseOffsets = (text) => {
+  const offsets = String(text).split(',').map(part => {
+    const match = /^(\d+)([mhd])$/.exec(part.trim());
+    return match && parseInt(match[1]) > 0 ? parseInt(match[1]) * UNIT_MS[match[2]] : null;
+  });
+
+  if (offsets.some(offset => offset === null)) {
+    return null;
+  }
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+const loadOffsets = () => {
+  const offsets = parseOffsets(process.env.REMINDER_OFFSETS || DEFAULT_OFFSETS);
+  if (!offsets) {
+    Logger.warn(`Invalid REMINDER_OFFSETS "${process.env.REMINDER_OFFSETS}", using ${DEFAULT_OFFSETS}`);
+    return parseOffsets(DEFAULT_OFFSETS);
+  }
+  return offsets;
+};
+
+class ReminderService {
+  constructor() {
+    this.offsets = loadOffsets();
+    this.timer = null;
+    this.processing = null;
+    this.rerun = false;
+    this.stopping = false;
+  }
+
+  get reminders() {
+    return DatabaseManager.getRepository('reminders');
+  }
+
+  get events() {
+    return DatabaseManager.getRepository('events');
+  }
+
+  get rsvps() {
+    return DatabaseManager.getRepository('rsvps');
+  }
+
+  /**
+   * Events and occurrences that are still happening and start in (from, to],
+   * as { event, occurrenceId, date } with `event` the stored document
+   */
+  async findUpcoming(from, to) {
+    const events = await this.events.find({
+      $or: [
+        { date: { $gt: from.toISOString(), $lte: to.toISOString() }, 'recurrence.rule': { $exists: false } },
+        {
+          'recurrence.rule': { $exists: true },
+          date: { $lte: to.toISOString() },
+          $or: [{ 'recurrence.end': null }, { 'recurrence.end': { $gt: from.toISOString() } }]
+        }
+      ],
+      status: { $nin: ['draft', 'cancelled', 'completed'] }
+    });
+
+    return events.flatMap(event => (RecurrenceService.isRecurring(event)
+      ? RecurrenceService.expandSeries(event, from, to)
+        .filter(instance => new Date(instance.date) > from)
+        .map(instance => ({ event, occurrenceId: instance.occurrenceId, date: instance.date }))
+      : [{ event, occurrenceId: null, date: event.date }]));
+  }
+
+  /**
+   * Send the reminder for the smallest offset that is due. Larger offsets
+   * missed while the server was down are skipped, so nobody gets a
+   * "starts in 24 hours" and a "starts in 1 hour" reminder at once.
+   */
+  async remindIfDue({ event, occurrenceId, date }, now) {
+    const startsAt = new Date(date).toISOString();
+    const due = this.offsets.filter(offset => new Date(startsAt).getTime() - offset <= now.getTime());
+
+    if (due.length === 0) {
+      return;
+    }
+
+    const offset = Math.min(...due);
+    const slot = { eventId: event.id, occurrenceId, startsAt };
+
+    // A reminder at this offset or a later one already went out
+    if (await this.reminders.findOne({ ...slot, offset: { $lte: offset }, status: 'sent' })) {
+      return;
+    }
+
+    // Until someone RSVPs there is nobody to remind
+    const attending = await this.rsvps.find({ eventId: event.id, occurrenceId, status: 'attending' });
+    if (attending.length === 0) {
+      return;
+    }
+
+    // A pending record is a reminder interrupted by a restart; the
+    // notification key keeps anyone it reached from getting it again
+    const reminder = await this.reminders.findOne({ ...slot, offset, status: 'pending' }) ||
+      await this.reminders.insert({ ...slot, offset, status: 'pending', createdAt: now.toISOString() });
+
+    const queued = await NotificationService.notify(
+      'event.reminder',
+      attending.map(rsvp => rsvp.userId),
+      { event: NotificationService.describeEvent(event, occurrenceId), startsIn: new Date(startsAt) - now },
+      { key: `reminder:${reminder.id}` }
+    );
+
+    await this.reminders.updateOne(
+      { id: reminder.id },
+      { $set: { status: 'sent', recipients: queued, sentAt: new Date().toISOString() } }
+    );
+
+    Logger.info(`Reminder for event ${event.id}${occurrenceId ? ` (${occurrenceId})` : ''} sent to ${queued} attendees`);
+  }
+
+  async sendDueReminders() {
+    do {
+      this.rerun = false;
+      const now = new Date();
+      const horizon = new Date(now.getTime() + this.offsets[0]);
+
+      for (const upcoming of await this.findUpcoming(now, horizon)) {
+        if (this.stopping) {
+          return;
+        }
+        await this.remindIfDue(upcoming, now);
+      }
+    } while (this.rerun && !this.stopping);
+  }
+
+  /**
+   * Run one pass; calls made while a pass is running are folded into it
+   */
+  async processDue() {
+    if (this.processing) {
+      this.rerun = true;
+      return this.processing;
+    }
+
+    this.processing = this.sendDueReminders()
+      .catch(error => Logger.error('Error sending event reminders', error))
+      .finally(() => {
+        this.processing = null;
+      });
+
+    return this.processing;
+  }
+
+  /**
+   * Called when an event or occurrence moves. Reminders follow the start
+   * time on their own; this only checks right away, so an event moved
+   * close to its start is not reminded one poll late.
+   */
+  reschedule() {
+    if (this.timer) {
+      this.processDue();
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.stopping = false;
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.processDue();
+
+    Logger.info('Reminder scheduler started', { offsetsMs: this.offsets, pollIntervalMs: POLL_INTERVAL_MS });
+  }
+
+  /**
+   * Stop scheduling and let the reminder being sent finish
+   */
+  async stop() {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stopping = true;
+
+    if (this.processing) {
+      await this.processing;
+    }
+
+    Logger.info('Reminder scheduler stopped');
+  }
+}
+
+module.exports = new ReminderService();
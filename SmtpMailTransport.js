@@ -0,0 +1,27 @@
+/**
+ * SMTP Mail Transport
+ * Delivers messages through an SMTP server using nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+
+class SmtpMailTransport {
+  constructor(options = {}) {
+    this.transporter = nodemailer.createTransport({
+      host: options.host || process.env.SMTP_HOST,
+      port: parseInt(options.port || process.env.SMTP_PORT) || 587,
+      secure: options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true',
+      auth: (options.user || process.env.SMTP_USER) ? {
+        user: options.user || process.env.SMTP_USER,
+        pass: options.pass || process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpMailTransport;
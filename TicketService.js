@@ -0,0 +1,223 @@
+/**
+ * Ticket Service
+ * Signed ticket codes for RSVPs, QR images of them and check-in at the door
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Logger = require('../utils/logger');
+const DatabaseManager = require('../config/database');
+const EventService = require('./EventService');
+const UserService = require('./UserService');
+const TokenService = require('./TokenService');
+const RecurrenceService = require('./RecurrenceService');
+const { canManageEvent } = require('../utils/roles');
+
+const TICKET_PURPOSE = 'rsvp-ticket';
+
+// <rsvp id>.<base64url HMAC-SHA256>
+const TICKET_CODE_PATTERN = /^(\d+)\.([A-Za-z0-9_-]{43})$/;
+
+class TicketService {
+  get rsvps() {
+    return DatabaseManager.getRepository('rsvps');
+  }
+
+  getSecret() {
+    return process.env.TICKET_SECRET || TokenService.getJwtSecret();
+  }
+
+  sign(rsvpId) {
+    return crypto
+      .createHmac('sha256', this.getSecret())
+      .update(`${TICKET_PURPOSE}:${rsvpId}`)
+      .digest('base64url');
+  }
+
+  /**
+   * The ticket code for an RSVP. It only carries the RSVP id, so it stays
+   * short enough for a small QR code; the signature makes it unforgeable.
+   */
+  codeFor(rsvp) {
+    return `${rsvp.id}.${this.sign(rsvp.id)}`;
+  }
+
+  /**
+   * RSVP id from a ticket code, or null when the code is malformed or the
+   * signature does not match
+   */
+  verifyCode(code) {
+    const match = TICKET_CODE_PATTERN.exec(String(code || '').trim());
+
+    if (!match) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(parseInt(match[1])));
+    const given = Buffer.from(match[2]);
+
+    return crypto.timingSafeEqual(expected, given) ? parseInt(match[1]) : null;
+  }
+
+  async renderQrCode(code) {
+    return QRCode.toDataURL(code, { errorCorrectionLevel: 'M', margin: 2, width: 300 });
+  }
+
+  async renderQrImage(code) {
+    return QRCode.toBuffer(code, { type: 'png', errorCorrectionLevel: 'M', margin: 2, width: 300 });
+  }
+
+  /**
+   * The user's ticket for an event or occurrence they are attending
+   */
+  async getTicket(eventId, userId, occurrenceId = null) {
+    try {
+      const rsvp = await this.rsvps.findOne({
+        userId, eventId: parseInt(eventId), occurrenceId, status: 'attending'
+      });
+
+      if (!rsvp) {
+        return { success: false, error: 'No active RSVP found for this event' };
+      }
+
+      const eventResult = await EventService.getEventById(rsvp.eventId, occurrenceId);
+
+      if (!eventResult.success) {
+        return eventResult;
+      }
+
+      const code = this.codeFor(rsvp);
+
+      return {
+        success: true,
+        ticket: {
+          code,
+          qrCode: await this.renderQrCode(code),
+          checkedInAt: rsvp.checkedInAt || null,
+          event: eventResult.event
+        }
+      };
+    } catch (error) {
+      Logger.error('Error retrieving ticket', error);
+      return { success: false, error: 'Failed to retrieve ticket' };
+    }
+  }
+
+  /**
+   * Check a ticket in at the door of `eventId`. Only the event's organizers
+   * can do this; each ticket is accepted once, and only while its RSVP is
+   * active.
+   */
+  async checkIn(eventId, code, user) {
+    try {
+      const event = await EventService.events.findById(parseInt(eventId));
+
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+
+      if (!canManageEvent(user, event.creator)) {
+        return { success: false, error: 'Not authorized to check in attendees for this event' };
+      }
+
+      const rsvpId = this.verifyCode(code);
+      const rsvp = rsvpId && await this.rsvps.findById(rsvpId);
+
+      if (!rsvp) {
+        return { success: false, error: 'Invalid ticket code' };
+      }
+
+      if (rsvp.eventId !== event.id) {
+        return { success: false, error: 'Invalid ticket: this ticket is for another event' };
+      }
+
+      // Claim the check-in atomically so a ticket scanned twice at once is
+      // only accepted by one of the scans
+      const checkedIn = await this.rsvps.updateOne(
+        { id: rsvp.id, status: 'attending', checkedInAt: { $exists: false } },
+        { $set: { checkedInAt: new Date().toISOString(), checkedInBy: user.id } }
+      );
+
+      if (!checkedIn) {
+        const current = await this.rsvps.findById(rsvp.id);
+
+        if (current.status !== 'attending') {
+          const reasons = {
+            waitlisted: 'this RSVP is still on the waitlist',
+            cancelled: 'this RSVP has been cancelled'
+          };
+          return {
+            success: false,
+            error: `Invalid ticket: ${reasons[current.status] || `the attendee changed their response to ${current.status}`}`
+          };
+        }
+
+        return {
+          success: false,
+          duplicate: true,
+          checkedInAt: current.checkedInAt,
+          error: `Ticket already checked in at ${current.checkedInAt}`
+        };
+      }
+
+      const attendee = await UserService.getUserById(checkedIn.userId);
+      Logger.info(`RSVP ${checkedIn.id} checked in for event ${event.id} by user ${user.id}`);
+
+      return {
+        success: true,
+        message: 'Checked in',
+        attendee: {
+          id: checkedIn.userId,
+          name: attendee.success ? attendee.user.name : null,
+          email: attendee.success ? attendee.user.email : null,
+          ...(checkedIn.occurrenceId ? { occurrenceId: checkedIn.occurrenceId } : {}),
+          checkedInAt: checkedIn.checkedInAt
+        }
+      };
+    } catch (error) {
+      Logger.error('Error checking in ticket', error);
+      return { success: false, error: 'Failed to check in ticket' };
+    }
+  }
+
+  /**
+   * Checked-in versus RSVP'd counts, for the whole event or one occurrence
+   */
+  async getCheckInStats(eventId, user, occurrenceId = null) {
+    try {
+      const event = await EventService.events.findById(parseInt(eventId));
+
+      if (!event) {
+        return { success: false, error: 'Event not found' };
+      }
+
+      if (!canManageEvent(user, event.creator)) {
+        return { success: false, error: 'Not authorized to view check-ins for this event' };
+      }
+
+      if (occurrenceId && !RecurrenceService.hasOccurrence(event, occurrenceId)) {
+        return { success: false, error: 'Occurrence not found' };
+      }
+
+      const filter = { eventId: event.id, status: 'attending', ...(occurrenceId ? { occurrenceId } : {}) };
+      const [rsvped, checkedIn] = await Promise.all([
+        this.rsvps.count(filter),
+        this.rsvps.count({ ...filter, checkedInAt: { $exists: true } })
+      ]);
+
+      return {
+        success: true,
+        stats: {
+          rsvped,
+          checkedIn,
+          notCheckedIn: rsvped - checkedIn
+        }
+      };
+    } catch (error) {
+      Logger.error('Error retrieving check-in stats', error);
+      return { success: false, error: 'Failed to retrieve check-in stats' };
+    }
+  }
+}
+
+module.exports = new TicketService();
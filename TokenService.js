@@ -0,0 +1,212 @@
+/**
+ * Token Service
+ * Issues short-lived access tokens and rotating refresh tokens,
+ * and keeps track of revoked tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Logger = require('../utils/logger');
+const DatabaseManager = require('../config/database');
+
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const EMAIL_VERIFICATION_EXPIRY = process.env.EMAIL_VERIFICATION_EXPIRY || '24h';
+const EMAIL_VERIFICATION_PURPOSE = 'email-verification';
+const DEV_JWT_SECRET = 'eventhub-development-secret';
+
+class TokenService {
+  get refreshTokens() {
+    return DatabaseManager.getRepository('refreshTokens');
+  }
+
+  get revokedAccessTokens() {
+    return DatabaseManager.getRepository('revokedAccessTokens');
+  }
+
+  get users() {
+    return DatabaseManager.getRepository('users');
+  }
+
+  getJwtSecret() {
+    if (process.env.JWT_SECRET) {
+      return process.env.JWT_SECRET;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+
+    if (!this.warnedAboutSecret) {
+      Logger.warn('JWT_SECRET not set, using development secret');
+      this.warnedAboutSecret = true;
+    }
+    return DEV_JWT_SECRET;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue an access/refresh token pair carrying the user's role and token
+   * version. Refresh tokens issued by rotation keep the family of the token
+   * they replace so reuse can be detected.
+   */
+  async issueTokens({ id: userId, role, tokenVersion = 0 }, family = crypto.randomUUID()) {
+    const accessToken = jwt.sign(
+      { userId, role, ver: tokenVersion },
+      this.getJwtSecret(),
+      { expiresIn: ACCESS_TOKEN_EXPIRY, jwtid: crypto.randomUUID() }
+    );
+
+    const tokenId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('hex');
+    await this.refreshTokens.insert({
+      tokenId,
+      userId,
+      family,
+      tokenHash: this.hashToken(secret),
+      expiresAt: Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+      revokedAt: null
+    });
+
+    return {
+      accessToken,
+      refreshToken: `${tokenId}.${secret}`,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+    };
+  }
+
+  async verifyAccessToken(token) {
+    try {
+      const payload = jwt.verify(token, this.getJwtSecret());
+
+      // Purpose-bound tokens (e.g. email verification) are not access tokens
+      if (payload.purpose) {
+        return { success: false, error: 'Invalid or expired token' };
+      }
+
+      if (await this.revokedAccessTokens.findOne({ jti: payload.jti })) {
+        return { success: false, error: 'Token has been revoked' };
+      }
+
+      return { success: true, payload };
+    } catch (error) {
+      return { success: false, error: 'Invalid or expired token' };
+    }
+  }
+
+  /**
+   * Sign a verification link token bound to the address being verified,
+   * so it stops working if the user's email changes
+   */
+  issueEmailVerificationToken({ id: userId, email }) {
+    return jwt.sign(
+      { userId, email, purpose: EMAIL_VERIFICATION_PURPOSE },
+      this.getJwtSecret(),
+      { expiresIn: EMAIL_VERIFICATION_EXPIRY }
+    );
+  }
+
+  verifyEmailVerificationToken(token) {
+    try {
+      const payload = jwt.verify(token, this.getJwtSecret());
+
+      if (payload.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+        return { success: false, error: 'Invalid or expired verification token' };
+      }
+
+      return { success: true, payload };
+    } catch (error) {
+      return { success: false, error: 'Invalid or expired verification token' };
+    }
+  }
+
+  async findRefreshToken(refreshToken) {
+    const [tokenId, secret] = String(refreshToken || '').split('.');
+    const record = tokenId && secret ? await this.refreshTokens.findOne({ tokenId }) : null;
+
+    if (!record || record.tokenHash !== this.hashToken(secret)) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Presenting a token that
+   * was already rotated means it leaked, so its whole family is revoked.
+   */
+  async rotateRefreshToken(refreshToken) {
+    const record = await this.findRefreshToken(refreshToken);
+
+    if (!record) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    if (record.expiresAt <= Date.now()) {
+      return { success: false, error: 'Refresh token has expired' };
+    }
+
+    // Claim the token so two concurrent refreshes can't both succeed
+    const claimed = await this.refreshTokens.updateOne(
+      { tokenId: record.tokenId, revokedAt: null },
+      { $set: { revokedAt: Date.now() } }
+    );
+
+    if (!claimed) {
+      await this.revokeFamily(record.family);
+      Logger.warn(`Refresh token reuse detected for user ${record.userId}`);
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    const user = await this.users.findById(record.userId);
+    if (!user) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    const tokens = await this.issueTokens(user, record.family);
+
+    return { success: true, userId: record.userId, ...tokens };
+  }
+
+  async revokeAccessToken(payload) {
+    await this.revokedAccessTokens.insert({ jti: payload.jti, expiresAt: payload.exp * 1000 });
+    await this.pruneRevokedAccessTokens();
+  }
+
+  async revokeRefreshToken(refreshToken) {
+    const record = await this.findRefreshToken(refreshToken);
+
+    if (record) {
+      await this.revokeFamily(record.family);
+    }
+  }
+
+  async revokeFamily(family) {
+    await this.refreshTokens.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: Date.now() } }
+    );
+  }
+
+  /**
+   * Invalidate every access and refresh token issued to a user
+   */
+  async revokeAllForUser(userId) {
+    await this.users.updateById(userId, { $inc: { tokenVersion: 1 } });
+
+    await this.refreshTokens.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: Date.now() } }
+    );
+
+    Logger.info(`All sessions revoked for user ${userId}`);
+  }
+
+  async pruneRevokedAccessTokens() {
+    await this.revokedAccessTokens.deleteMany({ expiresAt: { $lte: Date.now() } });
+  }
+}
+
+module.exports = new TokenService();
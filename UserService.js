@@ -0,0 +1,350 @@
+/**
+ * User Service
+ * Business logic for user accounts and JWT authentication
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Logger = require('../utils/logger');
+const Validators = require('../utils/validators');
+const DatabaseManager = require('../config/database');
+const TokenService = require('./TokenService');
+const MailService = require('./MailService');
+const { ROLES, SELF_ASSIGNABLE_ROLES, isValidRole } = require('../utils/roles');
+
+const SALT_ROUNDS = 10;
+// MongoDB's error code for a write that breaks a unique index
+const DUPLICATE_KEY = 11000;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+class UserService {
+  get users() {
+    return DatabaseManager.getRepository('users');
+  }
+
+  get passwordResetTokens() {
+    return DatabaseManager.getRepository('passwordResetTokens');
+  }
+
+  /**
+   * One account per email: the unique index settles registrations racing
+   * past the existence check in register()
+   */
+  async initialize() {
+    await this.users.createIndex({ email: 1 }, { unique: true });
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: !!user.emailVerified
+    };
+  }
+
+  async findByEmail(email) {
+    return this.users.findOne({ email: String(email).toLowerCase() });
+  }
+
+  async getUserById(userId) {
+    const user = await this.users.findById(userId);
+
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    return { success: true, user: this.toPublicUser(user) };
+  }
+
+  async register({ name, email, password, role = ROLES.ATTENDEE }) {
+    try {
+      if (!SELF_ASSIGNABLE_ROLES.includes(role)) {
+        return { success: false, error: `Invalid role. New accounts are ${SELF_ASSIGNABLE_ROLES.join(', ')}; other roles are granted by an admin` };
+      }
+
+      if (await this.findByEmail(email)) {
+        return { success: false, error: 'User already exists with this email' };
+      }
+
+      const user = await this.users.insert({
+        name: Validators.sanitizeString(name),
+        email: email.toLowerCase(),
+        password: await bcrypt.hash(password, SALT_ROUNDS),
+        role,
+        emailVerified: false,
+        tokenVersion: 0,
+        createdAt: new Date().toISOString()
+      });
+
+      Logger.info(`User registered: ${user.email}`);
+
+      // The account still works if the email fails; the user can ask for a resend
+      await this.sendVerificationEmail(user);
+
+      return {
+        success: true,
+        user: this.toPublicUser(user),
+        ...(await TokenService.issueTokens(user))
+      };
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        return { success: false, error: 'User already exists with this email' };
+      }
+      Logger.error('Error registering user', error);
+      return { success: false, error: 'Failed to register user' };
+    }
+  }
+
+  async login(email, password) {
+    try {
+      const user = await this.findByEmail(email);
+
+      if (!user || !(await bcrypt.compare(password, user.password))) {
+        return { success: false, error: 'Invalid email or password' };
+      }
+
+      Logger.info(`User logged in: ${user.email}`);
+      return {
+        success: true,
+        user: this.toPublicUser(user),
+        ...(await TokenService.issueTokens(user))
+      };
+    } catch (error) {
+      Logger.error('Error logging in user', error);
+      return { success: false, error: 'Failed to log in' };
+    }
+  }
+
+  async sendVerificationEmail(user) {
+    const token = TokenService.issueEmailVerificationToken(user);
+    const verifyUrl = MailService.buildClientUrl('/verify-email', { token });
+
+    return MailService.sendMail({
+      to: user.email,
+      subject: 'Verify your EventHub email address',
+      text: `Hi ${user.name},\n\n` +
+        'Please confirm your email address to start creating events and RSVPing:\n\n' +
+        `${verifyUrl}\n\n` +
+        'If you did not create an EventHub account you can ignore this email.'
+    });
+  }
+
+  async resendVerificationEmail(userId) {
+    try {
+      const user = await this.users.findById(userId);
+
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      if (user.emailVerified) {
+        return { success: false, error: 'Email is already verified' };
+      }
+
+      const mailResult = await this.sendVerificationEmail(user);
+      if (!mailResult.success) {
+        return { success: false, error: 'Failed to send verification email' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      Logger.error('Error resending verification email', error);
+      return { success: false, error: 'Failed to resend verification email' };
+    }
+  }
+
+  async verifyEmail(token) {
+    try {
+      const result = TokenService.verifyEmailVerificationToken(token);
+
+      if (!result.success) {
+        return result;
+      }
+
+      const user = await this.users.findOne({
+        id: result.payload.userId,
+        email: result.payload.email
+      });
+
+      if (!user) {
+        return { success: false, error: 'Invalid or expired verification token' };
+      }
+
+      if (!user.emailVerified) {
+        Logger.info(`Email verified: ${user.email}`);
+      }
+
+      const verifiedUser = await this.users.updateById(user.id, { $set: { emailVerified: true } });
+      return { success: true, user: this.toPublicUser(verifiedUser) };
+    } catch (error) {
+      Logger.error('Error verifying email', error);
+      return { success: false, error: 'Failed to verify email' };
+    }
+  }
+
+  /**
+   * Email a single-use reset link. Succeeds whether or not the address
+   * belongs to an account so callers can't probe for registered emails.
+   */
+  async requestPasswordReset(email) {
+    try {
+      const user = await this.findByEmail(email);
+
+      if (!user) {
+        Logger.info(`Password reset requested for unknown email ${email}`);
+        return { success: true };
+      }
+
+      // Only the most recent link stays valid
+      await this.passwordResetTokens.deleteMany({ userId: user.id });
+
+      const token = crypto.randomBytes(32).toString('hex');
+      await this.passwordResetTokens.insert({
+        userId: user.id,
+        tokenHash: this.hashToken(token),
+        expiresAt: Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+        usedAt: null
+      });
+
+      const resetUrl = MailService.buildClientUrl('/reset-password', { token });
+      const mailResult = await MailService.sendMail({
+        to: user.email,
+        subject: 'Reset your EventHub password',
+        text: `Hi ${user.name},\n\n` +
+          `Use the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n` +
+          `${resetUrl}\n\n` +
+          'If you did not request a password reset you can ignore this email.'
+      });
+
+      if (!mailResult.success) {
+        return { success: false, error: 'Failed to send password reset email' };
+      }
+
+      Logger.info(`Password reset requested for ${user.email}`);
+      return { success: true };
+    } catch (error) {
+      Logger.error('Error requesting password reset', error);
+      return { success: false, error: 'Failed to request password reset' };
+    }
+  }
+
+  async resetPassword(token, newPassword) {
+    try {
+      const tokenHash = this.hashToken(String(token));
+      const password = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+      // Claim the token atomically so it can only be used once
+      const resetToken = await this.passwordResetTokens.updateOne(
+        { tokenHash, usedAt: null, expiresAt: { $gt: Date.now() } },
+        { $set: { usedAt: Date.now() } }
+      );
+
+      if (!resetToken) {
+        return { success: false, error: 'Invalid or expired reset token' };
+      }
+
+      const user = await this.users.updateById(resetToken.userId, { $set: { password } });
+      if (!user) {
+        return { success: false, error: 'Invalid or expired reset token' };
+      }
+
+      // A reset usually means the old password leaked
+      await TokenService.revokeAllForUser(user.id);
+
+      Logger.info(`Password reset for ${user.email}`);
+      return { success: true };
+    } catch (error) {
+      Logger.error('Error resetting password', error);
+      return { success: false, error: 'Failed to reset password' };
+    }
+  }
+
+  async listUsers() {
+    try {
+      const users = await this.users.find({}, { sort: { id: 1 } });
+      return { success: true, users: users.map(user => this.toPublicUser(user)) };
+    } catch (error) {
+      Logger.error('Error retrieving users', error);
+      return { success: false, error: 'Failed to retrieve users' };
+    }
+  }
+
+  async updateUserRole(userId, role) {
+    try {
+      if (!isValidRole(role)) {
+        return { success: false, error: `Invalid role. Choose one of: ${Object.values(ROLES).join(', ')}` };
+      }
+
+      const user = await this.users.updateById(parseInt(userId), { $set: { role } });
+
+      if (!user) {
+        return { success: false, error: 'User not found' };
+      }
+
+      // Tokens carry the role, so make the user sign in again
+      await TokenService.revokeAllForUser(user.id);
+
+      Logger.info(`Role of user ${user.email} changed to ${role}`);
+      return { success: true, user: this.toPublicUser(user) };
+    } catch (error) {
+      Logger.error('Error updating user role', error);
+      return { success: false, error: 'Failed to update user role' };
+    }
+  }
+
+  /**
+   * Create the bootstrap admin account from ADMIN_EMAIL/ADMIN_PASSWORD
+   */
+  async ensureAdminAccount() {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+      return;
+    }
+
+    const existing = await this.findByEmail(ADMIN_EMAIL);
+    if (existing) {
+      await this.users.updateById(existing.id, { $set: { role: ROLES.ADMIN } });
+      return;
+    }
+
+    await this.users.insert({
+      name: ADMIN_NAME || 'Event Admin',
+      email: ADMIN_EMAIL.toLowerCase(),
+      password: await bcrypt.hash(ADMIN_PASSWORD, SALT_ROUNDS),
+      role: ROLES.ADMIN,
+      emailVerified: true,
+      tokenVersion: 0,
+      createdAt: new Date().toISOString()
+    });
+    Logger.info(`Admin account created: ${ADMIN_EMAIL}`);
+  }
+
+  /**
+   * Resolve an access token to its user. Tokens minted before the user's
+   * last "log out everywhere" carry an older version and are rejected.
+   */
+  async verifyToken(token) {
+    const result = await TokenService.verifyAccessToken(token);
+
+    if (!result.success) {
+      return result;
+    }
+
+    const user = await this.users.findById(result.payload.userId);
+
+    if (!user || (result.payload.ver || 0) !== (user.tokenVersion || 0)) {
+      return { success: false, error: 'Invalid or expired token' };
+    }
+
+    return { success: true, user: this.toPublicUser(user), tokenPayload: result.payload };
+  }
+}
+
+module.exports = new UserService();
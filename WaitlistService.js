@@ -0,0 +1,223 @@
+/**
+ * Waitlist Service
+ * Ordered waitlist for full events with automatic promotion
+ */
+
+const Logger = require('../utils/logger');
+const DatabaseManager = require('../config/database');
+const NotificationService = require('./NotificationService');
+const { seatsOf, slotField, readSlot, slotGuard } = require('../utils/seats');
+const { hasTicketTypes, findTicketType } = require('../utils/tickets');
+
+// Compare-and-set retries before giving up on a heavily contended event
+const MAX_ATTEMPTS = 5;
+
+class WaitlistService {
+  get events() {
+    return DatabaseManager.getRepository('events');
+  }
+
+  get rsvps() {
+    return DatabaseManager.getRepository('rsvps');
+  }
+
+  /**
+   * The slot's `waitlist` array holds user ids in arrival order;
+   * each entry has a matching RSVP record with status 'waitlisted'
+   */
+  getPositionIn(event, userId, occurrenceId = null) {
+    const index = readSlot(event, occurrenceId).waitlist.indexOf(userId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Queue the user, with their guests and ticket type, for the event
+   */
+  async join(eventId, userId, occurrenceId = null, { ticketTypeId = null, guests = [] } = {}) {
+    const event = await this.events.updateOne(
+      {
+        id: eventId,
+        [slotField(occurrenceId, 'attendees')]: { $ne: userId },
+        [slotField(occurrenceId, 'waitlist')]: { $ne: userId }
+      },
+      { $push: { [slotField(occurrenceId, 'waitlist')]: userId } }
+    );
+
+    if (!event) {
+      return { success: false, error: 'You are already on the waitlist for this event' };
+    }
+
+    let rsvp;
+    try {
+      rsvp = await this.rsvps.insert({
+        userId,
+        eventId,
+        occurrenceId,
+        ticketType: ticketTypeId,
+        guests,
+        seats: guests.length + 1,
+        status: 'waitlisted',
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      await this.events.updateOne({ id: eventId }, { $pull: { [slotField(occurrenceId, 'waitlist')]: userId } });
+      throw error;
+    }
+
+    Logger.info(`User ${userId} joined the waitlist for event ${eventId}`);
+
+    // A seat may have been freed while we were joining
+    await this.promote(eventId, occurrenceId);
+
+    const updated = await this.events.findById(eventId);
+    const position = this.getPositionIn(updated, userId, occurrenceId);
+
+    return {
+      success: true,
+      promoted: position === null,
+      position,
+      rsvp: await this.rsvps.findById(rsvp.id),
+      event: updated
+    };
+  }
+
+  async leave(eventId, userId, occurrenceId = null) {
+    const rsvp = await this.rsvps.updateOne(
+      { userId, eventId: parseInt(eventId), occurrenceId, status: 'waitlisted' },
+      { $set: { status: 'cancelled', cancelledAt: new Date().toISOString() } }
+    );
+
+    if (!rsvp) {
+      return { success: false, error: 'You are not on the waitlist for this event' };
+    }
+
+    await this.events.updateOne({ id: rsvp.eventId }, { $pull: { [slotField(occurrenceId, 'waitlist')]: userId } });
+    Logger.info(`User ${userId} left the waitlist for event ${eventId}`);
+
+    return { success: true, message: 'You have left the waitlist', rsvp };
+  }
+
+  async getPosition(eventId, userId, occurrenceId = null) {
+    const event = await this.events.findById(parseInt(eventId));
+
+    if (!event) {
+      return { success: false, error: 'Event not found' };
+    }
+
+    const position = this.getPositionIn(event, userId, occurrenceId);
+
+    if (position === null) {
+      return { success: false, error: 'You are not on the waitlist for this event' };
+    }
+
+    return {
+      success: true,
+      position,
+      waitlistSize: readSlot(event, occurrenceId).waitlist.length
+    };
+  }
+
+  /**
+   * The first waitlisted user, in arrival order, whose whole party fits in
+   * the free seats and in their ticket type
+   */
+  async nextInLine(event, slot, occurrenceId) {
+    const waiting = await this.rsvps.find({ eventId: event.id, occurrenceId, status: 'waitlisted' });
+    const rsvpOf = new Map(waiting.map(rsvp => [rsvp.userId, rsvp]));
+
+    for (const userId of slot.waitlist) {
+      const rsvp = rsvpOf.get(userId);
+
+      // Users still joining have no RSVP yet; their own join promotes them
+      if (!rsvp) {
+        continue;
+      }
+
+      const seats = seatsOf(rsvp);
+      if (slot.currentAttendees + seats > slot.capacity) {
+        continue;
+      }
+
+      // Without a ticket type (or from before the event had them) only the total counts
+      if (!rsvp.ticketType || !hasTicketTypes(event)) {
+        return { userId, ticketType: null, seats };
+      }
+
+      const ticketType = findTicketType(event, rsvp.ticketType);
+      if (ticketType && (slot.ticketCounts[ticketType.id] || 0) + seats <= ticketType.capacity) {
+        return { userId, ticketType, seats };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Move waitlisted users into free seats, first come first served. A
+   * party too big for the free seats, or whose ticket type is sold out,
+   * is passed over for the next one.
+   * Each promotion is a compare-and-set on the count and the queue, so
+   * concurrent promotions never seat the same user twice.
+   */
+  async promote(eventId, occurrenceId = null) {
+    const promoted = [];
+    let conflicts = 0;
+
+    while (conflicts < MAX_ATTEMPTS) {
+      const event = await this.events.findById(eventId);
+
+      if (!event) {
+        break;
+      }
+
+      const slot = readSlot(event, occurrenceId);
+      if (slot.cancelled || slot.waitlist.length === 0 || slot.currentAttendees >= slot.capacity) {
+        break;
+      }
+
+      const next = await this.nextInLine(event, slot, occurrenceId);
+      if (!next) {
+        break;
+      }
+
+      const { userId, ticketType, seats } = next;
+      const seated = await this.events.updateOne(
+        {
+          ...slotGuard(event, occurrenceId),
+          [slotField(occurrenceId, 'waitlist')]: userId,
+          ...(ticketType ? { ticketTypes: { $elemMatch: { id: ticketType.id, capacity: ticketType.capacity } } } : {})
+        },
+        {
+          $inc: {
+            [slotField(occurrenceId, 'currentAttendees')]: seats,
+            ...(ticketType ? { [slotField(occurrenceId, `ticketCounts.${ticketType.id}`)]: seats } : {})
+          },
+          $push: { [slotField(occurrenceId, 'attendees')]: userId },
+          $pull: { [slotField(occurrenceId, 'waitlist')]: userId }
+        }
+      );
+
+      if (!seated) {
+        conflicts++;
+        continue;
+      }
+
+      // Record the seats actually taken, in case the party changed meanwhile
+      await this.rsvps.updateOne(
+        { userId, eventId: event.id, occurrenceId, status: 'waitlisted' },
+        { $set: { status: 'attending', seats, promotedAt: new Date().toISOString() } }
+      );
+
+      Logger.info(`User ${userId} promoted from the waitlist for event ${event.id}`);
+      await NotificationService.notify('rsvp.promoted', [userId], {
+        event: NotificationService.describeEvent(event, occurrenceId),
+        seats
+      });
+      promoted.push(userId);
+    }
+
+    return promoted;
+  }
+}
+
+module.exports = new WaitlistService();
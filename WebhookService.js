@@ -0,0 +1,555 @@
+/**
+ * Webhook Service
+ * Organizers register URLs that receive RSVP and event changes as signed
+ * JSON POSTs. Every delivery is stored with a log of its attempts; failed
+ * ones are retried with exponential backoff and can be redelivered by hand.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Logger = require('../utils/logger');
+const Validators = require('../utils/validators');
+const DatabaseManager = require('../config/database');
+const RecurrenceService = require('./RecurrenceService');
+const MailService = require('./MailService');
+const { isAdmin, canManageEvent, isEventCreator } = require('../utils/roles');
+const { statusOf } = require('../utils/lifecycle');
+const {
+  MAX_WEBHOOKS_PER_USER,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  generateSecret,
+  signPayload
+} = require('../utils/webhookSigning');
+const { guardedLookup, checkWebhookTarget } = require('../utils/webhookTargets');
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 15 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// A delivery still 'sending' after this long was claimed by a process that died
+const SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+const MAX_LISTED = 50;
+
+/**
+ * POST `body` and resolve with the status code of any response, rejecting
+ * when none arrives in time. The response body is discarded: what a
+ * receiver answers is never stored or shown to the webhook's owner.
+ */
+const postJson = (url, body, headers) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    timeout: TIMEOUT_MS,
+    lookup: guardedLookup
+  }, response => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`No response within ${TIMEOUT_MS}ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.processing = null;
+    this.rerun = false;
+    this.stopping = false;
+  }
+
+  get webhooks() {
+    return DatabaseManager.getRepository('webhooks');
+  }
+
+  get deliveries() {
+    return DatabaseManager.getRepository('webhookDeliveries');
+  }
+
+  get events() {
+    return DatabaseManager.getRepository('events');
+  }
+
+  get users() {
+    return DatabaseManager.getRepository('users');
+  }
+
+  // The secret is only shown once, when the webhook is created
+  toPublicWebhook(webhook) {
+    const { secret, ...fields } = webhook;
+    return fields;
+  }
+
+  /**
+   * Register a webhook for one of the user's events (`eventId`) or, without
+   * one, for every event they create
+   */
+  async createWebhook(user, { url, events, eventId = null }) {
+    try {
+      const errors = Validators.validateWebhook({ url, events });
+      if (errors.length > 0) {
+        return { success: false, error: errors.join('. ') };
+      }
+
+      const refused = await checkWebhookTarget(url);
+      if (refused) {
+        return { success: false, error: refused };
+      }
+
+      if (eventId !== null) {
+        const event = await this.events.findById(parseInt(eventId));
+        if (!event) {
+          return { success: false, error: 'Event not found' };
+        }
+        if (!canManageEvent(user, event.creator)) {
+          return { success: false, error: 'Not authorized to add webhooks to this event' };
+        }
+      }
+
+      if (await this.webhooks.count({ ownerId: user.id }) >= MAX_WEBHOOKS_PER_USER) {
+        return { success: false, error: `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks` };
+      }
+
+      const secret = generateSecret();
+      const webhook = await this.webhooks.insert({
+        ownerId: user.id,
+        url,
+        events: [...new Set(events)],
+        eventId: eventId === null ? null : parseInt(eventId),
+        secret,
+        createdAt: new Date().toISOString()
+      });
+
+      Logger.info(`Webhook ${webhook.id} registered by user ${user.id}`);
+      return { success: true, webhook: this.toPublicWebhook(webhook), secret };
+    } catch (error) {
+      Logger.error('Error creating webhook', error);
+      return { success: false, error: 'Failed to create webhook' };
+    }
+  }
+
+  async findOwnWebhook(webhookId, user) {
+    const webhook = await this.webhooks.findById(parseInt(webhookId));
+
+    if (!webhook) {
+      return { error: 'Webhook not found' };
+    }
+    if (!isAdmin(user) && webhook.ownerId !== user.id) {
+      return { error: 'Not authorized to manage this webhook' };
+    }
+
+    return { webhook };
+  }
+
+  async getUserWebhooks(user) {
+    try {
+      const webhooks = await this.webhooks.find({ ownerId: user.id }, { sort: { createdAt: -1, id: -1 } });
+      return { success: true, webhooks: webhooks.map(webhook => this.toPublicWebhook(webhook)) };
+    } catch (error) {
+      Logger.error('Error fetching webhooks', error);
+      return { success: false, error: 'Failed to fetch webhooks' };
+    }
+  }
+
+  /**
+   * Change the URL or the subscribed events
+   */
+  async updateWebhook(webhookId, user, { url, events }) {
+    try {
+      const { webhook, error } = await this.findOwnWebhook(webhookId, user);
+
+      if (error) {
+        return { success: false, error };
+      }
+
+      const errors = Validators.validateWebhook({ url, events }, { partial: true });
+      if (errors.length > 0) {
+        return { success: false, error: errors.join('. ') };
+      }
+
+      const refused = url !== undefined && await checkWebhookTarget(url);
+      if (refused) {
+        return { success: false, error: refused };
+      }
+
+      const changes = {};
+      if (url !== undefined) {
+        changes.url = url;
+      }
+      if (events !== undefined) {
+        changes.events = [...new Set(events)];
+      }
+      if (Object.keys(changes).length === 0) {
+        return { success: false, error: 'No changes given' };
+      }
+
+      const updated = await this.webhooks.updateOne(
+        { id: webhook.id },
+        { $set: { ...changes, updatedAt: new Date().toISOString() } }
+      );
+
+      if (!updated) {
+        return { success: false, error: 'Webhook not found' };
+      }
+
+      return { success: true, webhook: this.toPublicWebhook(updated) };
+    } catch (error) {
+      Logger.error('Error updating webhook', error);
+      return { success: false, error: 'Failed to update webhook' };
+    }
+  }
+
+  /**
+   * Remove the webhook with its delivery log; queued deliveries are dropped
+   */
+  async deleteWebhook(webhookId, user) {
+    try {
+      const { webhook, error } = await this.findOwnWebhook(webhookId, user);
+
+      if (error) {
+        return { success: false, error };
+      }
+
+      await this.webhooks.deleteById(webhook.id);
+      await this.deliveries.deleteMany({ webhookId: webhook.id });
+
+      Logger.info(`Webhook ${webhook.id} deleted by user ${user.id}`);
+      return { success: true, message: 'Webhook deleted' };
+    } catch (error) {
+      Logger.error('Error deleting webhook', error);
+      return { success: false, error: 'Failed to delete webhook' };
+    }
+  }
+
+  /**
+   * The event (or occurrence) as sent to receivers
+   */
+  summarize(event, occurrenceId = null) {
+    const instance = occurrenceId ? RecurrenceService.toInstance(event, occurrenceId) : event;
+
+    return {
+      id: event.id,
+      occurrenceId,
+      title: instance.title,
+      description: instance.description,
+      date: instance.date,
+      location: instance.location,
+      category: instance.category,
+      tags: instance.tags || [],
+      capacity: instance.capacity,
+      currentAttendees: instance.currentAttendees,
+      status: instance.cancelled ? 'cancelled' : statusOf(event),
+      creator: event.creator,
+      url: MailService.buildClientUrl(`/events/${event.id}`, occurrenceId ? { occurrence: occurrenceId } : {})
+    };
+  }
+
+  // Attendee names and emails only go to the event's own creator, as in attendee lists
+  async summarizeRsvp(rsvp, webhook, event) {
+    const user = isEventCreator({ id: webhook.ownerId }, event.creator)
+      ? await this.users.findById(rsvp.userId)
+      : null;
+
+    return {
+      id: rsvp.id,
+      status: rsvp.status,
+      occurrenceId: rsvp.occurrenceId || null,
+      ticketType: rsvp.ticketType || null,
+      seats: rsvp.seats || 1,
+      createdAt: rsvp.createdAt,
+      cancelledAt: rsvp.cancelledAt || null,
+      user: user ? { id: user.id, name: user.name, email: user.email } : { id: rsvp.userId }
+    };
+  }
+
+  /**
+   * Queue a `type` delivery to every webhook subscribed to it for `event`:
+   * webhooks on the event itself (or the series it was split from) and
+   * webhooks on all events of its creator. `rsvp` and `changes` are added
+   * to the payload when given. Never throws: a webhook problem must not
+   * fail the action that caused it. Returns the number queued.
+   */
+  async publish(type, event, { occurrenceId = null, rsvp = null, changes = null } = {}) {
+    try {
+      const eventIds = [event.id, ...(event.uidOrigin ? [event.uidOrigin.id] : [])];
+      const subscribed = await this.webhooks.find({
+        events: type,
+        $or: [{ eventId: { $in: eventIds } }, { eventId: null, ownerId: event.creator }]
+      });
+
+      if (subscribed.length === 0) {
+        return 0;
+      }
+
+      // One id per occurrence of the change, shared by retries and redeliveries
+      const id = crypto.randomUUID();
+      const createdAt = new Date().toISOString();
+
+      for (const webhook of subscribed) {
+        const data = { event: this.summarize(event, occurrenceId) };
+        if (rsvp) {
+          data.rsvp = await this.summarizeRsvp(rsvp, webhook, event);
+        }
+        if (changes) {
+          data.changes = changes;
+        }
+
+        await this.deliveries.insert({
+          webhookId: webhook.id,
+          type,
+          payload: { id, type, createdAt, data },
+          status: 'pending',
+          attempts: 0,
+          log: [],
+          nextAttemptAt: createdAt,
+          createdAt
+        });
+      }
+
+      this.dispatch();
+      return subscribed.length;
+    } catch (error) {
+      Logger.error(`Error queueing ${type} webhooks for event ${event.id}`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * The webhook's most recent deliveries, each with its attempt log
+   */
+  async getDeliveries(webhookId, user) {
+    try {
+      const { webhook, error } = await this.findOwnWebhook(webhookId, user);
+
+      if (error) {
+        return { success: false, error };
+      }
+
+      const deliveries = await this.deliveries.find(
+        { webhookId: webhook.id },
+        { sort: { createdAt: -1, id: -1 }, limit: MAX_LISTED }
+      );
+
+      return { success: true, deliveries };
+    } catch (error) {
+      Logger.error('Error fetching webhook deliveries', error);
+      return { success: false, error: 'Failed to fetch webhook deliveries' };
+    }
+  }
+
+  /**
+   * Send a delivery's payload again as a new delivery, keeping the
+   * original in the log
+   */
+  async redeliver(webhookId, deliveryId, user) {
+    try {
+      const { webhook, error } = await this.findOwnWebhook(webhookId, user);
+
+      if (error) {
+        return { success: false, error };
+      }
+
+      const original = await this.deliveries.findOne({ id: parseInt(deliveryId), webhookId: webhook.id });
+
+      if (!original) {
+        return { success: false, error: 'Delivery not found' };
+      }
+
+      const now = new Date().toISOString();
+      const delivery = await this.deliveries.insert({
+        webhookId: webhook.id,
+        type: original.type,
+        payload: original.payload,
+        status: 'pending',
+        attempts: 0,
+        log: [],
+        nextAttemptAt: now,
+        redeliveryOf: original.id,
+        createdAt: now
+      });
+
+      this.dispatch();
+
+      Logger.info(`Delivery ${original.id} of webhook ${webhook.id} queued again as ${delivery.id}`);
+      return { success: true, delivery };
+    } catch (error) {
+      Logger.error('Error redelivering webhook', error);
+      return { success: false, error: 'Failed to redeliver webhook' };
+    }
+  }
+
+  /**
+   * Make one attempt at a delivery. It is claimed first with a
+   * compare-and-set, so two passes never post it at the same time.
+   */
+  async deliver(delivery) {
+    const claimed = await this.deliveries.updateOne(
+      { id: delivery.id, status: delivery.status, attempts: delivery.attempts },
+      { $set: { status: 'sending', claimedAt: new Date().toISOString() }, $inc: { attempts: 1 } }
+    );
+
+    if (!claimed) {
+      return;
+    }
+
+    const webhook = await this.webhooks.findById(claimed.webhookId);
+    if (!webhook) {
+      // Deleted while this delivery was waiting
+      await this.deliveries.deleteById(claimed.id);
+      return;
+    }
+
+    const body = JSON.stringify(claimed.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const entry = { attempt: claimed.attempts, at: new Date(startedAt).toISOString(), url: webhook.url };
+
+    try {
+      // Checked again on every attempt: the host may have been re-pointed
+      const refused = await checkWebhookTarget(webhook.url);
+      if (refused) {
+        throw new Error(refused);
+      }
+
+      const statusCode = await postJson(webhook.url, body, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'EventHub-Webhooks/1.0',
+        'X-EventHub-Event': claimed.type,
+        'X-EventHub-Delivery': String(claimed.id),
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, body)
+      });
+      entry.statusCode = statusCode;
+      if (statusCode < 200 || statusCode >= 300) {
+        entry.error = `Receiver responded with ${statusCode}`;
+      }
+    } catch (error) {
+      entry.error = error.message;
+    }
+    entry.durationMs = Date.now() - startedAt;
+
+    if (!entry.error) {
+      await this.deliveries.updateOne(
+        { id: claimed.id, status: 'sending' },
+        { $set: { status: 'delivered', deliveredAt: new Date().toISOString(), lastError: null }, $push: { log: entry } }
+      );
+      return;
+    }
+
+    const failed = claimed.attempts >= MAX_ATTEMPTS;
+    // Wait 1, 2, 4, 8... times the base delay between attempts
+    const delay = RETRY_BASE_MS * 2 ** (claimed.attempts - 1);
+
+    await this.deliveries.updateOne(
+      { id: claimed.id, status: 'sending' },
+      {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          lastError: entry.error,
+          nextAttemptAt: new Date(Date.now() + delay).toISOString()
+        },
+        $push: { log: entry }
+      }
+    );
+
+    if (failed) {
+      Logger.error(`Webhook delivery ${claimed.id} to ${webhook.url} failed after ${claimed.attempts} attempts`, { error: entry.error });
+    } else {
+      Logger.warn(`Webhook delivery ${claimed.id} to ${webhook.url} failed, retrying in ${delay}ms`, { error: entry.error });
+    }
+  }
+
+  async drainQueue() {
+    do {
+      this.rerun = false;
+      const now = Date.now();
+      const due = await this.deliveries.find(
+        {
+          $or: [
+            { status: 'pending', nextAttemptAt: { $lte: new Date(now).toISOString() } },
+            { status: 'sending', claimedAt: { $lte: new Date(now - SENDING_TIMEOUT_MS).toISOString() } }
+          ]
+        },
+        { sort: { nextAttemptAt: 1, id: 1 }, limit: BATCH_SIZE }
+      );
+
+      for (const delivery of due) {
+        if (this.stopping) {
+          return;
+        }
+        await this.deliver(delivery);
+      }
+
+      if (due.length === BATCH_SIZE) {
+        this.rerun = true;
+      }
+    } while (this.rerun && !this.stopping);
+  }
+
+  /**
+   * Attempt every delivery that is due. Calls made while a pass is running
+   * are folded into it.
+   */
+  async processQueue() {
+    if (this.processing) {
+      this.rerun = true;
+      return this.processing;
+    }
+
+    this.processing = this.drainQueue()
+      .catch(error => Logger.error('Error processing webhook deliveries', error))
+      .finally(() => {
+        this.processing = null;
+      });
+
+    return this.processing;
+  }
+
+  // Send new deliveries right away instead of at the next poll
+  dispatch() {
+    if (this.timer) {
+      this.processQueue();
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.stopping = false;
+    this.timer = setInterval(() => this.processQueue(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.processQueue();
+
+    Logger.info('Webhook delivery started', { pollIntervalMs: POLL_INTERVAL_MS });
+  }
+
+  /**
+   * Stop polling and let the delivery in flight finish; queued ones are
+   * sent after the next start
+   */
+  async stop() {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stopping = true;
+
+    if (this.processing) {
+      await this.processing;
+    }
+
+    Logger.info('Webhook delivery stopped');
+  }
+}
+
+module.exports = new WebhookService();
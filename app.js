@@ -1,530 +1,1703 @@
-/**
- * Professional Event Management Server
- * MERN Stack Application with Express.js
- * 
- * Features:
- * - JWT Authentication
- * - Event CRUD Operations
- * - RSVP System with Concurrency Handling
- * - Professional Error Handling
- * - Structured Architecture
- */
-
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-
-// Import utilities and services
-const Logger = require('./utils/logger');
-const DatabaseManager = require('./config/database');
-const EventService = require('./services/EventService');
-const RSVPService = require('./services/RSVPService');
-const Validators = require('./utils/validators');
-
-class EventManagementServer {
-  constructor() {
-    this.app = express();
-    this.port = process.env.PORT || 5000;
-    this.setupMiddleware();
-    this.setupRoutes();
-    this.setupErrorHandling();
-  }
-
-  setupMiddleware() {
-    // Security middleware
-    this.app.use(helmet({
-      contentSecurityPolicy: false // Disable for development
-    }));
-
-    // Rate limiting
-    const limiter = rateLimit({
-      windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 100, // limit each IP to 100 requests per windowMs
-      message: 'Too many requests from this IP, please try again later.'
-    });
-    this.app.use('/api/', limiter);
-
-    // CORS configuration
-    this.app.use(cors({
-      origin: [
-        'http://localhost:3000',
-        'https://your-frontend-domain.vercel.app'
-      ],
-      credentials: true,
-      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization']
-    }));
-
-    // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true }));
-
-    // Request logging
-    this.app.use((req, res, next) => {
-      Logger.info(`${req.method} ${req.path}`, { 
-        ip: req.ip, 
-        userAgent: req.get('User-Agent') 
-      });
-      next();
-    });
-  }
-
-  setupRoutes() {
-    // Health check
-    this.app.get('/api/health', (req, res) => {
-      res.json({
-        status: 'OK',
-        message: 'Event Management Server Running',
-        timestamp: new Date().toISOString(),
-        environment: process.env.NODE_ENV || 'development',
-        version: '1.0.0'
-      });
-    });
-
-    // Authentication routes
-    this.setupAuthRoutes();
-    
-    // Event routes
-    this.setupEventRoutes();
-    
-    // RSVP routes
-    this.setupRSVPRoutes();
-  }
-
-  setupAuthRoutes() {
-    // Simple auth middleware for demo
-    const auth = (req, res, next) => {
-      const token = req.header('Authorization')?.replace('Bearer ', '');
-      
-      if (!token) {
-        return res.status(401).json({ 
-          success: false,
-          message: 'Access denied. No token provided.' 
-        });
-      }
-
-      // For demo purposes, accept any token
-      req.user = { 
-        id: 'user-' + Date.now(), 
-        name: 'Demo User', 
-        email: 'demo@example.com' 
-      };
-      next();
-    };
-
-    // Register endpoint
-    this.app.post('/api/auth/register', (req, res) => {
-      try {
-        const { name, email, password } = req.body;
-
-        // Validation
-        if (!name || !email || !password) {
-          return res.status(400).json({
-            success: false,
-            message: 'All fields are required',
-            errors: ['Name, email, and password are required']
-          });
-        }
-
-        if (!Validators.validateEmail(email)) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid email format'
-          });
-        }
-
-        if (!Validators.validatePassword(password)) {
-          return res.status(400).json({
-            success: false,
-            message: 'Password must be at least 6 characters long'
-          });
-        }
-
-        Logger.info('User registration attempt', { email });
-
-        res.status(201).json({
-          success: true,
-          message: 'User registered successfully',
-          user: { 
-            id: 'user-' + Date.now(), 
-            name: Validators.sanitizeString(name), 
-            email: email.toLowerCase() 
-          },
-          token: 'demo-token-' + Date.now()
-        });
-      } catch (error) {
-        Logger.error('Registration error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error during registration'
-        });
-      }
-    });
-
-    // Login endpoint
-    this.app.post('/api/auth/login', (req, res) => {
-      try {
-        const { email, password } = req.body;
-
-        if (!email || !password) {
-          return res.status(400).json({
-            success: false,
-            message: 'Email and password are required'
-          });
-        }
-
-        Logger.info('User login attempt', { email });
-
-        res.json({
-          success: true,
-          message: 'Login successful',
-          user: { 
-            id: 'user-' + Date.now(), 
-            name: 'Demo User', 
-            email: email.toLowerCase() 
-          },
-          token: 'demo-token-' + Date.now()
-        });
-      } catch (error) {
-        Logger.error('Login error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error during login'
-        });
-      }
-    });
-
-    // Get current user
-    this.app.get('/api/auth/me', auth, (req, res) => {
-      res.json({
-        success: true,
-        user: req.user
-      });
-    });
-
-    // Store auth middleware for use in other routes
-    this.auth = auth;
-  }
-
-  setupEventRoutes() {
-    // Get all events
-    this.app.get('/api/events', (req, res) => {
-      try {
-        const result = EventService.getAllEvents(req.query);
-        
-        if (result.success) {
-          res.json({ 
-            success: true,
-            events: result.events,
-            count: result.events.length
-          });
-        } else {
-          res.status(500).json({
-            success: false,
-            message: result.error
-          });
-        }
-      } catch (error) {
-        Logger.error('Get events error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error while fetching events'
-        });
-      }
-    });
-
-    // Get single event
-    this.app.get('/api/events/:id', (req, res) => {
-      try {
-        const result = EventService.getEventById(req.params.id);
-        
-        if (result.success) {
-          res.json(result.event);
-        } else {
-          const statusCode = result.error === 'Event not found' ? 404 : 500;
-          res.status(statusCode).json({
-            success: false,
-            message: result.error
-          });
-        }
-      } catch (error) {
-        Logger.error('Get event error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error while fetching event'
-        });
-      }
-    });
-
-    // Create event (protected)
-    this.app.post('/api/events', this.auth, (req, res) => {
-      try {
-        const result = EventService.createEvent(req.body, req.user.id);
-        
-        if (result.success) {
-          res.status(201).json({
-            success: true,
-            message: 'Event created successfully',
-            event: result.event
-          });
-        } else {
-          res.status(400).json({
-            success: false,
-            message: result.error || 'Validation failed',
-            errors: result.errors
-          });
-        }
-      } catch (error) {
-        Logger.error('Create event error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error while creating event'
-        });
-      }
-    });
-
-    // Update event (protected)
-    this.app.put('/api/events/:id', this.auth, (req, res) => {
-      try {
-        const result = EventService.updateEvent(req.params.id, req.body, req.user.id);
-        
-        if (result.success) {
-          res.json({
-            success: true,
-            message: 'Event updated successfully',
-            event: result.event
-          });
-        } else {
-          const statusCode = result.error.includes('not found') ? 404 : 
-                           result.error.includes('authorized') ? 403 : 400;
-          res.status(statusCode).json({
-            success: false,
-            message: result.error
-          });
-        }
-      } catch (error) {
-        Logger.error('Update event error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error while updating event'
-        });
-      }
-    });
-
-    // Delete event (protected)
-    this.app.delete('/api/events/:id', this.auth, (req, res) => {
-      try {
-        const result = EventService.deleteEvent(req.params.id, req.user.id);
-        
-        if (result.success) {
-          res.json({
-            success: true,
-            message: result.message
-          });
-        } else {
-          const statusCode = result.error.includes('not found') ? 404 : 
-                           result.error.includes('authorized') ? 403 : 400;
-          res.status(statusCode).json({
-            success: false,
-            message: result.error
-          });
-        }
-      } catch (error) {
-        Logger.error('Delete event error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error while deleting event'
-        });
-      }
-    });
-
-    // Get user's created events (protected)
-    this.app.get('/api/events/user/created', this.auth, (req, res) => {
-      try {
-        const result = EventService.getUserEvents(req.user.id);
-        
-        if (result.success) {
-          res.json(result.events);
-        } else {
-          res.status(500).json({
-            success: false,
-            message: result.error
-          });
-        }
-      } catch (error) {
-        Logger.error('Get user events error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error while fetching user events'
-        });
-      }
-    });
-  }
-
-  setupRSVPRoutes() {
-    // Create RSVP (protected)
-    this.app.post('/api/rsvp/:eventId', this.auth, async (req, res) => {
-      try {
-        const result = await RSVPService.createRSVP(req.params.eventId, req.user.id);
-        
-        if (result.success) {
-          res.status(201).json(result);
-        } else {
-          const statusCode = result.error.includes('not found') ? 404 : 400;
-          res.status(statusCode).json({
-            success: false,
-            message: result.error
-          });
-        }
-      } catch (error) {
-        Logger.error('RSVP error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error while processing RSVP'
-        });
-      }
-    });
-
-    // Cancel RSVP (protected)
-    this.app.delete('/api/rsvp/:eventId', this.auth, async (req, res) => {
-      try {
-        const result = await RSVPService.cancelRSVP(req.params.eventId, req.user.id);
-        
-        if (result.success) {
-          res.json(result);
-        } else {
-          const statusCode = result.error.includes('not found') ? 404 : 400;
-          res.status(statusCode).json({
-            success: false,
-            message: result.error
-          });
-        }
-      } catch (error) {
-        Logger.error('Cancel RSVP error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error while cancelling RSVP'
-        });
-      }
-    });
-
-    // Get user's RSVPs (protected)
-    this.app.get('/api/rsvp/user/attending', this.auth, (req, res) => {
-      try {
-        const result = RSVPService.getUserRSVPs(req.user.id);
-        
-        if (result.success) {
-          res.json(result.events);
-        } else {
-          res.status(500).json({
-            success: false,
-            message: result.error
-          });
-        }
-      } catch (error) {
-        Logger.error('Get user RSVPs error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error while fetching RSVPs'
-        });
-      }
-    });
-
-    // Check RSVP status (protected)
-    this.app.get('/api/rsvp/:eventId/status', this.auth, (req, res) => {
-      try {
-        const result = RSVPService.checkRSVPStatus(req.params.eventId, req.user.id);
-        
-        if (result.success) {
-          res.json({
-            hasRSVP: result.hasRSVP,
-            rsvp: result.rsvp
-          });
-        } else {
-          res.status(500).json({
-            success: false,
-            message: result.error
-          });
-        }
-      } catch (error) {
-        Logger.error('Check RSVP status error', error);
-        res.status(500).json({
-          success: false,
-          message: 'Server error while checking RSVP status'
-        });
-      }
-    });
-  }
-
-  setupErrorHandling() {
-    // 404 handler
-    this.app.use('*', (req, res) => {
-      res.status(404).json({
-        success: false,
-        message: 'Route not found',
-        path: req.originalUrl
-      });
-    });
-
-    // Global error handler
-    this.app.use((err, req, res, next) => {
-      Logger.error('Unhandled error', err);
-      
-      res.status(err.status || 500).json({
-        success: false,
-        message: process.env.NODE_ENV === 'development' 
-          ? err.message 
-          : 'Internal server error',
-        ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-      });
-    });
-  }
-
-  async start() {
-    try {
-      // Initialize database connection
-      await DatabaseManager.connect();
-      
-      // Start server
-      this.server = this.app.listen(this.port, () => {
-        Logger.info(`🚀 Event Management Server Started`);
-        Logger.info(`📡 Server running on port ${this.port}`);
-        Logger.info(`🌐 Health check: http://localhost:${this.port}/api/health`);
-        Logger.info(`🎯 Frontend: http://localhost:3000`);
-        Logger.info(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
-        console.log('');
-        Logger.info('✅ Server ready for requests!');
-      });
-
-      // Graceful shutdown
-      process.on('SIGTERM', () => this.shutdown());
-      process.on('SIGINT', () => this.shutdown());
-      
-    } catch (error) {
-      Logger.error('Failed to start server', error);
-      process.exit(1);
-    }
-  }
-
-  async shutdown() {
-    Logger.info('🔄 Shutting down server...');
-    
-    if (this.server) {
-      this.server.close(() => {
-        Logger.info('📴 HTTP server closed');
-      });
-    }
-    
-    await DatabaseManager.disconnect();
-    Logger.info('👋 Server shutdown complete');
-    process.exit(0);
-  }
-}
-
-// Start the server
-const server = new EventManagementServer();
-server.start();
-
-module.exports = server;
\ No newline at end of file
+/**
+ * Professional Event Management Server
+ * MERN Stack Application with Express.js
+ * 
+ * Features:
+ * - JWT Authentication
+ * - Event CRUD Operations
+ * - RSVP System with Concurrency Handling
+ * - Professional Error Handling
+ * - Structured Architecture
+ */
+
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const multer = require('multer');
+
+// Import utilities and services
+const Logger = require('./utils/logger');
+const DatabaseManager = require('./config/database');
+const EventService = require('./services/EventService');
+const RSVPService = require('./services/RSVPService');
+const CalendarService = require('./services/CalendarService');
+const ImportService = require('./services/ImportService');
+const TicketService = require('./services/TicketService');
+const NotificationService = require('./services/NotificationService');
+const ReminderService = require('./services/ReminderService');
+const WebhookService = require('./services/WebhookService');
+const UserService = require('./services/UserService');
+const TokenService = require('./services/TokenService');
+const Validators = require('./utils/validators');
+const authenticate = require('./middleware/authenticate');
+const { requireRole, requireAdmin, requireVerifiedEmail } = require('./middleware/authorize');
+const { ROLES } = require('./utils/roles');
+
+class EventManagementServer {
+  constructor() {
+    this.app = express();
+    this.port = process.env.PORT || 5000;
+    this.setupMiddleware();
+    this.setupRoutes();
+    this.setupErrorHandling();
+  }
+
+  setupMiddleware() {
+    // Security middleware
+    this.app.use(helmet({
+      contentSecurityPolicy: false // Disable for development
+    }));
+
+    // Rate limiting
+    const limiter = rateLimit({
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 100, // limit each IP to 100 requests per windowMs
+      message: 'Too many requests from this IP, please try again later.'
+    });
+    this.app.use('/api/', limiter);
+
+    // CORS configuration
+    this.app.use(cors({
+      origin: [
+        'http://localhost:3000',
+        'https://your-frontend-domain.vercel.app'
+      ],
+      credentials: true,
+      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization']
+    }));
+
+    // Body parsing
+    this.app.use(express.json({ limit: '10mb' }));
+    this.app.use(express.urlencoded({ extended: true }));
+
+    // Request logging
+    this.app.use((req, res, next) => {
+      Logger.info(`${req.method} ${req.path}`, { 
+        ip: req.ip, 
+        userAgent: req.get('User-Agent') 
+      });
+      next();
+    });
+  }
+
+  setupRoutes() {
+    // Health check
+    this.app.get('/api/health', (req, res) => {
+      res.json({
+        status: 'OK',
+        message: 'Event Management Server Running',
+        timestamp: new Date().toISOString(),
+        environment: process.env.NODE_ENV || 'development',
+        storage: DatabaseManager.getConnectionStatus() ? 'mongodb' : 'memory',
+        version: '1.0.0'
+      });
+    });
+
+    // Authentication routes
+    this.setupAuthRoutes();
+
+    // User administration routes
+    this.setupUserRoutes();
+    
+    // Event routes
+    this.setupEventRoutes();
+    
+    // RSVP routes
+    this.setupRSVPRoutes();
+
+    // iCalendar export and feeds
+    this.setupCalendarRoutes();
+
+    // Tickets and check-in
+    this.setupTicketRoutes();
+
+    // Notification preferences and history
+    this.setupNotificationRoutes();
+
+    // Organizer webhooks and their deliveries
+    this.setupWebhookRoutes();
+  }
+
+  setupAuthRoutes() {
+    // JWT auth middleware
+    const auth = authenticate;
+
+    // Register endpoint
+    this.app.post('/api/auth/register', async (req, res) => {
+      try {
+        const { name, email, password, role } = req.body;
+
+        // Validation
+        if (!name || !email || !password) {
+          return res.status(400).json({
+            success: false,
+            message: 'All fields are required',
+            errors: ['Name, email, and password are required']
+          });
+        }
+
+        if (!Validators.validateEmail(email)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid email format'
+          });
+        }
+
+        if (!Validators.validatePassword(password)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Password must be at least 6 characters long'
+          });
+        }
+
+        Logger.info('User registration attempt', { email });
+
+        const result = await UserService.register({ name, email, password, role });
+
+        if (result.success) {
+          res.status(201).json({
+            success: true,
+            message: 'User registered successfully. Please check your email to verify your account.',
+            user: result.user,
+            token: result.accessToken,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn
+          });
+        } else {
+          const statusCode = result.error.includes('already exists') ||
+                           result.error.includes('Invalid role') ? 400 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Registration error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error during registration'
+        });
+      }
+    });
+
+    // Login endpoint
+    this.app.post('/api/auth/login', async (req, res) => {
+      try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+          return res.status(400).json({
+            success: false,
+            message: 'Email and password are required'
+          });
+        }
+
+        Logger.info('User login attempt', { email });
+
+        const result = await UserService.login(email, password);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            message: 'Login successful',
+            user: result.user,
+            token: result.accessToken,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn
+          });
+        } else {
+          const statusCode = result.error.includes('Invalid') ? 401 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Login error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error during login'
+        });
+      }
+    });
+
+    // Exchange a refresh token for a new token pair
+    this.app.post('/api/auth/refresh', async (req, res) => {
+      try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+          return res.status(400).json({
+            success: false,
+            message: 'Refresh token is required'
+          });
+        }
+
+        const result = await TokenService.rotateRefreshToken(refreshToken);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            token: result.accessToken,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn
+          });
+        } else {
+          res.status(401).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Token refresh error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error during token refresh'
+        });
+      }
+    });
+
+    // Logout (optionally from every session)
+    this.app.post('/api/auth/logout', auth, async (req, res) => {
+      try {
+        const { refreshToken, allSessions } = req.body;
+
+        if (allSessions) {
+          await TokenService.revokeAllForUser(req.user.id);
+        } else {
+          await TokenService.revokeAccessToken(req.tokenPayload);
+          if (refreshToken) {
+            await TokenService.revokeRefreshToken(refreshToken);
+          }
+        }
+
+        Logger.info(`User logged out: ${req.user.email}`, { allSessions: !!allSessions });
+
+        res.json({
+          success: true,
+          message: allSessions ? 'Logged out from all sessions' : 'Logout successful'
+        });
+      } catch (error) {
+        Logger.error('Logout error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error during logout'
+        });
+      }
+    });
+
+    // Verify email address with the token from the verification email
+    this.app.post('/api/auth/verify', async (req, res) => {
+      try {
+        const { token } = req.body;
+
+        if (!token) {
+          return res.status(400).json({
+            success: false,
+            message: 'Verification token is required'
+          });
+        }
+
+        const result = await UserService.verifyEmail(token);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            message: 'Email verified successfully',
+            user: result.user
+          });
+        } else {
+          const statusCode = result.error.includes('Invalid') ? 400 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Email verification error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error during email verification'
+        });
+      }
+    });
+
+    // Resend the verification email
+    this.app.post('/api/auth/resend-verification', auth, async (req, res) => {
+      try {
+        const result = await UserService.resendVerificationEmail(req.user.id);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            message: 'Verification email sent'
+          });
+        } else {
+          const statusCode = result.error.includes('already verified') ? 400 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Resend verification error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while sending verification email'
+        });
+      }
+    });
+
+    // Request a password reset email
+    this.app.post('/api/auth/forgot-password', async (req, res) => {
+      try {
+        const { email } = req.body;
+
+        if (!email || !Validators.validateEmail(email)) {
+          return res.status(400).json({
+            success: false,
+            message: 'A valid email is required'
+          });
+        }
+
+        const result = await UserService.requestPasswordReset(email);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            message: 'If an account exists for that email, a reset link has been sent'
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Forgot password error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while requesting password reset'
+        });
+      }
+    });
+
+    // Reset password with a token from the reset email
+    this.app.post('/api/auth/reset-password', async (req, res) => {
+      try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+          return res.status(400).json({
+            success: false,
+            message: 'Token and password are required'
+          });
+        }
+
+        if (!Validators.validatePassword(password)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Password must be at least 6 characters long'
+          });
+        }
+
+        const result = await UserService.resetPassword(token, password);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            message: 'Password reset successfully. Please log in with your new password.'
+          });
+        } else {
+          const statusCode = result.error.includes('Invalid') ? 400 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Reset password error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while resetting password'
+        });
+      }
+    });
+
+    // Get current user
+    this.app.get('/api/auth/me', auth, (req, res) => {
+      res.json({
+        success: true,
+        user: req.user
+      });
+    });
+
+    // Store auth middleware for use in other routes
+    this.auth = auth;
+  }
+
+  setupUserRoutes() {
+    // List users (admin)
+    this.app.get('/api/users', this.auth, requireAdmin, async (req, res) => {
+      try {
+        const result = await UserService.listUsers();
+
+        if (result.success) {
+          res.json({
+            success: true,
+            users: result.users,
+            count: result.users.length
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get users error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching users'
+        });
+      }
+    });
+
+    // Change a user's role (admin)
+    this.app.put('/api/users/:id/role', this.auth, requireAdmin, async (req, res) => {
+      try {
+        if (parseInt(req.params.id) === req.user.id) {
+          return res.status(400).json({
+            success: false,
+            message: 'You cannot change your own role'
+          });
+        }
+
+        const result = await UserService.updateUserRole(req.params.id, req.body.role);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            message: 'User role updated successfully',
+            user: result.user
+          });
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Update user role error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while updating user role'
+        });
+      }
+    });
+  }
+
+  setupEventRoutes() {
+    // Get all events
+    this.app.get('/api/events', async (req, res) => {
+      try {
+        const result = await EventService.getAllEvents(req.query);
+        
+        if (result.success) {
+          res.json({ 
+            success: true,
+            events: result.events,
+            count: result.events.length,
+            pagination: result.pagination
+          });
+        } else {
+          const statusCode = result.error.includes('Invalid') ? 400 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get events error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching events'
+        });
+      }
+    });
+
+    // Get category and tag counts for the current filter
+    this.app.get('/api/events/facets', async (req, res) => {
+      try {
+        const result = await EventService.getFacets(req.query);
+        
+        if (result.success) {
+          res.json(result);
+        } else {
+          const statusCode = result.error.includes('Invalid') ? 400 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get event facets error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching facets'
+        });
+      }
+    });
+
+    // Get single event, or one occurrence with ?occurrence=
+    this.app.get('/api/events/:id', authenticate.optional, async (req, res) => {
+      try {
+        const result = await EventService.getEventById(req.params.id, req.query.occurrence || null, req.user);
+        
+        if (result.success) {
+          res.json(result.event);
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get event error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching event'
+        });
+      }
+    });
+
+    // List occurrences of a recurring event
+    this.app.get('/api/events/:id/occurrences', authenticate.optional, async (req, res) => {
+      try {
+        const result = await EventService.getOccurrences(req.params.id, req.query, req.user);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            occurrences: result.occurrences
+          });
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 :
+                           result.error.includes('Failed') ? 500 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get occurrences error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching occurrences'
+        });
+      }
+    });
+
+    // Update one occurrence, or with ?scope=following it and all later ones (protected)
+    this.app.put('/api/events/:id/occurrences/:occurrenceId', this.auth, async (req, res) => {
+      try {
+        const result = await EventService.updateOccurrence(
+          req.params.id, req.params.occurrenceId, req.body, req.user, req.query.scope || 'this'
+        );
+
+        if (result.success) {
+          res.json({
+            success: true,
+            message: 'Event updated successfully',
+            event: result.event
+          });
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 :
+                           result.error.includes('authorized') ? 403 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Update occurrence error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while updating occurrence'
+        });
+      }
+    });
+
+    // Cancel one occurrence, or with ?scope=following it and all later ones (protected)
+    this.app.delete('/api/events/:id/occurrences/:occurrenceId', this.auth, async (req, res) => {
+      try {
+        const result = await EventService.cancelOccurrence(
+          req.params.id, req.params.occurrenceId, req.user, req.query.scope || 'this'
+        );
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 :
+                           result.error.includes('authorized') ? 403 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Cancel occurrence error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while cancelling occurrence'
+        });
+      }
+    });
+
+    // Create event (protected)
+    this.app.post('/api/events', this.auth, requireVerifiedEmail, requireRole(ROLES.ORGANIZER), async (req, res) => {
+      try {
+        const result = await EventService.createEvent(req.body, req.user.id, req.user.name);
+        
+        if (result.success) {
+          res.status(201).json({
+            success: true,
+            message: 'Event created successfully',
+            event: result.event
+          });
+        } else {
+          res.status(400).json({
+            success: false,
+            message: result.error || 'Validation failed',
+            errors: result.errors
+          });
+        }
+      } catch (error) {
+        Logger.error('Create event error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while creating event'
+        });
+      }
+    });
+
+    // Bulk import from a CSV or iCalendar upload (?dryRun=true to preview)
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: ImportService.maxFileBytes }
+    }).single('file');
+    const receiveFile = (req, res, next) => upload(req, res, error => {
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message
+        });
+      }
+      next();
+    });
+
+    this.app.post('/api/events/import', this.auth, requireVerifiedEmail, requireRole(ROLES.ORGANIZER), receiveFile, async (req, res) => {
+      try {
+        if (!req.file) {
+          return res.status(400).json({
+            success: false,
+            message: 'Upload a CSV or iCalendar file in the "file" field'
+          });
+        }
+
+        const format = ImportService.detectFormat({
+          format: req.body.format,
+          filename: req.file.originalname,
+          mimetype: req.file.mimetype
+        });
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+        const defaults = {
+          capacity: req.body.capacity !== undefined ? Number(req.body.capacity) : undefined,
+          category: req.body.category
+        };
+
+        const result = await ImportService.importEvents(
+          { content: req.file.buffer.toString('utf8'), format },
+          req.user,
+          { dryRun, defaults }
+        );
+
+        if (result.success) {
+          res.status(dryRun ? 200 : 201).json(result);
+        } else {
+          const { success, error, ...details } = result;
+          res.status(error.startsWith('Failed') ? 500 : 400).json({
+            success: false,
+            message: error,
+            ...details
+          });
+        }
+      } catch (error) {
+        Logger.error('Import events error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while importing events'
+        });
+      }
+    });
+
+    // Update event (protected)
+    this.app.put('/api/events/:id', this.auth, async (req, res) => {
+      try {
+        const result = await EventService.updateEvent(req.params.id, req.body, req.user);
+        
+        if (result.success) {
+          res.json({
+            success: true,
+            message: 'Event updated successfully',
+            event: result.event
+          });
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 : 
+                           result.error.includes('authorized') ? 403 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Update event error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while updating event'
+        });
+      }
+    });
+
+    // Publish, postpone, cancel or complete an event (protected)
+    this.app.put('/api/events/:id/status', this.auth, async (req, res) => {
+      try {
+        const result = await EventService.changeStatus(req.params.id, req.user, req.body.status, { date: req.body.date });
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 :
+                           result.error.includes('authorized') ? 403 :
+                           result.error.includes('changed while') ? 409 :
+                           result.error.startsWith('Failed') ? 500 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Change event status error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while changing event status'
+        });
+      }
+    });
+
+    // Delete event (protected)
+    this.app.delete('/api/events/:id', this.auth, async (req, res) => {
+      try {
+        const result = await EventService.deleteEvent(req.params.id, req.user);
+        
+        if (result.success) {
+          res.json({
+            success: true,
+            message: result.message
+          });
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 : 
+                           result.error.includes('authorized') ? 403 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Delete event error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while deleting event'
+        });
+      }
+    });
+
+    // Get user's created events (protected)
+    this.app.get('/api/events/user/created', this.auth, async (req, res) => {
+      try {
+        const result = await EventService.getUserEvents(req.user.id);
+        
+        if (result.success) {
+          res.json(result.events);
+        } else {
+          res.status(500).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get user events error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching user events'
+        });
+      }
+    });
+  }
+
+  setupRSVPRoutes() {
+    // Create RSVP (protected)
+    this.app.post('/api/rsvp/:eventId', this.auth, requireVerifiedEmail, async (req, res) => {
+      try {
+        const result = await RSVPService.createRSVP(req.params.eventId, req.user.id, req.query.occurrence || null, {
+          ticketTypeId: req.body.ticketType || null,
+          guests: req.body.guests
+        });
+        
+        if (result.success) {
+          res.status(201).json(result);
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('RSVP error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while processing RSVP'
+        });
+      }
+    });
+
+    // Cancel RSVP (protected)
+    this.app.delete('/api/rsvp/:eventId', this.auth, async (req, res) => {
+      try {
+        const result = await RSVPService.cancelRSVP(req.params.eventId, req.user.id, req.query.occurrence || null);
+        
+        if (result.success) {
+          res.json(result);
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Cancel RSVP error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while cancelling RSVP'
+        });
+      }
+    });
+
+    // Change the guests on an RSVP (protected)
+    this.app.put('/api/rsvp/:eventId/guests', this.auth, async (req, res) => {
+      try {
+        const result = await RSVPService.updateGuests(req.params.eventId, req.user.id, req.query.occurrence || null, req.body.guests);
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 :
+                           result.error.includes('free seats') || result.error.includes('meantime') ? 409 :
+                           result.error.startsWith('Failed') ? 500 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Update guests error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while updating guests'
+        });
+      }
+    });
+
+    // Get user's RSVPs (protected)
+    this.app.get('/api/rsvp/user/attending', this.auth, async (req, res) => {
+      try {
+        const result = await RSVPService.getUserRSVPs(req.user.id);
+        
+        if (result.success) {
+          res.json(result.events);
+        } else {
+          res.status(500).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get user RSVPs error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching RSVPs'
+        });
+      }
+    });
+
+    // Get user's events by response (protected; ?status=)
+    this.app.get('/api/rsvp/user/responses', this.auth, async (req, res) => {
+      try {
+        const result = await RSVPService.getUserResponses(req.user.id, req.query.status || null);
+
+        if (result.success) {
+          res.json(result.responses);
+        } else {
+          res.status(result.error.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get user responses error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching responses'
+        });
+      }
+    });
+
+    // Set response: attending, interested, maybe or declined (verified email)
+    this.app.put('/api/rsvp/:eventId/status', this.auth, requireVerifiedEmail, async (req, res) => {
+      try {
+        const result = await RSVPService.respond(req.params.eventId, req.user.id, req.query.occurrence || null, req.body.status, {
+          ticketTypeId: req.body.ticketType || null,
+          guests: req.body.guests
+        });
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 :
+                           result.error.includes('meantime') ? 409 :
+                           result.error.startsWith('Failed') ? 500 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Set response error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while saving response'
+        });
+      }
+    });
+
+    // Check RSVP status (protected)
+    this.app.get('/api/rsvp/:eventId/status', this.auth, async (req, res) => {
+      try {
+        const result = await RSVPService.checkRSVPStatus(req.params.eventId, req.user.id, req.query.occurrence || null);
+        
+        if (result.success) {
+          res.json({
+            hasRSVP: result.hasRSVP,
+            status: result.status,
+            rsvp: result.rsvp
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Check RSVP status error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while checking RSVP status'
+        });
+      }
+    });
+
+    // Get waitlist position (protected)
+    this.app.get('/api/rsvp/:eventId/waitlist', this.auth, async (req, res) => {
+      try {
+        const result = await RSVPService.getWaitlistPosition(req.params.eventId, req.user.id, req.query.occurrence || null);
+        
+        if (result.success) {
+          res.json(result);
+        } else {
+          const statusCode = result.error.includes('not found') || result.error.includes('not on the waitlist') ? 404 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get waitlist position error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while checking waitlist position'
+        });
+      }
+    });
+
+    // Leave waitlist (protected)
+    this.app.delete('/api/rsvp/:eventId/waitlist', this.auth, async (req, res) => {
+      try {
+        const result = await RSVPService.leaveWaitlist(req.params.eventId, req.user.id, req.query.occurrence || null);
+        
+        if (result.success) {
+          res.json(result);
+        } else {
+          const statusCode = result.error.includes('not on the waitlist') ? 404 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Leave waitlist error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while leaving waitlist'
+        });
+      }
+    });
+
+    const attendeesErrorStatus = (error) => (
+      error.includes('not found') ? 404 :
+      error.includes('authorized') ? 403 :
+      error.startsWith('Invalid') ? 400 : 500
+    );
+
+    // Response counts per status (event organizers; ?occurrence=)
+    this.app.get('/api/rsvp/:eventId/counts', this.auth, async (req, res) => {
+      try {
+        const result = await RSVPService.getResponseCounts(req.params.eventId, req.user, req.query.occurrence || null);
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          res.status(attendeesErrorStatus(result.error)).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get response counts error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while counting responses'
+        });
+      }
+    });
+
+    // Paginated attendee list (event creator or admin; ?status=, ?occurrence=)
+    this.app.get('/api/rsvp/:eventId/attendees', this.auth, async (req, res) => {
+      try {
+        const result = await RSVPService.getEventAttendees(req.params.eventId, req.user, {
+          occurrenceId: req.query.occurrence || null,
+          status: req.query.status || 'attending',
+          page: req.query.page,
+          limit: req.query.limit
+        });
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          res.status(attendeesErrorStatus(result.error)).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get attendees error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching attendees'
+        });
+      }
+    });
+
+    // CSV download of every RSVP, including waitlisted and cancelled (event creator or admin)
+    this.app.get('/api/rsvp/:eventId/attendees/export', this.auth, async (req, res) => {
+      try {
+        const result = await RSVPService.exportAttendees(req.params.eventId, req.user, req.query.occurrence || null);
+
+        if (result.success) {
+          res.set('Content-Type', 'text/csv; charset=utf-8');
+          res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+          res.send(result.csv);
+        } else {
+          res.status(attendeesErrorStatus(result.error)).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Export attendees error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while exporting attendees'
+        });
+      }
+    });
+  }
+
+  setupCalendarRoutes() {
+    const sendCalendar = (res, calendar, filename) => {
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      if (filename) {
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      }
+      res.send(calendar);
+    };
+
+    // Export an event, a whole series or one occurrence (?occurrence=)
+    this.app.get('/api/events/:id/ics', authenticate.optional, async (req, res) => {
+      try {
+        const result = await CalendarService.getEventCalendar(req.params.id, req.query.occurrence || null, req.user);
+
+        if (result.success) {
+          sendCalendar(res, result.calendar, `event-${parseInt(req.params.id)}.ics`);
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Export event calendar error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while exporting event'
+        });
+      }
+    });
+
+    // Create (or replace) the user's calendar feed URL (protected)
+    this.app.post('/api/calendar/feed', this.auth, async (req, res) => {
+      try {
+        const result = await CalendarService.issueFeedToken(req.user.id);
+
+        if (result.success) {
+          const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+          const url = `${baseUrl}/api/calendar/feed/${result.token}.ics`;
+          res.status(201).json({
+            success: true,
+            url,
+            webcalUrl: url.replace(/^https?:/, 'webcal:')
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Create calendar feed error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while creating calendar feed'
+        });
+      }
+    });
+
+    // Revoke the user's calendar feed URL (protected)
+    this.app.delete('/api/calendar/feed', this.auth, async (req, res) => {
+      try {
+        const result = await CalendarService.revokeFeed(req.user.id);
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Revoke calendar feed error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while revoking calendar feed'
+        });
+      }
+    });
+
+    // Subscribable feed; the token in the URL is the only credential
+    this.app.get('/api/calendar/feed/:token.ics', async (req, res) => {
+      try {
+        const result = await CalendarService.getFeed(req.params.token);
+
+        if (result.success) {
+          sendCalendar(res, result.calendar);
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 : 500;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Calendar feed error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while building calendar feed'
+        });
+      }
+    });
+  }
+
+  setupTicketRoutes() {
+    const ticketErrorStatus = (result) => (
+      result.duplicate ? 409 :
+      result.error.includes('not found') || result.error.includes('No active RSVP') ? 404 :
+      result.error.includes('authorized') ? 403 :
+      result.error.startsWith('Invalid') ? 400 : 500
+    );
+
+    // The user's signed ticket code and QR code for an event (protected)
+    this.app.get('/api/rsvp/:eventId/ticket', this.auth, async (req, res) => {
+      try {
+        const result = await TicketService.getTicket(req.params.eventId, req.user.id, req.query.occurrence || null);
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          res.status(ticketErrorStatus(result)).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get ticket error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while retrieving ticket'
+        });
+      }
+    });
+
+    // The ticket's QR code as a PNG image (protected)
+    this.app.get('/api/rsvp/:eventId/ticket/qr', this.auth, async (req, res) => {
+      try {
+        const result = await TicketService.getTicket(req.params.eventId, req.user.id, req.query.occurrence || null);
+
+        if (result.success) {
+          res.set('Content-Type', 'image/png');
+          res.set('Cache-Control', 'private, no-store');
+          res.send(await TicketService.renderQrImage(result.ticket.code));
+        } else {
+          res.status(ticketErrorStatus(result)).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get ticket QR code error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while retrieving ticket'
+        });
+      }
+    });
+
+    // Check a ticket in at the door (event organizers)
+    this.app.post('/api/events/:id/check-in', this.auth, requireRole(ROLES.ORGANIZER), async (req, res) => {
+      try {
+        if (!req.body.code) {
+          return res.status(400).json({
+            success: false,
+            message: 'Ticket code is required'
+          });
+        }
+
+        const result = await TicketService.checkIn(req.params.id, req.body.code, req.user);
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          res.status(ticketErrorStatus(result)).json({
+            success: false,
+            message: result.error,
+            ...(result.duplicate ? { checkedInAt: result.checkedInAt } : {})
+          });
+        }
+      } catch (error) {
+        Logger.error('Check-in error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while checking in ticket'
+        });
+      }
+    });
+
+    // Checked in vs. RSVP'd counts (event organizers; ?occurrence=)
+    this.app.get('/api/events/:id/check-in/stats', this.auth, requireRole(ROLES.ORGANIZER), async (req, res) => {
+      try {
+        const result = await TicketService.getCheckInStats(req.params.id, req.user, req.query.occurrence || null);
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          res.status(ticketErrorStatus(result)).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Check-in stats error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while retrieving check-in stats'
+        });
+      }
+    });
+  }
+
+  setupNotificationRoutes() {
+    // The user's notification preferences (protected)
+    this.app.get('/api/notifications/preferences', this.auth, async (req, res) => {
+      try {
+        const result = await NotificationService.getPreferences(req.user.id);
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          res.status(404).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get notification preferences error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching notification preferences'
+        });
+      }
+    });
+
+    // Turn notification categories on or off (protected)
+    this.app.put('/api/notifications/preferences', this.auth, async (req, res) => {
+      try {
+        const result = await NotificationService.updatePreferences(req.user.id, req.body);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            message: 'Notification preferences updated',
+            preferences: result.preferences
+          });
+        } else {
+          const statusCode = result.error.includes('not found') ? 404 :
+            result.error.startsWith('Failed') ? 500 : 400;
+          res.status(statusCode).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Update notification preferences error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while updating notification preferences'
+        });
+      }
+    });
+
+    // The user's recent notifications and their delivery status (protected)
+    this.app.get('/api/notifications', this.auth, async (req, res) => {
+      try {
+        const result = await NotificationService.getUserNotifications(req.user.id);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            notifications: result.notifications,
+            count: result.notifications.length
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get notifications error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching notifications'
+        });
+      }
+    });
+  }
+
+  setupWebhookRoutes() {
+    const webhookErrorStatus = (error) => (
+      error.includes('not found') ? 404 :
+      error.includes('authorized') ? 403 :
+      error.startsWith('Failed') ? 500 : 400
+    );
+
+    // Register a webhook for one event or all of the organizer's events
+    this.app.post('/api/webhooks', this.auth, requireRole(ROLES.ORGANIZER), async (req, res) => {
+      try {
+        const { url, events, eventId } = req.body;
+        const result = await WebhookService.createWebhook(req.user, { url, events, eventId });
+
+        if (result.success) {
+          res.status(201).json({
+            success: true,
+            message: 'Webhook created. Store the secret now, it is not shown again',
+            webhook: result.webhook,
+            secret: result.secret
+          });
+        } else {
+          res.status(webhookErrorStatus(result.error)).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Create webhook error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while creating webhook'
+        });
+      }
+    });
+
+    // The organizer's webhooks (protected)
+    this.app.get('/api/webhooks', this.auth, requireRole(ROLES.ORGANIZER), async (req, res) => {
+      try {
+        const result = await WebhookService.getUserWebhooks(req.user);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            webhooks: result.webhooks,
+            count: result.webhooks.length
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get webhooks error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching webhooks'
+        });
+      }
+    });
+
+    // Change a webhook's URL or subscribed events (owner or admin)
+    this.app.put('/api/webhooks/:id', this.auth, requireRole(ROLES.ORGANIZER), async (req, res) => {
+      try {
+        const { url, events } = req.body;
+        const result = await WebhookService.updateWebhook(req.params.id, req.user, { url, events });
+
+        if (result.success) {
+          res.json({
+            success: true,
+            message: 'Webhook updated',
+            webhook: result.webhook
+          });
+        } else {
+          res.status(webhookErrorStatus(result.error)).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Update webhook error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while updating webhook'
+        });
+      }
+    });
+
+    // Remove a webhook and its delivery log (owner or admin)
+    this.app.delete('/api/webhooks/:id', this.auth, requireRole(ROLES.ORGANIZER), async (req, res) => {
+      try {
+        const result = await WebhookService.deleteWebhook(req.params.id, req.user);
+
+        if (result.success) {
+          res.json(result);
+        } else {
+          res.status(webhookErrorStatus(result.error)).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Delete webhook error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while deleting webhook'
+        });
+      }
+    });
+
+    // Recent deliveries with the log of each attempt (owner or admin)
+    this.app.get('/api/webhooks/:id/deliveries', this.auth, requireRole(ROLES.ORGANIZER), async (req, res) => {
+      try {
+        const result = await WebhookService.getDeliveries(req.params.id, req.user);
+
+        if (result.success) {
+          res.json({
+            success: true,
+            deliveries: result.deliveries,
+            count: result.deliveries.length
+          });
+        } else {
+          res.status(webhookErrorStatus(result.error)).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Get webhook deliveries error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while fetching webhook deliveries'
+        });
+      }
+    });
+
+    // Send a delivery again (owner or admin)
+    this.app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', this.auth, requireRole(ROLES.ORGANIZER), async (req, res) => {
+      try {
+        const result = await WebhookService.redeliver(req.params.id, req.params.deliveryId, req.user);
+
+        if (result.success) {
+          res.status(202).json({
+            success: true,
+            message: 'Redelivery queued',
+            delivery: result.delivery
+          });
+        } else {
+          res.status(webhookErrorStatus(result.error)).json({
+            success: false,
+            message: result.error
+          });
+        }
+      } catch (error) {
+        Logger.error('Redeliver webhook error', error);
+        res.status(500).json({
+          success: false,
+          message: 'Server error while redelivering webhook'
+        });
+      }
+    });
+  }
+
+  setupErrorHandling() {
+    // 404 handler
+    this.app.use('*', (req, res) => {
+      res.status(404).json({
+        success: false,
+        message: 'Route not found',
+        path: req.originalUrl
+      });
+    });
+
+    // Global error handler
+    this.app.use((err, req, res, next) => {
+      Logger.error('Unhandled error', err);
+      
+      res.status(err.status || 500).json({
+        success: false,
+        message: process.env.NODE_ENV === 'development' 
+          ? err.message 
+          : 'Internal server error',
+        ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+      });
+    });
+  }
+
+  async start() {
+    try {
+      // Initialize database connection
+      await DatabaseManager.connect();
+      await UserService.initialize();
+      await UserService.ensureAdminAccount();
+      await EventService.initialize();
+      NotificationService.start();
+      ReminderService.start();
+      WebhookService.start();
+      
+      // Start server
+      this.server = this.app.listen(this.port, () => {
+        Logger.info(`🚀 Event Management Server Started`);
+        Logger.info(`📡 Server running on port ${this.port}`);
+        Logger.info(`🌐 Health check: http://localhost:${this.port}/api/health`);
+        Logger.info(`🎯 Frontend: http://localhost:3000`);
+        Logger.info(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log('');
+        Logger.info('✅ Server ready for requests!');
+      });
+
+      // Graceful shutdown
+      process.on('SIGTERM', () => this.shutdown());
+      process.on('SIGINT', () => this.shutdown());
+      
+    } catch (error) {
+      Logger.error('Failed to start server', error);
+      process.exit(1);
+    }
+  }
+
+  async shutdown() {
+    // SIGINT and SIGTERM can both arrive; only shut down once
+    if (this.shuttingDown) {
+      return;
+    }
+    this.shuttingDown = true;
+
+    Logger.info('🔄 Shutting down server...');
+    
+    if (this.server) {
+      // Let in-flight requests finish writing before the store is closed
+      await new Promise(resolve => {
+        const timeout = setTimeout(resolve, 10000);
+        this.server.close(() => {
+          clearTimeout(timeout);
+          Logger.info('📴 HTTP server closed');
+          resolve();
+        });
+        if (this.server.closeIdleConnections) {
+          this.server.closeIdleConnections();
+        }
+      });
+    }
+
+    // Background jobs still need the database; reminders queue notifications
+    await ReminderService.stop();
+    await NotificationService.stop();
+    await WebhookService.stop();
+    await DatabaseManager.disconnect();
+    Logger.info('👋 Server shutdown complete');
+    process.exit(0);
+  }
+}
+
+// Start the server when run directly; tests require the app without listening
+const server = new EventManagementServer();
+if (require.main === module) {
+  server.start();
+}
+
+module.exports = server;
@@ -0,0 +1,65 @@
+/**
+ * Authentication Middleware
+ * Verifies the bearer access token and attaches the user to the request
+ */
+
+const Logger = require('../utils/logger');
+const UserService = require('../services/UserService');
+
+const authenticate = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.'
+      });
+    }
+
+    const result = await UserService.verifyToken(token);
+
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Invalid or expired token.'
+      });
+    }
+
+    req.user = result.user;
+    req.tokenPayload = result.tokenPayload;
+    next();
+  } catch (error) {
+    Logger.error('Authentication error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication'
+    });
+  }
+};
+
+/**
+ * For public routes that show more to signed-in users: attaches the user
+ * when a valid token is sent and lets every other request through anonymously
+ */
+const optional = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const result = token ? await UserService.verifyToken(token) : null;
+
+    if (result && result.success) {
+      req.user = result.user;
+      req.tokenPayload = result.tokenPayload;
+    }
+    next();
+  } catch (error) {
+    Logger.error('Authentication error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication'
+    });
+  }
+};
+
+module.exports = authenticate;
+module.exports.optional = optional;
@@ -0,0 +1,51 @@
+/**
+ * Authorization Middleware
+ * Reusable route guards; run after the authentication middleware
+ */
+
+const { ROLES, isAdmin } = require('../utils/roles');
+
+/**
+ * Allow the request through only if the user has one of the given roles.
+ * Admins pass every role guard.
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No token provided.'
+    });
+  }
+
+  if (!isAdmin(req.user) && !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. Requires role: ${roles.join(' or ')}`
+    });
+  }
+
+  next();
+};
+
+const requireAdmin = requireRole(ROLES.ADMIN);
+
+/**
+ * Block accounts that haven't confirmed their email address yet
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address before continuing'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireRole,
+  requireAdmin,
+  requireVerifiedEmail
+};
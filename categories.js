@@ -0,0 +1,38 @@
+/**
+ * Event Categories
+ * Controlled category list and tag normalization for events
+ */
+
+const CATEGORIES = Object.freeze([
+  'conference',
+  'meetup',
+  'workshop',
+  'social',
+  'music',
+  'sports',
+  'arts',
+  'education',
+  'business',
+  'community',
+  'other'
+]);
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const isValidCategory = (category) => CATEGORIES.includes(category);
+
+/**
+ * Tags are stored lowercase, trimmed and de-duplicated
+ */
+const normalizeTags = (tags) => [...new Set(
+  tags.map(tag => String(tag).trim().toLowerCase().replace(/[<>]/g, '')).filter(Boolean)
+)];
+
+module.exports = {
+  CATEGORIES,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  isValidCategory,
+  normalizeTags
+};
@@ -0,0 +1,94 @@
+/**
+ * CSV Utilities
+ * RFC 4180 parsing and writing: quoted fields, doubled quotes, embedded
+ * line breaks
+ */
+
+/**
+ * Parse CSV text into an array of records, each an array of strings.
+ * Returns { records } or { error } for an unterminated quoted field.
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    return { error: 'Unterminated quoted field' };
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines are not records
+  return { records: records.filter(fields => fields.some(value => value.trim() !== '')) };
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize an array of records (arrays of values) as CSV with CRLF
+ * line breaks, quoting only where needed
+ */
+const toCsv = (records) => records.map(record => record.map(formatField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -1,44 +1,89 @@
-/**
- * Database Configuration
- * Handles MongoDB connection and in-memory fallback
- */
-
-const mongoose = require('mongoose');
-
-class DatabaseManager {
-  constructor() {
-    this.isConnected = false;
-    this.connectionString = process.env.MONGODB_URI || 'mongodb://localhost:27017/eventhub';
-  }
-
-  async connect() {
-    try {
-      await mongoose.connect(this.connectionString, {
-        useNewUrlParser: true,
-        useUnifiedTopology: true,
-      });
-      
-      this.isConnected = true;
-      console.log('✅ MongoDB Connected Successfully');
-      return true;
-    } catch (error) {
-      console.error('❌ MongoDB Connection Failed:', error.message);
-      console.log('⚠️  Falling back to in-memory storage');
-      return false;
-    }
-  }
-
-  async disconnect() {
-    if (this.isConnected) {
-      await mongoose.disconnect();
-      this.isConnected = false;
-      console.log('📴 MongoDB Disconnected');
-    }
-  }
-
-  getConnectionStatus() {
-    return this.isConnected;
-  }
-}
-
-module.exports = new DatabaseManager();
\ No newline at end of file
+/**
+ * Database Configuration
+ * Handles MongoDB connection and in-memory fallback
+ */
+
+const mongoose = require('mongoose');
+const MemoryRepository = require('../repositories/MemoryRepository');
+const MongoRepository = require('../repositories/MongoRepository');
+const FileStore = require('../repositories/FileStore');
+
+class DatabaseManager {
+  constructor() {
+    this.isConnected = false;
+    this.repositories = new Map();
+    this.fileStore = null;
+    this.connectionString = process.env.MONGODB_URI || 'mongodb://localhost:27017/eventhub';
+  }
+
+  async connect() {
+    try {
+      await mongoose.connect(this.connectionString, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      
+      this.isConnected = true;
+      console.log('✅ MongoDB Connected Successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ MongoDB Connection Failed:', error.message);
+      console.log('⚠️  Falling back to in-memory storage');
+      this.openFileStore();
+      return false;
+    }
+  }
+
+  /**
+   * Persist the in-memory fallback to disk when DATA_DIR is set
+   */
+  openFileStore() {
+    if (!process.env.DATA_DIR || this.fileStore) {
+      return;
+    }
+
+    this.fileStore = new FileStore(process.env.DATA_DIR, {
+      snapshotIntervalMs: parseInt(process.env.SNAPSHOT_INTERVAL_SECONDS) * 1000 || undefined
+    });
+    this.fileStore.open();
+    console.log(`💾 In-memory storage persisted to ${process.env.DATA_DIR}`);
+  }
+
+  async disconnect() {
+    if (this.isConnected) {
+      await mongoose.disconnect();
+      this.isConnected = false;
+      console.log('📴 MongoDB Disconnected');
+    }
+
+    if (this.fileStore) {
+      this.fileStore.close();
+      this.fileStore = null;
+      console.log('💾 In-memory storage flushed to disk');
+    }
+  }
+
+  getConnectionStatus() {
+    return this.isConnected;
+  }
+
+  /**
+   * Get the repository for a collection on the active backend:
+   * MongoDB when connected, otherwise the in-memory store
+   */
+  getRepository(name) {
+    const backend = this.getConnectionStatus() ? 'mongo' : 'memory';
+    const key = `${backend}:${name}`;
+
+    if (!this.repositories.has(key)) {
+      const Repository = backend === 'mongo' ? MongoRepository : MemoryRepository;
+      this.repositories.set(key, backend === 'mongo'
+        ? new Repository(name)
+        : new Repository(name, this.fileStore));
+    }
+
+    return this.repositories.get(key);
+  }
+}
+
+module.exports = new DatabaseManager();
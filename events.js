@@ -1,214 +1,413 @@
-const express = require('express');
-const { body, validationResult } = require('express-validator');
-const Event = require('../models/Event');
-const RSVP = require('../models/RSVP');
-const auth = require('../middleware/auth');
-
-const router = express.Router();
-
-// Get all events with pagination and search
-router.get('/', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search || '';
-    const sortBy = req.query.sortBy || 'date';
-    const sortOrder = req.query.sortOrder === 'desc' ? -1 : 1;
-
-    const skip = (page - 1) * limit;
-
-    // Build search query
-    let query = { date: { $gte: new Date() } }; // Only future events
-    
-    if (search) {
-      query.$text = { $search: search };
-    }
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder;
-
-    const events = await Event.find(query)
-      .populate('creator', 'name email')
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Event.countDocuments(query);
-
-    res.json({
-      events,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total
-      }
-    });
-  } catch (error) {
-    console.error('Get events error:', error);
-    res.status(500).json({ message: 'Server error while fetching events' });
-  }
-});
-
-// Get single event
-router.get('/:id', async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id)
-      .populate('creator', 'name email')
-      .populate('attendees', 'name email');
-
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-
-    res.json(event);
-  } catch (error) {
-    console.error('Get event error:', error);
-    res.status(500).json({ message: 'Server error while fetching event' });
-  }
-});
-
-// Create event
-router.post('/', auth, [
-  body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
-  body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
-  body('date').isISO8601().withMessage('Please provide a valid date'),
-  body('location').trim().isLength({ min: 3, max: 200 }).withMessage('Location must be between 3 and 200 characters'),
-  body('capacity').isInt({ min: 1, max: 10000 }).withMessage('Capacity must be between 1 and 10,000')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        message: 'Validation failed', 
-        errors: errors.array() 
-      });
-    }
-
-    const { title, description, date, location, capacity } = req.body;
-
-    // Validate date is in the future
-    if (new Date(date) <= new Date()) {
-      return res.status(400).json({ message: 'Event date must be in the future' });
-    }
-
-    const event = new Event({
-      title,
-      description,
-      date: new Date(date),
-      location,
-      capacity: parseInt(capacity),
-      creator: req.user._id
-    });
-
-    await event.save();
-    await event.populate('creator', 'name email');
-
-    res.status(201).json({
-      message: 'Event created successfully',
-      event
-    });
-  } catch (error) {
-    console.error('Create event error:', error);
-    res.status(500).json({ message: 'Server error while creating event' });
-  }
-});
-
-// Update event
-router.put('/:id', auth, [
-  body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
-  body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
-  body('date').optional().isISO8601().withMessage('Please provide a valid date'),
-  body('location').optional().trim().isLength({ min: 3, max: 200 }).withMessage('Location must be between 3 and 200 characters'),
-  body('capacity').optional().isInt({ min: 1, max: 10000 }).withMessage('Capacity must be between 1 and 10,000')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        message: 'Validation failed', 
-        errors: errors.array() 
-      });
-    }
-
-    const event = await Event.findById(req.params.id);
-    
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-
-    // Check if user is the creator
-    if (event.creator.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to update this event' });
-    }
-
-    const updates = req.body;
-
-    // Validate date if provided
-    if (updates.date && new Date(updates.date) <= new Date()) {
-      return res.status(400).json({ message: 'Event date must be in the future' });
-    }
-
-    // Validate capacity doesn't go below current attendees
-    if (updates.capacity && parseInt(updates.capacity) < event.currentAttendees) {
-      return res.status(400).json({ 
-        message: `Cannot reduce capacity below current attendees (${event.currentAttendees})` 
-      });
-    }
-
-    Object.assign(event, updates);
-    await event.save();
-    await event.populate('creator', 'name email');
-
-    res.json({
-      message: 'Event updated successfully',
-      event
-    });
-  } catch (error) {
-    console.error('Update event error:', error);
-    res.status(500).json({ message: 'Server error while updating event' });
-  }
-});
-
-// Delete event
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.id);
-    
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-
-    // Check if user is the creator
-    if (event.creator.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to delete this event' });
-    }
-
-    // Delete all RSVPs for this event
-    await RSVP.deleteMany({ event: event._id });
-
-    // Delete the event
-    await Event.findByIdAndDelete(req.params.id);
-
-    res.json({ message: 'Event deleted successfully' });
-  } catch (error) {
-    console.error('Delete event error:', error);
-    res.status(500).json({ message: 'Server error while deleting event' });
-  }
-});
-
-// Get user's created events
-router.get('/user/created', auth, async (req, res) => {
-  try {
-    const events = await Event.find({ creator: req.user._id })
-      .populate('creator', 'name email')
-      .sort({ date: 1 });
-
-    res.json(events);
-  } catch (error) {
-    console.error('Get user events error:', error);
-    res.status(500).json({ message: 'Server error while fetching user events' });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const EventService = require('../services/EventService');
+const CalendarService = require('../services/CalendarService');
+const ImportService = require('../services/ImportService');
+const TicketService = require('../services/TicketService');
+const auth = require('../middleware/authenticate');
+const { requireRole, requireVerifiedEmail } = require('../middleware/authorize');
+const { ROLES } = require('../utils/roles');
+const { CATEGORIES, MAX_TAGS } = require('../utils/categories');
+const { MAX_TICKET_TYPES } = require('../utils/tickets');
+const { MAX_GUESTS_LIMIT } = require('../utils/seats');
+const { EVENT_STATUSES, INITIAL_STATUSES } = require('../utils/lifecycle');
+
+const router = express.Router();
+
+// Map a service error to an HTTP status code
+const statusFor = (error) => {
+  if (error.includes('not found')) return 404;
+  if (error.includes('authorized')) return 403;
+  return 400;
+};
+
+// Get all events with pagination, sorting and filters
+router.get('/', async (req, res) => {
+  try {
+    const result = await EventService.getAllEvents(req.query);
+    if (!result.success) {
+      return res.status(result.error.includes('Invalid') ? 400 : 500).json({ message: result.error });
+    }
+
+    res.json({
+      events: result.events.map(event => EventService.formatEvent(event)),
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({ message: 'Server error while fetching events' });
+  }
+});
+
+// Get category and tag counts for the current filter
+router.get('/facets', async (req, res) => {
+  try {
+    const result = await EventService.getFacets(req.query);
+    if (!result.success) {
+      return res.status(result.error.includes('Invalid') ? 400 : 500).json({ message: result.error });
+    }
+
+    res.json({ total: result.total, facets: result.facets });
+  } catch (error) {
+    console.error('Get event facets error:', error);
+    res.status(500).json({ message: 'Server error while fetching facets' });
+  }
+});
+
+// Get single event, or one occurrence with ?occurrence=
+router.get('/:id', auth.optional, async (req, res) => {
+  try {
+    const result = await EventService.getEventById(req.params.id, req.query.occurrence || null, req.user);
+
+    if (!result.success) {
+      return res.status(result.error.includes('not found') ? 404 : 500).json({ message: result.error });
+    }
+
+    res.json(result.event);
+  } catch (error) {
+    console.error('Get event error:', error);
+    res.status(500).json({ message: 'Server error while fetching event' });
+  }
+});
+
+// Export an event, a whole series or one occurrence (?occurrence=) as iCalendar
+router.get('/:id/ics', auth.optional, async (req, res) => {
+  try {
+    const result = await CalendarService.getEventCalendar(req.params.id, req.query.occurrence || null, req.user);
+
+    if (!result.success) {
+      return res.status(result.error.includes('not found') ? 404 : 500).json({ message: result.error });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${parseInt(req.params.id)}.ics"`);
+    res.send(result.calendar);
+  } catch (error) {
+    console.error('Export event calendar error:', error);
+    res.status(500).json({ message: 'Server error while exporting event' });
+  }
+});
+
+// List occurrences of a recurring event
+router.get('/:id/occurrences', auth.optional, async (req, res) => {
+  try {
+    const result = await EventService.getOccurrences(req.params.id, req.query, req.user);
+
+    if (!result.success) {
+      return res.status(result.error.includes('Failed') ? 500 : statusFor(result.error)).json({ message: result.error });
+    }
+
+    res.json({ occurrences: result.occurrences });
+  } catch (error) {
+    console.error('Get occurrences error:', error);
+    res.status(500).json({ message: 'Server error while fetching occurrences' });
+  }
+});
+
+// Update one occurrence, or with ?scope=following it and all later ones
+router.put('/:id/occurrences/:occurrenceId', auth, [
+  body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
+  body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
+  body('date').optional().isISO8601().withMessage('Please provide a valid date'),
+  body('location').optional().trim().isLength({ min: 3, max: 200 }).withMessage('Location must be between 3 and 200 characters'),
+  body('capacity').optional().isInt({ min: 1, max: 10000 }).withMessage('Capacity must be between 1 and 10,000')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await EventService.updateOccurrence(
+      req.params.id, req.params.occurrenceId, req.body, req.user, req.query.scope || 'this'
+    );
+
+    if (!result.success) {
+      return res.status(statusFor(result.error)).json({ message: result.error });
+    }
+
+    res.json({
+      message: 'Event updated successfully',
+      event: EventService.formatEvent(result.event)
+    });
+  } catch (error) {
+    console.error('Update occurrence error:', error);
+    res.status(500).json({ message: 'Server error while updating occurrence' });
+  }
+});
+
+// Cancel one occurrence, or with ?scope=following it and all later ones
+router.delete('/:id/occurrences/:occurrenceId', auth, async (req, res) => {
+  try {
+    const result = await EventService.cancelOccurrence(
+      req.params.id, req.params.occurrenceId, req.user, req.query.scope || 'this'
+    );
+
+    if (!result.success) {
+      return res.status(statusFor(result.error)).json({ message: result.error });
+    }
+
+    res.json({ message: result.message, cancelledRsvps: result.cancelledRsvps });
+  } catch (error) {
+    console.error('Cancel occurrence error:', error);
+    res.status(500).json({ message: 'Server error while cancelling occurrence' });
+  }
+});
+
+// Create event
+router.post('/', auth, requireVerifiedEmail, requireRole(ROLES.ORGANIZER), [
+  body('title').trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
+  body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
+  body('date').isISO8601().withMessage('Please provide a valid date'),
+  body('location').trim().isLength({ min: 3, max: 200 }).withMessage('Location must be between 3 and 200 characters'),
+  body('capacity').isInt({ min: 1, max: 10000 }).withMessage('Capacity must be between 1 and 10,000'),
+  body('category').optional().isIn(CATEGORIES).withMessage(`Category must be one of: ${CATEGORIES.join(', ')}`),
+  body('tags').optional().isArray({ max: MAX_TAGS }).withMessage(`Tags must be an array of at most ${MAX_TAGS} items`),
+  body('ticketTypes').optional({ nullable: true }).isArray({ max: MAX_TICKET_TYPES }).withMessage(`Ticket types must be an array of at most ${MAX_TICKET_TYPES} items`),
+  body('maxGuests').optional().isInt({ min: 0, max: MAX_GUESTS_LIMIT }).withMessage(`Maximum guests must be a whole number between 0 and ${MAX_GUESTS_LIMIT}`),
+  body('status').optional().isIn(INITIAL_STATUSES).withMessage(`New events must be created as one of: ${INITIAL_STATUSES.join(', ')}`),
+  body('coordinates.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('coordinates.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('recurrence.rule').optional().isString().withMessage('Recurrence rule must be an RRULE string'),
+  body('recurrence.exdates').optional().isArray().withMessage('Exception dates must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await EventService.createEvent(req.body, req.user.id, req.user.name);
+
+    if (!result.success) {
+      return res.status(400).json({
+        message: result.error || 'Validation failed',
+        errors: result.errors
+      });
+    }
+
+    res.status(201).json({
+      message: 'Event created successfully',
+      event: EventService.formatEvent(result.event)
+    });
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(500).json({ message: 'Server error while creating event' });
+  }
+});
+
+// Bulk import from a CSV or iCalendar upload (?dryRun=true to preview)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ImportService.maxFileBytes }
+}).single('file');
+
+router.post('/import', auth, requireVerifiedEmail, requireRole(ROLES.ORGANIZER), (req, res, next) => {
+  upload(req, res, error => {
+    if (error) {
+      return res.status(400).json({ message: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload a CSV or iCalendar file in the "file" field' });
+    }
+
+    const format = ImportService.detectFormat({
+      format: req.body.format,
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype
+    });
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+    const result = await ImportService.importEvents(
+      { content: req.file.buffer.toString('utf8'), format },
+      req.user,
+      {
+        dryRun,
+        defaults: {
+          capacity: req.body.capacity !== undefined ? Number(req.body.capacity) : undefined,
+          category: req.body.category
+        }
+      }
+    );
+
+    if (!result.success) {
+      const { success, error, ...details } = result;
+      return res.status(error.startsWith('Failed') ? 500 : 400).json({ message: error, ...details });
+    }
+
+    res.status(dryRun ? 200 : 201).json(result);
+  } catch (error) {
+    console.error('Import events error:', error);
+    res.status(500).json({ message: 'Server error while importing events' });
+  }
+});
+
+// Update event
+router.put('/:id', auth, [
+  body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
+  body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
+  body('date').optional().isISO8601().withMessage('Please provide a valid date'),
+  body('location').optional().trim().isLength({ min: 3, max: 200 }).withMessage('Location must be between 3 and 200 characters'),
+  body('capacity').optional().isInt({ min: 1, max: 10000 }).withMessage('Capacity must be between 1 and 10,000'),
+  body('category').optional().isIn(CATEGORIES).withMessage(`Category must be one of: ${CATEGORIES.join(', ')}`),
+  body('tags').optional().isArray({ max: MAX_TAGS }).withMessage(`Tags must be an array of at most ${MAX_TAGS} items`),
+  body('ticketTypes').optional({ nullable: true }).isArray({ max: MAX_TICKET_TYPES }).withMessage(`Ticket types must be an array of at most ${MAX_TICKET_TYPES} items`),
+  body('maxGuests').optional().isInt({ min: 0, max: MAX_GUESTS_LIMIT }).withMessage(`Maximum guests must be a whole number between 0 and ${MAX_GUESTS_LIMIT}`),
+  body('coordinates.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('coordinates.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('recurrence.rule').optional().isString().withMessage('Recurrence rule must be an RRULE string'),
+  body('recurrence.exdates').optional().isArray().withMessage('Exception dates must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Validate date if provided
+    if (req.body.date && new Date(req.body.date) <= new Date()) {
+      return res.status(400).json({ message: 'Event date must be in the future' });
+    }
+
+    const result = await EventService.updateEvent(req.params.id, req.body, req.user);
+
+    if (!result.success) {
+      return res.status(statusFor(result.error)).json({ message: result.error });
+    }
+
+    res.json({
+      message: 'Event updated successfully',
+      event: EventService.formatEvent(result.event)
+    });
+  } catch (error) {
+    console.error('Update event error:', error);
+    res.status(500).json({ message: 'Server error while updating event' });
+  }
+});
+
+// Publish, postpone, cancel or complete an event
+router.put('/:id/status', auth, [
+  body('status').isIn(EVENT_STATUSES).withMessage(`Status must be one of: ${EVENT_STATUSES.join(', ')}`),
+  body('date').optional().isISO8601().withMessage('Please provide a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const result = await EventService.changeStatus(req.params.id, req.user, req.body.status, { date: req.body.date });
+
+    if (!result.success) {
+      const status = result.error.includes('changed while') ? 409 :
+        result.error.startsWith('Failed') ? 500 : statusFor(result.error);
+      return res.status(status).json({ message: result.error });
+    }
+
+    res.json({
+      message: result.message,
+      event: result.event,
+      cancelledRsvps: result.cancelledRsvps
+    });
+  } catch (error) {
+    console.error('Change event status error:', error);
+    res.status(500).json({ message: 'Server error while changing event status' });
+  }
+});
+
+// Delete event
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const result = await EventService.deleteEvent(req.params.id, req.user);
+
+    if (!result.success) {
+      return res.status(statusFor(result.error)).json({ message: result.error });
+    }
+
+    res.json({ message: result.message });
+  } catch (error) {
+    console.error('Delete event error:', error);
+    res.status(500).json({ message: 'Server error while deleting event' });
+  }
+});
+
+const checkInStatus = (result) => (
+  result.duplicate ? 409 :
+  result.error.includes('not found') ? 404 :
+  result.error.includes('authorized') ? 403 :
+  result.error.startsWith('Invalid') ? 400 : 500
+);
+
+// Check a ticket in at the door
+router.post('/:id/check-in', auth, requireRole(ROLES.ORGANIZER), [
+  body('code').notEmpty().withMessage('Ticket code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const result = await TicketService.checkIn(req.params.id, req.body.code, req.user);
+
+    if (!result.success) {
+      return res.status(checkInStatus(result)).json({
+        message: result.error,
+        ...(result.duplicate ? { checkedInAt: result.checkedInAt } : {})
+      });
+    }
+
+    res.json({ message: result.message, attendee: result.attendee });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({ message: 'Server error while checking in ticket' });
+  }
+});
+
+// Checked in vs. RSVP'd counts
+router.get('/:id/check-in/stats', auth, requireRole(ROLES.ORGANIZER), async (req, res) => {
+  try {
+    const result = await TicketService.getCheckInStats(req.params.id, req.user, req.query.occurrence || null);
+
+    if (!result.success) {
+      return res.status(checkInStatus(result)).json({ message: result.error });
+    }
+
+    res.json(result.stats);
+  } catch (error) {
+    console.error('Check-in stats error:', error);
+    res.status(500).json({ message: 'Server error while retrieving check-in stats' });
+  }
+});
+
+// Get user's created events
+router.get('/user/created', auth, async (req, res) => {
+  try {
+    const result = await EventService.getUserEvents(req.user.id);
+
+    if (!result.success) {
+      return res.status(500).json({ message: result.error });
+    }
+
+    res.json(result.events.map(event => EventService.formatEvent(event)));
+  } catch (error) {
+    console.error('Get user events error:', error);
+    res.status(500).json({ message: 'Server error while fetching user events' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Event listing tests
+ * Pages sorted by the repository must match sorting every match in
+ * process, with recurring occurrences merged in
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../services/EventService');
+const { daysFromNow, createUser, createEvent } = require('./fixtures');
+
+const keyOf = event => `${event.id}:${event.occurrenceId || ''}`;
+
+const VALUES = {
+  date: event => event.date,
+  created: event => event.createdAt,
+  popularity: event => event.currentAttendees
+};
+
+/**
+ * Every match sorted in process, the way listings were built before
+ * paging moved to the repository
+ */
+const sortedInProcess = async (filters, sortBy, direction) => {
+  const { events } = await EventService.findMatching(filters);
+  const value = VALUES[sortBy];
+  return events
+    .sort((a, b) => {
+      if (value(a) !== value(b)) {
+        return (value(a) < value(b) ? -1 : 1) * direction;
+      }
+      return a.id - b.id || (a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+    })
+    .map(keyOf);
+};
+
+const allPages = async (filters) => {
+  const keys = [];
+  let total;
+  for (let page = 1; ; page++) {
+    const result = await EventService.getAllEvents({ ...filters, page, limit: 4 });
+    assert.ok(result.success, result.error);
+    keys.push(...result.events.map(keyOf));
+    total = result.pagination.total;
+    if (!result.pagination.hasNextPage) {
+      break;
+    }
+  }
+  return { keys, total };
+};
+
+let organizer;
+
+before(async () => {
+  organizer = await createUser({ role: 'organizer' });
+
+  for (let i = 0; i < 12; i++) {
+    const event = await createEvent(organizer, {
+      title: `One-off ${i}`,
+      date: daysFromNow(1 + (i * 5) % 40).toISOString(),
+      category: i % 2 === 0 ? 'meetup' : 'workshop'
+    });
+    await EventService.events.updateById(event.id, { $set: { currentAttendees: i % 4 } });
+  }
+
+  await createEvent(organizer, { title: 'Weekly', category: 'meetup', recurrence: { rule: 'FREQ=WEEKLY;COUNT=6' } });
+  await createEvent(organizer, { title: 'Draft', status: 'draft' });
+});
+
+test('pages sorted by a stored field match sorting every match', async () => {
+  for (const sortBy of Object.keys(VALUES)) {
+    for (const order of ['asc', 'desc']) {
+      for (const filters of [{}, { category: 'workshop' }, { category: 'meetup', to: daysFromNow(20).toISOString() }]) {
+        const expected = await sortedInProcess(filters, sortBy, order === 'desc' ? -1 : 1);
+        const { keys, total } = await allPages({ ...filters, sortBy, order });
+
+        assert.deepEqual(keys, expected, `${sortBy} ${order} ${JSON.stringify(filters)}`);
+        assert.equal(total, expected.length);
+      }
+    }
+  }
+});
+
+test('one-off events are paged by the repository instead of read whole', async (t) => {
+  const find = t.mock.method(EventService.events, 'find');
+
+  await EventService.getAllEvents({ category: 'workshop', page: 2, limit: 2 });
+  const oneOffReads = find.mock.calls.filter(call => call.arguments[0]['recurrence.rule']?.$exists === false);
+  assert.equal(oneOffReads.length, 1);
+  assert.deepEqual(oneOffReads[0].arguments[1], { sort: { date: 1, id: 1 }, skip: 2, limit: 2 });
+
+  // With occurrences to merge, read up to the end of the page
+  find.mock.resetCalls();
+  await EventService.getAllEvents({ sortBy: 'popularity', page: 3, limit: 2 });
+  const merged = find.mock.calls.filter(call => call.arguments[0]['recurrence.rule']?.$exists === false);
+  assert.deepEqual(merged[0].arguments[1], { sort: { currentAttendees: -1, id: 1 }, limit: 6 });
+});
+
+test('drafts stay out of listings and the seats filter still applies', async () => {
+  const listed = (await EventService.getAllEvents({ limit: 100 })).events;
+  assert.ok(!listed.some(event => event.title === 'Draft'));
+
+  const full = await createEvent(organizer, { title: 'Full House', capacity: 1 });
+  await EventService.events.updateById(full.id, { $set: { currentAttendees: 1 } });
+
+  const withSeats = await EventService.getAllEvents({ hasSeats: 'true', limit: 100 });
+  assert.ok(!withSeats.events.some(event => event.id === full.id));
+  assert.ok((await EventService.getAllEvents({ limit: 100 })).events.some(event => event.id === full.id));
+});
@@ -0,0 +1,59 @@
+/**
+ * Test Fixtures
+ * Users and events for the service tests, stored in the in-memory
+ * repositories
+ */
+
+const DatabaseManager = require('../config/database');
+const EventService = require('../services/EventService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let userCount = 0;
+
+/**
+ * A whole hour `days` from now, so recurring events start on an
+ * occurrence key
+ */
+const daysFromNow = (days) => new Date(Math.ceil((Date.now() + days * DAY_MS) / HOUR_MS) * HOUR_MS);
+
+const createUser = (fields = {}) => {
+  userCount += 1;
+  return DatabaseManager.getRepository('users').insert({
+    name: `Fixture User ${userCount}`,
+    email: `fixture${userCount}@example.com`,
+    role: 'attendee',
+    emailVerified: true,
+    tokenVersion: 0,
+    createdAt: new Date().toISOString(),
+    ...fields
+  });
+};
+
+/**
+ * Create an event through EventService, so it is stored the way the API
+ * stores it
+ */
+const createEvent = async (creator, fields = {}) => {
+  const result = await EventService.createEvent({
+    title: 'Fixture Event',
+    description: 'An event created by the tests',
+    date: daysFromNow(7).toISOString(),
+    location: 'Fixture Hall',
+    capacity: 10,
+    ...fields
+  }, creator.id, creator.name);
+
+  if (!result.success) {
+    throw new Error((result.errors || [result.error]).join('. '));
+  }
+  return result.event;
+};
+
+module.exports = {
+  DAY_MS,
+  daysFromNow,
+  createUser,
+  createEvent
+};
@@ -0,0 +1,95 @@
+/**
+ * Geo Utilities
+ * Coordinate validation, great-circle distances and "near me" query parsing
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 20038;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isValidLatitude = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -90 && value <= 90;
+
+const isValidLongitude = (value) => typeof value === 'number' && Number.isFinite(value) && value >= -180 && value <= 180;
+
+/**
+ * Great-circle angle between two [longitude, latitude] points, in radians
+ */
+const angularDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+const distanceKm = (from, to) => angularDistance(from, to) * EARTH_RADIUS_KM;
+
+/**
+ * GeoJSON point stored alongside `coordinates` for the Mongo 2dsphere index
+ */
+const toGeoPoint = ({ latitude, longitude }) => ({ type: 'Point', coordinates: [longitude, latitude] });
+
+/**
+ * Parse `lat`/`lng`/`radius` (km) and `bbox` (minLng,minLat,maxLng,maxLat)
+ * query parameters. Returns {} when no geo filter was requested,
+ * { error } for malformed input, otherwise { origin, radiusKm, bbox }.
+ * Distances are measured from the point, or the box centre without one.
+ */
+const parseGeoQuery = (filters = {}) => {
+  const hasPoint = filters.lat !== undefined || filters.lng !== undefined;
+  const result = {};
+
+  if (!hasPoint && !filters.bbox) {
+    return result;
+  }
+
+  if (hasPoint) {
+    const lat = Number(filters.lat);
+    const lng = Number(filters.lng);
+
+    if (filters.lat === '' || filters.lng === '' || !isValidLatitude(lat) || !isValidLongitude(lng)) {
+      return { error: 'Invalid coordinates. lat must be between -90 and 90, lng between -180 and 180' };
+    }
+
+    const radiusKm = filters.radius === undefined ? DEFAULT_RADIUS_KM : Number(filters.radius);
+    if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+      return { error: `Invalid radius. Use a distance in km between 0 and ${MAX_RADIUS_KM}` };
+    }
+
+    result.origin = [lng, lat];
+    result.radiusKm = radiusKm;
+  }
+
+  if (filters.bbox) {
+    const [minLng, minLat, maxLng, maxLat] = String(filters.bbox).split(',').map(Number);
+
+    if (![minLng, maxLng].every(isValidLongitude) || ![minLat, maxLat].every(isValidLatitude) || minLat > maxLat) {
+      return { error: 'Invalid bbox. Use minLng,minLat,maxLng,maxLat' };
+    }
+
+    result.bbox = { minLng, minLat, maxLng, maxLat };
+
+    if (!result.origin) {
+      // A box with minLng > maxLng crosses the antimeridian
+      let centreLng = minLng <= maxLng ? (minLng + maxLng) / 2 : (minLng + maxLng + 360) / 2;
+      if (centreLng > 180) {
+        centreLng -= 360;
+      }
+      result.origin = [centreLng, (minLat + maxLat) / 2];
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  isValidLatitude,
+  isValidLongitude,
+  angularDistance,
+  distanceKm,
+  toGeoPoint,
+  parseGeoQuery
+};
@@ -0,0 +1,324 @@
+/**
+ * iCalendar Utilities
+ * RFC 5545 serialization for events and calendar feeds
+ */
+
+const { toOccurrenceKey } = require('./recurrence');
+
+const PRODUCT_ID = '-//EventHub//Events//EN';
+
+// Content lines are limited to 75 octets, excluding the line break
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatDateTime = (value) => toOccurrenceKey(new Date(value));
+
+/**
+ * Split a long content line into continuation lines starting with a
+ * space, without cutting a multi-byte character in half
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const property = (name, value) => foldLine(`${name}:${value}`);
+
+/**
+ * One VEVENT. `start` and the optional `recurrenceId`, `created` and
+ * `exdates` are dates; text fields are escaped here.
+ */
+const buildEvent = ({
+  uid,
+  sequence = 0,
+  start,
+  title,
+  description,
+  location,
+  url,
+  status = 'CONFIRMED',
+  created,
+  rrule,
+  exdates = [],
+  recurrenceId,
+  latitude,
+  longitude
+}) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    property('UID', uid),
+    property('DTSTAMP', formatDateTime(new Date())),
+    property('SEQUENCE', sequence)
+  ];
+
+  if (recurrenceId) {
+    lines.push(property('RECURRENCE-ID', formatDateTime(recurrenceId)));
+  }
+  lines.push(property('DTSTART', formatDateTime(start)));
+  if (rrule) {
+    lines.push(property('RRULE', rrule));
+  }
+  if (exdates.length > 0) {
+    lines.push(property('EXDATE', exdates.map(formatDateTime).join(',')));
+  }
+
+  lines.push(property('SUMMARY', escapeText(title)));
+  if (description) {
+    lines.push(property('DESCRIPTION', escapeText(description)));
+  }
+  if (location) {
+    lines.push(property('LOCATION', escapeText(location)));
+  }
+  if (latitude !== undefined && longitude !== undefined) {
+    lines.push(property('GEO', `${latitude};${longitude}`));
+  }
+  if (url) {
+    lines.push(property('URL', url));
+  }
+  if (created) {
+    lines.push(property('CREATED', formatDateTime(created)));
+  }
+  lines.push(property('STATUS', status));
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * A VCALENDAR wrapping the given VEVENT line arrays. Named calendars are
+ * feeds, so they also tell clients how often to refresh.
+ */
+const buildCalendar = (events, { name, refreshInterval } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    property('PRODID', PRODUCT_ID),
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(property('X-WR-CALNAME', escapeText(name)));
+  }
+  if (refreshInterval) {
+    lines.push(property('REFRESH-INTERVAL;VALUE=DURATION', refreshInterval));
+    lines.push(property('X-PUBLISHED-TTL', refreshInterval));
+  }
+
+  events.forEach(event => lines.push(...event));
+  lines.push('END:VCALENDAR');
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+/**
+ * Offset of `timeZone` from UTC at `date`, in milliseconds
+ */
+const zoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * DATE or DATE-TIME value to a Date: UTC when it ends in Z, local time in
+ * TZID when given, otherwise (floating) taken as UTC. Returns null when
+ * the value or time zone is not understood.
+ */
+const parseDateTime = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0, utc] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  if (utc || !params.TZID) {
+    return new Date(wallClock);
+  }
+
+  try {
+    // Correct once more in case the first guess crossed a DST change
+    let date = new Date(wallClock - zoneOffset(new Date(wallClock), params.TZID));
+    date = new Date(wallClock - zoneOffset(date, params.TZID));
+    return date;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Split a content line into name, parameters and value, respecting
+ * quoted parameter values that may contain ':' or ';'
+ */
+const parseLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar file into plain objects with the
+ * properties an event import needs. Returns { events } or { error }.
+ */
+const parseCalendar = (text) => {
+  // Unfold continuation lines first
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    return { error: 'Not an iCalendar file' };
+  }
+
+  const events = [];
+  let current = null;
+  // Nested components such as VALARM have their own properties
+  let depth = 0;
+
+  for (const line of lines) {
+    const property = parseLine(line);
+    if (!property) {
+      continue;
+    }
+
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT' && !current) {
+        current = { exdates: [], categories: [], invalid: [] };
+        depth = 0;
+      } else if (current) {
+        depth++;
+      }
+      continue;
+    }
+
+    if (name === 'END') {
+      if (current && depth > 0) {
+        depth--;
+      } else if (current && value.toUpperCase() === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+      continue;
+    }
+
+    if (!current || depth > 0) {
+      continue;
+    }
+
+    switch (name) {
+      case 'UID':
+        current.uid = value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(value);
+        break;
+      case 'LOCATION':
+        current.location = unescapeText(value);
+        break;
+      case 'STATUS':
+        current.status = value.toUpperCase();
+        break;
+      case 'RRULE':
+        current.rrule = value;
+        break;
+      case 'RECURRENCE-ID':
+        current.recurrenceId = value;
+        break;
+      case 'DTSTART':
+        current.start = parseDateTime(value, params);
+        if (!current.start) {
+          current.invalid.push(`DTSTART ${value}`);
+        }
+        break;
+      case 'EXDATE':
+        value.split(',').forEach(item => {
+          const date = parseDateTime(item, params);
+          if (date) {
+            current.exdates.push(date);
+          } else {
+            current.invalid.push(`EXDATE ${item}`);
+          }
+        });
+        break;
+      case 'GEO': {
+        const [latitude, longitude] = value.split(/[;,]/).map(Number);
+        current.geo = { latitude, longitude };
+        break;
+      }
+      case 'CATEGORIES':
+        current.categories.push(...value.split(/(?<!\\),/).map(unescapeText).map(item => item.trim()).filter(Boolean));
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { events };
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildEvent,
+  buildCalendar,
+  parseCalendar
+};
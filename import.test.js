@@ -0,0 +1,121 @@
+/**
+ * Import tests
+ * CSV imports are validated row by row and applied all or nothing
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../services/EventService');
+const ImportService = require('../services/ImportService');
+const { daysFromNow, createUser } = require('./fixtures');
+
+const DESCRIPTION = 'An event imported by the tests';
+
+const csvOf = (...lines) => lines.join('\r\n');
+
+const eventsOf = user => EventService.events.find({ creator: user.id });
+
+test('a CSV import creates every row as a published event', async () => {
+  const organizer = await createUser({ role: 'organizer' });
+  const content = csvOf(
+    'Name,Description,Start,Location,Capacity,Category,Tags,Notes',
+    `Board Games,${DESCRIPTION},${daysFromNow(3).toISOString()},"Library, Room 2",12,social,games;friends,bring snacks`,
+    `Code Review Clinic,${DESCRIPTION},${daysFromNow(4).toISOString()},Hub,,,,`
+  );
+
+  const result = await ImportService.importEvents({ content, format: 'csv' }, organizer, { defaults: { capacity: 30 } });
+  assert.ok(result.success, result.error);
+  assert.equal(result.imported, 2);
+  assert.deepEqual(result.ignoredColumns, ['Notes']);
+
+  const stored = await eventsOf(organizer);
+  assert.equal(stored.length, 2);
+  assert.ok(stored.every(event => event.status === 'published' && event.importId === result.importId));
+
+  const [games, clinic] = stored.sort((a, b) => a.id - b.id);
+  assert.equal(games.location, 'Library, Room 2');
+  assert.equal(games.capacity, 12);
+  assert.deepEqual(games.tags, ['games', 'friends']);
+  assert.equal(clinic.capacity, 30);
+
+  const listed = await EventService.getAllEvents({ search: 'Board Games' });
+  assert.ok(listed.events.some(event => event.id === games.id));
+});
+
+test('one invalid row stops the whole import and is reported by row', async () => {
+  const organizer = await createUser({ role: 'organizer' });
+  const content = csvOf(
+    'title,description,date,location,capacity',
+    `Good,${DESCRIPTION},${daysFromNow(3).toISOString()},Hall,10`,
+    `Bad,${DESCRIPTION},not a date,Hall,10`,
+    `Also Good,${DESCRIPTION},${daysFromNow(5).toISOString()},Hall,10`
+  );
+
+  const result = await ImportService.importEvents({ content, format: 'csv' }, organizer);
+  assert.equal(result.success, false);
+  assert.equal(result.error, '1 of 3 events are invalid; nothing was imported');
+  assert.equal(result.errors.length, 1);
+  assert.equal(result.errors[0].row, 2);
+  assert.equal(result.errors[0].title, 'Bad');
+  assert.deepEqual(await eventsOf(organizer), []);
+
+  const missing = await ImportService.importEvents({ content: csvOf('title,location', 'Only,Hall'), format: 'csv' }, organizer);
+  assert.equal(missing.error, 'The first CSV row must be a header with at least title and date columns');
+});
+
+test('a dry run validates and previews without writing', async () => {
+  const organizer = await createUser({ role: 'organizer' });
+  const content = csvOf('title,description,date,location,capacity', `Preview,${DESCRIPTION},${daysFromNow(3).toISOString()},Hall,10`);
+
+  const result = await ImportService.importEvents({ content, format: 'csv' }, organizer, { dryRun: true });
+  assert.ok(result.success, result.error);
+  assert.equal(result.dryRun, true);
+  assert.equal(result.valid, 1);
+  assert.equal(result.events[0].title, 'Preview');
+  assert.deepEqual(await eventsOf(organizer), []);
+});
+
+test('rows written before a failure are taken back', async (t) => {
+  const organizer = await createUser({ role: 'organizer' });
+  const content = csvOf(
+    'title,description,date,location,capacity',
+    ...[1, 2, 3].map(day => `Row ${day},${DESCRIPTION},${daysFromNow(day).toISOString()},Hall,10`)
+  );
+
+  const repository = EventService.events;
+  const insert = repository.insert.bind(repository);
+  const publish = t.mock.method(repository, 'updateMany');
+  t.mock.method(repository, 'insert', async (document) => {
+    if ((await eventsOf(organizer)).length === 2) {
+      throw new Error('disk full');
+    }
+    return insert(document);
+  });
+
+  const result = await ImportService.importEvents({ content, format: 'csv' }, organizer);
+  assert.deepEqual(result, { success: false, error: 'Failed to import events' });
+  assert.deepEqual(await eventsOf(organizer), []);
+  assert.equal(publish.mock.callCount(), 0);
+});
+
+test('imported rows stay drafts until all are in, then are published in one write', async (t) => {
+  const organizer = await createUser({ role: 'organizer' });
+  const content = csvOf(
+    'title,description,date,location,capacity',
+    ...[1, 2, 3].map(day => `Batch ${day},${DESCRIPTION},${daysFromNow(day).toISOString()},Hall,10`)
+  );
+
+  const insert = t.mock.method(EventService.events, 'insert');
+  const publish = t.mock.method(EventService.events, 'updateMany');
+
+  const result = await ImportService.importEvents({ content, format: 'csv' }, organizer);
+  assert.ok(result.success, result.error);
+
+  assert.equal(insert.mock.callCount(), 3);
+  assert.ok(insert.mock.calls.every(call => call.arguments[0].status === 'draft'));
+  assert.equal(publish.mock.callCount(), 1);
+  assert.deepEqual(publish.mock.calls[0].arguments, [
+    { importId: result.importId, status: 'draft' },
+    { $set: { status: 'published' } }
+  ]);
+});
@@ -0,0 +1,55 @@
+/**
+ * Event Lifecycle
+ * The states an event goes through and the moves allowed between them.
+ * Events stored before there were states have none and count as published.
+ */
+
+const EVENT_STATUSES = Object.freeze(['draft', 'published', 'postponed', 'cancelled', 'completed']);
+
+// States an event can be created in
+const INITIAL_STATUSES = Object.freeze(['draft', 'published']);
+
+const TRANSITIONS = Object.freeze({
+  draft: ['published', 'cancelled'],
+  published: ['postponed', 'cancelled', 'completed'],
+  // A postponed event can be moved again
+  postponed: ['postponed', 'cancelled', 'completed'],
+  cancelled: [],
+  completed: []
+});
+
+const statusOf = (event) => event.status || 'published';
+
+// Postponed events still happen, so they keep taking RSVPs
+const isOpen = (event) => ['published', 'postponed'].includes(statusOf(event));
+
+// Cancelled and completed events are kept as they are
+const isFinal = (event) => TRANSITIONS[statusOf(event)].length === 0;
+
+/**
+ * Why `event` cannot move to `status`, or null when it can
+ */
+const transitionError = (event, status) => {
+  if (!EVENT_STATUSES.includes(status)) {
+    return `Invalid status. Use one of: ${EVENT_STATUSES.join(', ')}`;
+  }
+
+  const current = statusOf(event);
+
+  if (isFinal(event)) {
+    return `This event is ${current} and can no longer be changed`;
+  }
+  if (!TRANSITIONS[current].includes(status)) {
+    return `Cannot change a ${current} event to ${status}`;
+  }
+  return null;
+};
+
+module.exports = {
+  EVENT_STATUSES,
+  INITIAL_STATUSES,
+  statusOf,
+  isOpen,
+  isFinal,
+  transitionError
+};
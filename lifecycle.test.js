@@ -0,0 +1,190 @@
+/**
+ * Event lifecycle tests
+ * State transitions, and what cancelling or deleting an event, an
+ * occurrence or a range of occurrences does to the answers people gave
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../config/database');
+const EventService = require('../services/EventService');
+const RSVPService = require('../services/RSVPService');
+const { statusOf, isOpen, isFinal, transitionError } = require('../utils/lifecycle');
+const { daysFromNow, createUser, createEvent } = require('./fixtures');
+
+const rsvps = () => DatabaseManager.getRepository('rsvps');
+const notifications = () => DatabaseManager.getRepository('notifications');
+
+let organizer;
+let admin;
+let alice;
+let bob;
+let carol;
+let dave;
+let erin;
+
+/**
+ * Alice attends, Bob is interested, Carol maybe and Dave declined
+ */
+const answerEvent = async (eventId, occurrenceId = null) => {
+  assert.ok((await RSVPService.createRSVP(eventId, alice.id, occurrenceId)).success);
+  for (const [user, status] of [[bob, 'interested'], [carol, 'maybe'], [dave, 'declined']]) {
+    const result = await RSVPService.respond(eventId, user.id, occurrenceId, status);
+    assert.ok(result.success, result.error);
+  }
+};
+
+const statusesOf = async (eventId) => Object.fromEntries(
+  (await rsvps().find({ eventId })).map(rsvp => [`${rsvp.userId}:${rsvp.occurrenceId || ''}`, rsvp.status])
+);
+
+const notifiedAbout = async (type, eventId) => (await notifications().find({ type, eventId }))
+  .map(message => message.userId)
+  .sort();
+
+before(async () => {
+  organizer = await createUser({ role: 'organizer' });
+  admin = await createUser({ role: 'admin' });
+  [alice, bob, carol, dave, erin] = await Promise.all(['Alice', 'Bob', 'Carol', 'Dave', 'Erin'].map(name => createUser({ name })));
+});
+
+test('only the listed transitions are allowed and cancelled or completed events are final', () => {
+  assert.equal(transitionError({ status: 'draft' }, 'published'), null);
+  assert.equal(transitionError({ status: 'draft' }, 'postponed'), 'Cannot change a draft event to postponed');
+  assert.equal(transitionError({ status: 'published' }, 'draft'), 'Cannot change a published event to draft');
+  assert.equal(transitionError({ status: 'postponed' }, 'postponed'), null);
+  assert.equal(transitionError({ status: 'cancelled' }, 'published'), 'This event is cancelled and can no longer be changed');
+  assert.equal(transitionError({ status: 'completed' }, 'cancelled'), 'This event is completed and can no longer be changed');
+  assert.match(transitionError({ status: 'published' }, 'archived'), /^Invalid status/);
+
+  // Events stored before there were states count as published
+  assert.equal(statusOf({}), 'published');
+  assert.ok(isOpen({}));
+  assert.ok(isOpen({ status: 'postponed' }));
+  assert.ok(!isOpen({ status: 'draft' }));
+  assert.ok(isFinal({ status: 'cancelled' }) && isFinal({ status: 'completed' }));
+});
+
+test('changeStatus publishes, postpones and completes events as the organizer asks', async () => {
+  const event = await createEvent(organizer, { status: 'draft' });
+
+  const stranger = await createUser({ role: 'organizer' });
+  assert.equal((await EventService.changeStatus(event.id, stranger, 'published')).error, 'Not authorized to update this event');
+  assert.equal((await EventService.changeStatus(event.id, organizer, 'completed')).error, 'Cannot change a draft event to completed');
+
+  const published = await EventService.changeStatus(event.id, organizer, 'published');
+  assert.ok(published.success, published.error);
+  assert.equal(published.event.status, 'published');
+  assert.ok(published.event.publishedAt);
+
+  assert.ok((await RSVPService.createRSVP(event.id, alice.id)).success);
+
+  const earlier = await EventService.changeStatus(event.id, organizer, 'postponed', { date: daysFromNow(3).toISOString() });
+  assert.equal(earlier.error, 'The new date must be in the future and later than the current one');
+
+  const newDate = daysFromNow(21).toISOString();
+  const postponed = await EventService.changeStatus(event.id, admin, 'postponed', { date: newDate });
+  assert.ok(postponed.success, postponed.error);
+  assert.equal(postponed.event.date, newDate);
+  assert.equal(postponed.event.originalDate, event.date);
+  assert.equal(postponed.event.currentAttendees, 1);
+  assert.equal((await rsvps().findOne({ eventId: event.id, userId: alice.id })).status, 'attending');
+
+  const early = await EventService.changeStatus(event.id, organizer, 'completed');
+  assert.equal(early.error, 'Only events that have taken place can be completed');
+});
+
+test('two status changes at once cannot both apply', async () => {
+  const event = await createEvent(organizer);
+
+  const results = await Promise.all([
+    EventService.changeStatus(event.id, organizer, 'cancelled'),
+    EventService.changeStatus(event.id, organizer, 'postponed', { date: daysFromNow(30).toISOString() })
+  ]);
+
+  assert.equal(results.filter(result => result.success).length, 1);
+  const stored = await EventService.events.findById(event.id);
+  assert.equal(stored.status, results[0].success ? 'cancelled' : 'postponed');
+});
+
+test('cancelling an event closes every answer and tells everyone but those who declined', async () => {
+  const event = await createEvent(organizer, { capacity: 1 });
+  await answerEvent(event.id);
+  const waitlisted = await RSVPService.createRSVP(event.id, erin.id);
+  assert.ok(waitlisted.success, waitlisted.error);
+
+  const result = await EventService.changeStatus(event.id, organizer, 'cancelled');
+  assert.ok(result.success, result.error);
+  assert.equal(result.cancelledRsvps, 5);
+
+  const closed = await rsvps().find({ eventId: event.id });
+  assert.equal(closed.length, 5);
+  assert.ok(closed.every(rsvp => rsvp.status === 'cancelled' && rsvp.cancelReason === 'event-cancelled'));
+
+  const { responses } = await RSVPService.getUserResponses(bob.id);
+  assert.ok(!responses.interested.some(answered => answered.id === event.id));
+
+  assert.deepEqual(await notifiedAbout('event.cancelled', event.id), [alice.id, bob.id, carol.id, erin.id].sort());
+
+  const late = await RSVPService.respond(event.id, dave.id, null, 'interested');
+  assert.equal(late.error, 'This event has been cancelled');
+});
+
+test('cancelling an occurrence or the following ones closes only their answers', async () => {
+  const series = await createEvent(organizer, { recurrence: { rule: 'FREQ=WEEKLY;COUNT=4' } });
+  const { occurrences } = await EventService.getOccurrences(series.id);
+  const [first, second, third, fourth] = occurrences.map(occurrence => occurrence.occurrenceId);
+
+  await answerEvent(series.id, second);
+  assert.ok((await RSVPService.respond(series.id, bob.id, first, 'interested')).success);
+  assert.ok((await RSVPService.respond(series.id, carol.id, fourth, 'maybe')).success);
+
+  const single = await EventService.cancelOccurrence(series.id, second, organizer);
+  assert.ok(single.success, single.error);
+  assert.equal(single.cancelledRsvps, 4);
+
+  let statuses = await statusesOf(series.id);
+  for (const user of [alice, bob, carol, dave]) {
+    assert.equal(statuses[`${user.id}:${second}`], 'cancelled');
+  }
+  assert.equal(statuses[`${bob.id}:${first}`], 'interested');
+  assert.equal(statuses[`${carol.id}:${fourth}`], 'maybe');
+
+  const following = await EventService.cancelOccurrence(series.id, third, organizer, 'following');
+  assert.ok(following.success, following.error);
+  assert.equal(following.cancelledRsvps, 1);
+
+  statuses = await statusesOf(series.id);
+  assert.equal(statuses[`${carol.id}:${fourth}`], 'cancelled');
+  assert.equal(statuses[`${bob.id}:${first}`], 'interested');
+});
+
+test('deleting an event closes every answer and keeps a snapshot for calendar feeds', async () => {
+  const event = await createEvent(organizer);
+  await answerEvent(event.id);
+
+  const result = await EventService.deleteEvent(event.id, organizer);
+  assert.ok(result.success, result.error);
+
+  const closed = await rsvps().find({ eventId: event.id });
+  assert.equal(closed.length, 4);
+  for (const rsvp of closed) {
+    assert.equal(rsvp.status, 'cancelled');
+    assert.equal(rsvp.cancelReason, 'event-deleted');
+    assert.equal(rsvp.eventSnapshot.title, event.title);
+  }
+
+  assert.deepEqual(await notifiedAbout('event.cancelled', event.id), [alice.id, bob.id, carol.id].sort());
+
+  const { events } = await RSVPService.getUserCancellations(alice.id);
+  assert.ok(events.some(cancelled => cancelled.id === event.id));
+});
+
+test('drafts are only shown to their creator and admins', async () => {
+  const draft = await createEvent(organizer, { status: 'draft' });
+
+  assert.ok((await EventService.getEventById(draft.id, null, organizer)).success);
+  assert.ok((await EventService.getEventById(draft.id, null, admin)).success);
+  assert.equal((await EventService.getEventById(draft.id, null, alice)).error, 'Event not found');
+  assert.equal((await EventService.getEventById(draft.id)).error, 'Event not found');
+});
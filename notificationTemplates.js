@@ -0,0 +1,121 @@
+/**
+ * Notification Templates
+ * The message sent for each kind of notification. Every type belongs to a
+ * category, which is what users turn on or off in their preferences.
+ */
+
+const NOTIFICATION_CATEGORIES = Object.freeze(['rsvp', 'eventUpdates', 'eventCancellations', 'reminders']);
+
+// Labels for the event fields an update notification reports
+const FIELD_LABELS = {
+  title: 'Title',
+  date: 'When',
+  location: 'Where'
+};
+
+const formatDate = (value) => new Date(value).toUTCString();
+
+const formatValue = (field, value) => (field === 'date' ? formatDate(value) : value);
+
+const eventDetails = (event) => `When: ${formatDate(event.date)}\n` +
+  `Where: ${event.location}\n` +
+  `Details: ${event.url}`;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+// "3 days", "5 hours" or "20 minutes"; whole days only from two days on
+const formatDuration = (ms) => {
+  if (ms >= 2 * DAY_MS) {
+    return plural(Math.round(ms / DAY_MS), 'day');
+  }
+  if (ms >= 2 * HOUR_MS) {
+    return plural(Math.round(ms / HOUR_MS), 'hour');
+  }
+  return plural(Math.max(1, Math.round(ms / MINUTE_MS)), 'minute');
+};
+
+const partySize = (seats) => (seats > 1 ? ` for ${seats} people` : '');
+
+const TEMPLATES = {
+  'rsvp.confirmed': {
+    category: 'rsvp',
+    subject: ({ event }) => `You're going to ${event.title}`,
+    text: ({ event, seats, ticketCode }) => `Your RSVP to ${event.title}${partySize(seats)} is confirmed.\n\n` +
+      `${eventDetails(event)}\n\n` +
+      (ticketCode ? `Your ticket code: ${ticketCode}` : 'See you there!')
+  },
+  'rsvp.waitlisted': {
+    category: 'rsvp',
+    subject: ({ event }) => `You're on the waitlist for ${event.title}`,
+    text: ({ event, position }) => `${event.title} is full. You are number ${position} on the waitlist ` +
+      'and we will let you know as soon as a seat opens up.\n\n' +
+      eventDetails(event)
+  },
+  'rsvp.promoted': {
+    category: 'rsvp',
+    subject: ({ event }) => `A seat opened up: you're going to ${event.title}`,
+    text: ({ event, seats }) => `Good news! You have been moved off the waitlist for ${event.title}${partySize(seats)}.\n\n` +
+      eventDetails(event)
+  },
+  'rsvp.cancelled': {
+    category: 'rsvp',
+    subject: ({ event }) => `Your RSVP to ${event.title} is cancelled`,
+    text: ({ event }) => `You are no longer attending ${event.title}. Changed your mind? RSVP again here:\n\n` +
+      event.url
+  },
+  'event.updated': {
+    category: 'eventUpdates',
+    subject: ({ event }) => `${event.title} has changed`,
+    text: ({ event, changes }) => 'The organizer changed an event you responded to:\n\n' +
+      changes.map(({ field, from, to }) => `${FIELD_LABELS[field]}: ${formatValue(field, to)} (was ${formatValue(field, from)})`).join('\n') +
+      `\n\n${eventDetails(event)}`
+  },
+  'event.postponed': {
+    category: 'eventUpdates',
+    subject: ({ event }) => `${event.title} has been postponed`,
+    text: ({ event, previousDate }) => `${event.title}, planned for ${formatDate(previousDate)}, has been postponed ` +
+      `to ${formatDate(event.date)}. Your RSVP still stands.\n\n` +
+      eventDetails(event)
+  },
+  'event.reminder': {
+    category: 'reminders',
+    subject: ({ event, startsIn }) => `Reminder: ${event.title} starts in ${formatDuration(startsIn)}`,
+    text: ({ event }) => `This is a reminder that you are going to ${event.title}.\n\n` +
+      eventDetails(event)
+  },
+  'event.cancelled': {
+    category: 'eventCancellations',
+    subject: ({ event }) => `${event.title} has been cancelled`,
+    text: ({ event }) => `${event.title} on ${formatDate(event.date)} has been cancelled by the organizer. ` +
+      'Any RSVP or waitlist place you had for it has been cancelled too.'
+  }
+};
+
+const NOTIFICATION_TYPES = Object.freeze(Object.keys(TEMPLATES));
+
+const categoryOf = (type) => TEMPLATES[type].category;
+
+/**
+ * Subject and text of a `type` notification to `name`
+ */
+const renderNotification = (type, name, payload) => {
+  const template = TEMPLATES[type];
+
+  return {
+    subject: template.subject(payload),
+    text: `Hi ${name},\n\n${template.text(payload)}\n\n` +
+      'You can choose which notifications you get in your EventHub settings.'
+  };
+};
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_TYPES,
+  FIELD_LABELS,
+  categoryOf,
+  renderNotification
+};
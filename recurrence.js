@@ -0,0 +1,331 @@
+/**
+ * Recurrence Rules
+ * Parsing and expansion for the subset of RFC 5545 RRULE we support:
+ * FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY,
+ * BYMONTHDAY, BYMONTH and WKST. Occurrences repeat the UTC time of DTSTART.
+ *
+ * Occurrences are identified by their original start in RFC 5545 basic
+ * format (e.g. 20300107T183000Z), the equivalent of a RECURRENCE-ID.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+
+const MAX_COUNT = 1000;
+const MAX_OCCURRENCES = 1000;
+// Upper bound on periods walked, so rules that never match still terminate
+const MAX_PERIODS = 50000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const KEY_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+const DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})$/;
+
+const toOccurrenceKey = (date) => date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+
+const fromOccurrenceKey = (key) => {
+  const match = KEY_PATTERN.exec(String(key));
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+/**
+ * Accept an occurrence key, an RFC 5545 date (end of that UTC day)
+ * or anything Date understands
+ */
+const parseDateValue = (value) => {
+  const text = String(value);
+  const dateOnly = DATE_PATTERN.exec(text);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    return new Date(Date.UTC(year, month - 1, day, 23, 59, 59));
+  }
+  const date = fromOccurrenceKey(text) || new Date(text);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * Parse an RRULE string. Returns { rule } or { error }.
+ */
+const parseRule = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'Recurrence rule must be a non-empty RRULE string' };
+  }
+
+  const parts = {};
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    const name = (key || '').toUpperCase();
+
+    if (!SUPPORTED_PARTS.includes(name)) {
+      return { error: `Unsupported recurrence rule part: ${name || part}` };
+    }
+    if (!value) {
+      return { error: `Missing value for ${name}` };
+    }
+    parts[name] = value.toUpperCase();
+  }
+
+  const rule = { parts, interval: 1, byDay: [], byMonthDay: [], byMonth: [], weekStart: 1 };
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    return { error: `FREQ must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+  rule.freq = parts.FREQ;
+
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 1000) {
+      return { error: 'INTERVAL must be a whole number between 1 and 1000' };
+    }
+  }
+
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+    return { error: 'COUNT and UNTIL cannot both be set' };
+  }
+
+  if (parts.COUNT !== undefined) {
+    rule.count = Number(parts.COUNT);
+    if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_COUNT) {
+      return { error: `COUNT must be a whole number between 1 and ${MAX_COUNT}` };
+    }
+  }
+
+  if (parts.UNTIL !== undefined) {
+    rule.until = KEY_PATTERN.test(parts.UNTIL) || DATE_PATTERN.test(parts.UNTIL) ? parseDateValue(parts.UNTIL) : null;
+    if (!rule.until) {
+      return { error: 'UNTIL must be a UTC date-time (YYYYMMDDTHHMMSSZ) or a date (YYYYMMDD)' };
+    }
+  }
+
+  if (parts.WKST !== undefined) {
+    rule.weekStart = WEEKDAYS.indexOf(parts.WKST);
+    if (rule.weekStart === -1) {
+      return { error: 'WKST must be a weekday (MO, TU, ...)' };
+    }
+  }
+
+  if (parts.BYDAY !== undefined) {
+    for (const entry of parts.BYDAY.split(',')) {
+      const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+      const ordinal = match && match[1] ? Number(match[1]) : null;
+
+      if (!match || ordinal === 0 || Math.abs(ordinal) > 5) {
+        return { error: `Invalid BYDAY value: ${entry}` };
+      }
+      if (ordinal && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+        return { error: 'Numbered BYDAY values (e.g. 1MO) need FREQ=MONTHLY or YEARLY' };
+      }
+      rule.byDay.push({ weekday: WEEKDAYS.indexOf(match[2]), ordinal });
+    }
+
+    if (rule.freq === 'YEARLY' && parts.BYMONTH === undefined) {
+      return { error: 'BYDAY with FREQ=YEARLY needs BYMONTH' };
+    }
+  }
+
+  if (parts.BYMONTHDAY !== undefined) {
+    if (rule.freq === 'WEEKLY') {
+      return { error: 'BYMONTHDAY cannot be used with FREQ=WEEKLY' };
+    }
+    rule.byMonthDay = parts.BYMONTHDAY.split(',').map(Number);
+    if (rule.byMonthDay.some(day => !Number.isInteger(day) || day === 0 || Math.abs(day) > 31)) {
+      return { error: 'BYMONTHDAY values must be between 1 and 31 (or -31 and -1)' };
+    }
+  }
+
+  if (parts.BYMONTH !== undefined) {
+    rule.byMonth = parts.BYMONTH.split(',').map(Number);
+    if (rule.byMonth.some(month => !Number.isInteger(month) || month < 1 || month > 12)) {
+      return { error: 'BYMONTH values must be between 1 and 12' };
+    }
+  }
+
+  return { rule };
+};
+
+const formatRule = (parts) => ['FREQ', ...Object.keys(parts).filter(key => key !== 'FREQ')]
+  .filter(key => parts[key] !== undefined)
+  .map(key => `${key}=${parts[key]}`)
+  .join(';');
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const atTimeOf = (dtstart, year, month, day) => new Date(Date.UTC(
+  year, month, day, dtstart.getUTCHours(), dtstart.getUTCMinutes(), dtstart.getUTCSeconds()
+));
+
+/**
+ * Days of a month selected by BYMONTHDAY and/or BYDAY,
+ * or DTSTART's day of the month when neither is set
+ */
+const monthDays = (rule, dtstart, year, month) => {
+  const lastDay = daysInMonth(year, month);
+  let days = null;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay
+      .map(day => (day > 0 ? day : lastDay + day + 1))
+      .filter(day => day >= 1 && day <= lastDay);
+  }
+
+  if (rule.byDay.length > 0) {
+    const selected = new Set();
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const matching = [];
+      for (let day = 1; day <= lastDay; day++) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+          matching.push(day);
+        }
+      }
+      if (!ordinal) {
+        matching.forEach(day => selected.add(day));
+      } else {
+        const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (day) {
+          selected.add(day);
+        }
+      }
+    });
+    // BYMONTHDAY and BYDAY together mean days matching both
+    days = days ? days.filter(day => selected.has(day)) : [...selected];
+  }
+
+  if (!days) {
+    const day = dtstart.getUTCDate();
+    days = day <= lastDay ? [day] : [];
+  }
+
+  return days.sort((a, b) => a - b).map(day => atTimeOf(dtstart, year, month, day));
+};
+
+/**
+ * Candidate occurrences in the nth period (day, week, month or year)
+ * after DTSTART, in chronological order
+ */
+const periodCandidates = (rule, dtstart, period) => {
+  const step = period * rule.interval;
+  const inMonths = date => rule.byMonth.length === 0 || rule.byMonth.includes(date.getUTCMonth() + 1);
+  let candidates;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = new Date(dtstart.getTime() + step * DAY_MS);
+      candidates = [day].filter(date =>
+        (rule.byDay.length === 0 || rule.byDay.some(({ weekday }) => weekday === date.getUTCDay())) &&
+        (rule.byMonthDay.length === 0 || monthDays(rule, dtstart, date.getUTCFullYear(), date.getUTCMonth())
+          .some(match => match.getTime() === date.getTime()))
+      );
+      break;
+    }
+    case 'WEEKLY': {
+      const offset = (dtstart.getUTCDay() - rule.weekStart + 7) % 7;
+      const weekStart = new Date(dtstart.getTime() + (step * 7 - offset) * DAY_MS);
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(({ weekday }) => weekday) : [dtstart.getUTCDay()];
+      candidates = [...new Set(weekdays)]
+        .map(weekday => new Date(weekStart.getTime() + ((weekday - rule.weekStart + 7) % 7) * DAY_MS))
+        .sort((a, b) => a - b);
+      break;
+    }
+    case 'MONTHLY': {
+      const monthIndex = dtstart.getUTCMonth() + step;
+      candidates = monthDays(rule, dtstart, dtstart.getUTCFullYear() + Math.floor(monthIndex / 12), monthIndex % 12);
+      break;
+    }
+    default: {
+      const year = dtstart.getUTCFullYear() + step;
+      const months = rule.byMonth.length > 0 ? [...rule.byMonth].sort((a, b) => a - b) : [dtstart.getUTCMonth() + 1];
+      candidates = months.flatMap(month => monthDays(rule, dtstart, year, month - 1));
+    }
+  }
+
+  return candidates.filter(inMonths);
+};
+
+const periodStart = (rule, dtstart, period) => {
+  const step = period * rule.interval;
+  switch (rule.freq) {
+    case 'DAILY':
+      return new Date(dtstart.getTime() + (step - 1) * DAY_MS);
+    case 'WEEKLY':
+      return new Date(dtstart.getTime() + (step - 1) * 7 * DAY_MS);
+    case 'MONTHLY':
+      return new Date(Date.UTC(dtstart.getUTCFullYear(), dtstart.getUTCMonth() + step - 1, 1));
+    default:
+      return new Date(Date.UTC(dtstart.getUTCFullYear() + step - 1, 0, 1));
+  }
+};
+
+/**
+ * Occurrence start dates within [from, to]. COUNT is counted from DTSTART,
+ * so occurrences before `from` still use up the count.
+ */
+const expand = (rule, dtstart, { from = null, to = null, limit = MAX_OCCURRENCES } = {}) => {
+  const results = [];
+  let seen = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    // Periods are walked in order, so once one starts after the window we are done
+    const start = periodStart(rule, dtstart, period);
+    if ((to && start > to) || (rule.until && start > rule.until)) {
+      break;
+    }
+
+    for (const candidate of periodCandidates(rule, dtstart, period)) {
+      if (candidate < dtstart) {
+        continue;
+      }
+      if ((rule.until && candidate > rule.until) || (to && candidate > to)) {
+        return results;
+      }
+
+      seen++;
+      if (!from || candidate >= from) {
+        results.push(candidate);
+        if (results.length >= limit) {
+          return results;
+        }
+      }
+      if (rule.count && seen >= rule.count) {
+        return results;
+      }
+    }
+  }
+
+  return results;
+};
+
+const isOccurrence = (rule, dtstart, date) =>
+  expand(rule, dtstart, { from: date, to: date, limit: 1 }).length === 1;
+
+/**
+ * Number of occurrences strictly before `date`
+ */
+const countBefore = (rule, dtstart, date) =>
+  expand(rule, dtstart, { to: new Date(date.getTime() - 1000), limit: MAX_COUNT * 10 }).length;
+
+/**
+ * Start of the last occurrence, or null for an open-ended rule
+ */
+const lastOccurrence = (rule, dtstart) => {
+  if (!rule.count && !rule.until) {
+    return null;
+  }
+  const all = expand(rule, dtstart, { limit: MAX_COUNT * 10 });
+  return all.length > 0 ? all[all.length - 1] : null;
+};
+
+module.exports = {
+  toOccurrenceKey,
+  fromOccurrenceKey,
+  parseDateValue,
+  parseRule,
+  formatRule,
+  expand,
+  isOccurrence,
+  countBefore,
+  lastOccurrence
+};
@@ -0,0 +1,200 @@
+/**
+ * Recurrence tests
+ * RRULE parsing and expansion, and ending or splitting a series at one
+ * of its occurrences
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../config/database');
+const EventService = require('../services/EventService');
+const RecurrenceService = require('../services/RecurrenceService');
+const RSVPService = require('../services/RSVPService');
+const {
+  toOccurrenceKey,
+  fromOccurrenceKey,
+  parseRule,
+  formatRule,
+  expand,
+  isOccurrence,
+  countBefore,
+  lastOccurrence
+} = require('../utils/recurrence');
+const { createUser, createEvent } = require('./fixtures');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const ruleOf = text => {
+  const { rule, error } = parseRule(text);
+  assert.equal(error, undefined);
+  return rule;
+};
+
+const isoDates = dates => dates.map(date => date.toISOString());
+
+const occurrenceKeys = async (eventId) => (await EventService.getOccurrences(eventId)).occurrences
+  .map(occurrence => occurrence.occurrenceId);
+
+let organizer;
+let alice;
+let bob;
+
+before(async () => {
+  organizer = await createUser({ role: 'organizer' });
+  alice = await createUser();
+  bob = await createUser();
+});
+
+test('rules are validated and written back in a canonical form', () => {
+  assert.equal(parseRule('').error, 'Recurrence rule must be a non-empty RRULE string');
+  assert.equal(parseRule('FREQ=HOURLY').error, 'FREQ must be one of: DAILY, WEEKLY, MONTHLY, YEARLY');
+  assert.equal(parseRule('FREQ=DAILY;BYSETPOS=1').error, 'Unsupported recurrence rule part: BYSETPOS');
+  assert.equal(parseRule('FREQ=DAILY;COUNT=3;UNTIL=20300101').error, 'COUNT and UNTIL cannot both be set');
+  assert.equal(parseRule('FREQ=WEEKLY;BYDAY=1MO').error, 'Numbered BYDAY values (e.g. 1MO) need FREQ=MONTHLY or YEARLY');
+  assert.equal(parseRule('FREQ=WEEKLY;BYMONTHDAY=1').error, 'BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  assert.equal(parseRule('FREQ=YEARLY;BYDAY=MO').error, 'BYDAY with FREQ=YEARLY needs BYMONTH');
+  assert.equal(parseRule('FREQ=DAILY;COUNT=0').error, 'COUNT must be a whole number between 1 and 1000');
+
+  const rule = ruleOf('rrule:count=4;freq=weekly;byday=mo,we');
+  assert.equal(formatRule(rule.parts), 'FREQ=WEEKLY;COUNT=4;BYDAY=MO,WE');
+});
+
+test('rules expand to the expected dates', () => {
+  const monday = new Date('2030-01-07T10:00:00Z');
+
+  assert.deepEqual(isoDates(expand(ruleOf('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4'), monday)), [
+    '2030-01-07T10:00:00.000Z', '2030-01-09T10:00:00.000Z', '2030-01-14T10:00:00.000Z', '2030-01-16T10:00:00.000Z'
+  ]);
+
+  // A date-only UNTIL includes the whole of that day
+  assert.equal(expand(ruleOf('FREQ=DAILY;UNTIL=20300110'), monday).length, 4);
+
+  // Months without a 31st are skipped rather than moved
+  assert.deepEqual(isoDates(expand(ruleOf('FREQ=MONTHLY;BYMONTHDAY=31;COUNT=3'), new Date('2030-01-31T18:00:00Z'))), [
+    '2030-01-31T18:00:00.000Z', '2030-03-31T18:00:00.000Z', '2030-05-31T18:00:00.000Z'
+  ]);
+
+  assert.deepEqual(isoDates(expand(ruleOf('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3'), new Date('2030-01-25T18:00:00Z'))), [
+    '2030-01-25T18:00:00.000Z', '2030-02-22T18:00:00.000Z', '2030-03-29T18:00:00.000Z'
+  ]);
+
+  assert.deepEqual(isoDates(expand(ruleOf('FREQ=YEARLY;COUNT=2'), new Date('2028-02-29T12:00:00Z'))), [
+    '2028-02-29T12:00:00.000Z', '2032-02-29T12:00:00.000Z'
+  ]);
+
+  assert.deepEqual(isoDates(expand(ruleOf('FREQ=WEEKLY;INTERVAL=2'), monday, { to: new Date('2030-02-05T00:00:00Z') })), [
+    '2030-01-07T10:00:00.000Z', '2030-01-21T10:00:00.000Z', '2030-02-04T10:00:00.000Z'
+  ]);
+});
+
+test('COUNT is counted from the series start, whatever the window', () => {
+  const rule = ruleOf('FREQ=WEEKLY;COUNT=5');
+  const start = new Date('2030-01-07T10:00:00Z');
+  const third = new Date('2030-01-21T10:00:00Z');
+
+  assert.deepEqual(isoDates(expand(rule, start, { from: third })), [
+    '2030-01-21T10:00:00.000Z', '2030-01-28T10:00:00.000Z', '2030-02-04T10:00:00.000Z'
+  ]);
+  assert.equal(countBefore(rule, start, third), 2);
+  assert.equal(lastOccurrence(rule, start).toISOString(), '2030-02-04T10:00:00.000Z');
+  assert.equal(lastOccurrence(ruleOf('FREQ=WEEKLY'), start), null);
+
+  assert.ok(isOccurrence(rule, start, third));
+  assert.ok(!isOccurrence(rule, start, new Date('2030-01-22T10:00:00Z')));
+  assert.ok(!isOccurrence(rule, start, new Date('2030-02-11T10:00:00Z')));
+
+  assert.equal(toOccurrenceKey(third), '20300121T100000Z');
+  assert.equal(fromOccurrenceKey('20300121T100000Z').getTime(), third.getTime());
+  assert.equal(fromOccurrenceKey('2030-01-21'), null);
+});
+
+test('exception dates and moved occurrences are honoured when listing a series', async () => {
+  const series = await createEvent(organizer, { recurrence: { rule: 'FREQ=WEEKLY;COUNT=4' } });
+  const [first, second, third, fourth] = await occurrenceKeys(series.id);
+
+  const excluded = await createEvent(organizer, {
+    date: series.date,
+    recurrence: { rule: 'FREQ=WEEKLY;COUNT=4', exdates: [fromOccurrenceKey(second).toISOString()] }
+  });
+  assert.deepEqual(excluded.recurrence.exdates, [second]);
+  assert.deepEqual(await occurrenceKeys(excluded.id), [first, third, fourth]);
+  assert.equal(excluded.recurrence.end, fromOccurrenceKey(fourth).toISOString());
+
+  // Moving the second occurrence past the third reorders the listing
+  const later = new Date(fromOccurrenceKey(third).getTime() + HOUR_MS).toISOString();
+  const moved = await EventService.updateOccurrence(series.id, second, { date: later }, organizer);
+  assert.ok(moved.success, moved.error);
+
+  const listed = (await EventService.getOccurrences(series.id)).occurrences;
+  assert.deepEqual(listed.map(occurrence => occurrence.occurrenceId), [first, third, second, fourth]);
+  assert.equal(listed[2].date, later);
+});
+
+test('truncating ends the series just before the occurrence and drops later state', async () => {
+  const series = await createEvent(organizer, { recurrence: { rule: 'FREQ=WEEKLY;COUNT=6' } });
+  const keys = await occurrenceKeys(series.id);
+
+  assert.ok((await RSVPService.createRSVP(series.id, alice.id, keys[1])).success);
+  assert.ok((await RSVPService.createRSVP(series.id, alice.id, keys[4])).success);
+
+  const first = await RecurrenceService.truncate(series.id, keys[0]);
+  assert.equal(first.error, 'This is the first occurrence; update or delete the whole event instead');
+
+  const result = await RecurrenceService.truncate(series.id, keys[3]);
+  assert.ok(result.success, result.error);
+  assert.equal(result.updated.recurrence.rule, `FREQ=WEEKLY;UNTIL=${toOccurrenceKey(new Date(fromOccurrenceKey(keys[3]).getTime() - 1000))}`);
+  assert.equal(result.updated.recurrence.end, fromOccurrenceKey(keys[2]).toISOString());
+  assert.deepEqual(Object.keys(result.updated.occurrences), [keys[1]]);
+  assert.equal(result.updated.sequence, (series.sequence || 0) + 1);
+
+  assert.deepEqual(await occurrenceKeys(series.id), keys.slice(0, 3));
+});
+
+test('changing this and following occurrences splits the series and moves their RSVPs', async () => {
+  const series = await createEvent(organizer, { title: 'Weekly Run', recurrence: { rule: 'FREQ=WEEKLY;COUNT=6' } });
+  const keys = await occurrenceKeys(series.id);
+
+  assert.ok((await RSVPService.createRSVP(series.id, alice.id, keys[1])).success);
+  assert.ok((await RSVPService.createRSVP(series.id, bob.id, keys[4])).success);
+  assert.ok((await RSVPService.respond(series.id, alice.id, keys[5], 'interested')).success);
+
+  const newStart = new Date(fromOccurrenceKey(keys[3]).getTime() + HOUR_MS);
+  const result = await EventService.updateOccurrence(series.id, keys[3], {
+    title: 'Weekly Run (new route)',
+    date: newStart.toISOString()
+  }, organizer, 'following');
+  assert.ok(result.success, result.error);
+
+  const created = result.event;
+  assert.equal(created.title, 'Weekly Run (new route)');
+  assert.equal(created.splitFrom, series.id);
+  assert.deepEqual(created.uidOrigin, { id: series.id, shift: HOUR_MS });
+  assert.equal(created.recurrence.rule, 'FREQ=WEEKLY;COUNT=3');
+
+  const shifted = key => toOccurrenceKey(new Date(fromOccurrenceKey(key).getTime() + HOUR_MS));
+  assert.deepEqual(await occurrenceKeys(series.id), keys.slice(0, 3));
+  assert.deepEqual(await occurrenceKeys(created.id), keys.slice(3).map(shifted));
+
+  const answerOf = (user, status) => DatabaseManager.getRepository('rsvps')
+    .findOne({ userId: user.id, status, eventId: { $in: [series.id, created.id] } });
+  assert.equal((await answerOf(alice, 'attending')).eventId, series.id);
+  const bobs = await answerOf(bob, 'attending');
+  assert.equal(bobs.eventId, created.id);
+  assert.equal(bobs.occurrenceId, shifted(keys[4]));
+  const interested = await answerOf(alice, 'interested');
+  assert.equal(interested.eventId, created.id);
+  assert.equal(interested.occurrenceId, shifted(keys[5]));
+
+  const stored = await EventService.events.findById(created.id);
+  assert.deepEqual(stored.occurrences[shifted(keys[4])].attendees, [bob.id]);
+});
+
+test('a split cannot move a rule with BYDAY to another day', async () => {
+  const series = await createEvent(organizer, { recurrence: { rule: 'FREQ=WEEKLY;BYDAY=MO,TH;COUNT=6' } });
+  const keys = await occurrenceKeys(series.id);
+
+  const nextDay = new Date(fromOccurrenceKey(keys[2]).getTime() + 24 * HOUR_MS).toISOString();
+  const result = await EventService.updateOccurrence(series.id, keys[2], { date: nextDay }, organizer, 'following');
+  assert.equal(result.error, 'Moving this and following occurrences to another day is only supported for rules without BYDAY, BYMONTHDAY or BYMONTH');
+  assert.deepEqual(await occurrenceKeys(series.id), keys);
+});
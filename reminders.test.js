@@ -0,0 +1,133 @@
+/**
+ * Reminder tests
+ * Each reminder goes out once per event, occurrence and start time, even
+ * when the server restarts part-way through sending it
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../config/database');
+const EventService = require('../services/EventService');
+const RSVPService = require('../services/RSVPService');
+const ReminderService = require('../services/ReminderService');
+const { daysFromNow, createUser, createEvent } = require('./fixtures');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const notifications = () => DatabaseManager.getRepository('notifications');
+
+const remindersFor = async (event) => (await notifications().find({ type: 'event.reminder', eventId: event.id }))
+  .map(message => message.userId)
+  .sort();
+
+const earlier = (date, ms) => new Date(new Date(date).getTime() - ms);
+
+/**
+ * A stored event with `attendees` going, as remindIfDue receives it
+ */
+const upcomingEvent = async (attendees, fields = {}) => {
+  const created = await createEvent(organizer, fields);
+  for (const user of attendees) {
+    assert.ok((await RSVPService.createRSVP(created.id, user.id)).success);
+  }
+  return EventService.events.findById(created.id);
+};
+
+let organizer;
+let alice;
+let bob;
+
+before(async () => {
+  organizer = await createUser({ role: 'organizer' });
+  alice = await createUser();
+  bob = await createUser();
+});
+
+test('a reminder is sent once at each offset, whatever the number of passes', async () => {
+  const event = await upcomingEvent([alice, bob]);
+  const upcoming = { event, occurrenceId: null, date: event.date };
+
+  await ReminderService.remindIfDue(upcoming, earlier(event.date, 25 * HOUR_MS));
+  assert.deepEqual(await remindersFor(event), []);
+
+  await ReminderService.remindIfDue(upcoming, earlier(event.date, 23 * HOUR_MS));
+  await ReminderService.remindIfDue(upcoming, earlier(event.date, 22 * HOUR_MS));
+  assert.deepEqual(await remindersFor(event), [alice.id, bob.id].sort());
+
+  await ReminderService.remindIfDue(upcoming, earlier(event.date, HOUR_MS / 2));
+  await ReminderService.remindIfDue(upcoming, earlier(event.date, HOUR_MS / 4));
+  assert.deepEqual(await remindersFor(event), [alice.id, alice.id, bob.id, bob.id]);
+
+  const sent = await DatabaseManager.getRepository('reminders').find({ eventId: event.id });
+  assert.deepEqual(sent.map(reminder => [reminder.offset, reminder.status, reminder.recipients]), [
+    [24 * HOUR_MS, 'sent', 2],
+    [HOUR_MS, 'sent', 2]
+  ]);
+});
+
+test('larger offsets missed while the server was down are skipped', async () => {
+  const event = await upcomingEvent([alice]);
+  const upcoming = { event, occurrenceId: null, date: event.date };
+
+  await ReminderService.remindIfDue(upcoming, earlier(event.date, HOUR_MS / 2));
+  await ReminderService.remindIfDue(upcoming, earlier(event.date, HOUR_MS / 4));
+
+  const sent = await DatabaseManager.getRepository('reminders').find({ eventId: event.id });
+  assert.deepEqual(sent.map(reminder => reminder.offset), [HOUR_MS]);
+  assert.deepEqual(await remindersFor(event), [alice.id]);
+});
+
+test('a reminder interrupted by a restart is finished without reaching anyone twice', async (t) => {
+  const event = await upcomingEvent([alice]);
+  const upcoming = { event, occurrenceId: null, date: event.date };
+  const now = earlier(event.date, 23 * HOUR_MS);
+
+  // The server stops after queueing Alice's reminder but before recording it as sent
+  t.mock.method(ReminderService.reminders, 'updateOne', async () => {
+    throw new Error('server stopped');
+  });
+  await assert.rejects(ReminderService.remindIfDue(upcoming, now), /server stopped/);
+  t.mock.restoreAll();
+
+  const [pending] = await DatabaseManager.getRepository('reminders').find({ eventId: event.id });
+  assert.equal(pending.status, 'pending');
+
+  // Bob RSVPs before the next pass
+  assert.ok((await RSVPService.createRSVP(event.id, bob.id)).success);
+  await ReminderService.remindIfDue(upcoming, now);
+  await ReminderService.remindIfDue(upcoming, now);
+
+  assert.deepEqual(await remindersFor(event), [alice.id, bob.id].sort());
+  const reminders = await DatabaseManager.getRepository('reminders').find({ eventId: event.id });
+  assert.equal(reminders.length, 1);
+  assert.equal(reminders[0].status, 'sent');
+  assert.equal(reminders[0].recipients, 1);
+});
+
+test('an event moved to a new time is reminded again for that time', async () => {
+  const event = await upcomingEvent([alice], { date: daysFromNow(1).toISOString() });
+  await ReminderService.remindIfDue({ event, occurrenceId: null, date: event.date }, earlier(event.date, 23 * HOUR_MS));
+
+  const newDate = new Date(new Date(event.date).getTime() + 2 * 24 * HOUR_MS).toISOString();
+  const moved = await EventService.updateEvent(event.id, { date: newDate }, organizer);
+  assert.ok(moved.success, moved.error);
+  const stored = await EventService.events.findById(event.id);
+
+  await ReminderService.remindIfDue({ event: stored, occurrenceId: null, date: newDate }, earlier(newDate, 23 * HOUR_MS));
+  assert.deepEqual(await remindersFor(event), [alice.id, alice.id]);
+});
+
+test('scheduler passes remind attendees of occurrences starting soon, once', async () => {
+  // On a whole minute, as occurrence keys have no milliseconds
+  const soon = new Date(Math.ceil((Date.now() + HOUR_MS / 2) / 60000) * 60000);
+  const series = await createEvent(organizer, { date: soon.toISOString(), recurrence: { rule: 'FREQ=DAILY;COUNT=3' } });
+  const { occurrences } = await EventService.getOccurrences(series.id);
+  assert.ok((await RSVPService.createRSVP(series.id, alice.id, occurrences[0].occurrenceId)).success);
+  assert.ok((await RSVPService.createRSVP(series.id, bob.id, occurrences[1].occurrenceId)).success);
+
+  await ReminderService.processDue();
+  await ReminderService.processDue();
+
+  const reminded = await notifications().find({ type: 'event.reminder', eventId: series.id });
+  assert.deepEqual(reminded.map(message => [message.userId, message.occurrenceId]), [[alice.id, occurrences[0].occurrenceId]]);
+});
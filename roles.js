@@ -0,0 +1,41 @@
+/**
+ * User Roles
+ * Role constants and permission helpers shared by services and routes
+ */
+
+const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  ORGANIZER: 'organizer',
+  ATTENDEE: 'attendee'
+});
+
+// Roles a user may pick for themselves at registration; an admin grants the others
+const SELF_ASSIGNABLE_ROLES = [ROLES.ATTENDEE];
+
+const isValidRole = (role) => Object.values(ROLES).includes(role);
+
+const isAdmin = (user) => !!user && user.role === ROLES.ADMIN;
+
+/**
+ * Event creators and admins may modify an event and see its attendees
+ */
+const canManageEvent = (user, creatorId) => {
+  if (!user) {
+    return false;
+  }
+  return isAdmin(user) || String(creatorId) === String(user.id);
+};
+
+/**
+ * Whether `user` created the event, whatever their role
+ */
+const isEventCreator = (user, creatorId) => !!user && String(creatorId) === String(user.id);
+
+module.exports = {
+  ROLES,
+  SELF_ASSIGNABLE_ROLES,
+  isValidRole,
+  isAdmin,
+  canManageEvent,
+  isEventCreator
+};
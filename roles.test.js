@@ -0,0 +1,87 @@
+/**
+ * Role tests
+ * Registration, the organizer guard on event creation and role changes
+ * by an admin, through EventManagementServer's app
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./testServer');
+
+let api;
+
+const eventData = () => ({
+  title: 'Organizer Meetup',
+  description: 'A meetup for event organizers',
+  date: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(),
+  location: 'Community Hall',
+  capacity: 20
+});
+
+before(async () => {
+  api = await startTestServer();
+});
+
+after(async () => {
+  await api.stop();
+});
+
+test('new accounts are attendees and cannot choose another role', async () => {
+  for (const role of ['organizer', 'admin']) {
+    const { status, body } = await api.request('POST', '/api/auth/register', {
+      body: { name: 'Eager Organizer', email: `${role}@example.com`, password: 'password1', role }
+    });
+    assert.equal(status, 400, role);
+    assert.match(body.message, /^Invalid role/);
+  }
+
+  const { status, body } = await api.request('POST', '/api/auth/register', {
+    body: { name: 'Plain Attendee', email: 'attendee@example.com', password: 'password1' }
+  });
+  assert.equal(status, 201);
+  assert.equal(body.user.role, 'attendee');
+});
+
+test('only organizers and admins can create events', async () => {
+  const attendee = await api.createUser();
+  const organizer = await api.createUser({ role: 'organizer' });
+  const admin = await api.createUser({ role: 'admin' });
+
+  const refused = await api.request('POST', '/api/events', { token: attendee.token, body: eventData() });
+  assert.equal(refused.status, 403);
+
+  for (const { token } of [organizer, admin]) {
+    const created = await api.request('POST', '/api/events', { token, body: eventData() });
+    assert.equal(created.status, 201, created.body.message);
+  }
+});
+
+test('an admin grants the organizer role, which takes effect on the next sign-in', async () => {
+  const attendee = await api.createUser();
+  const admin = await api.createUser({ role: 'admin' });
+
+  const notAdmin = await api.request('PUT', `/api/users/${attendee.user.id}/role`, {
+    token: attendee.token,
+    body: { role: 'organizer' }
+  });
+  assert.equal(notAdmin.status, 403);
+
+  const granted = await api.request('PUT', `/api/users/${attendee.user.id}/role`, {
+    token: admin.token,
+    body: { role: 'organizer' }
+  });
+  assert.equal(granted.status, 200);
+  assert.equal(granted.body.user.role, 'organizer');
+
+  // Role changes revoke the old tokens
+  const stale = await api.request('POST', '/api/events', { token: attendee.token, body: eventData() });
+  assert.equal(stale.status, 401);
+
+  const login = await api.request('POST', '/api/auth/login', {
+    body: { email: attendee.user.email, password: 'password1' }
+  });
+  assert.equal(login.status, 200);
+
+  const created = await api.request('POST', '/api/events', { token: login.body.token, body: eventData() });
+  assert.equal(created.status, 201, created.body.message);
+});
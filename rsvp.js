@@ -1,227 +1,298 @@
-const express = require('express');
-const mongoose = require('mongoose');
-const Event = require('../models/Event');
-const RSVP = require('../models/RSVP');
-const auth = require('../middleware/auth');
-
-const router = express.Router();
-
-// RSVP to an event (with concurrency handling)
-router.post('/:eventId', auth, async (req, res) => {
-  const session = await mongoose.startSession();
-  
-  try {
-    await session.withTransaction(async () => {
-      // Find the event with session for atomic operations
-      const event = await Event.findById(req.params.eventId).session(session);
-      
-      if (!event) {
-        throw new Error('Event not found');
-      }
-
-      // Check if event is in the future
-      if (event.date <= new Date()) {
-        throw new Error('Cannot RSVP to past events');
-      }
-
-      // Check if user already has an RSVP
-      const existingRSVP = await RSVP.findOne({
-        user: req.user._id,
-        event: event._id,
-        status: 'attending'
-      }).session(session);
-
-      if (existingRSVP) {
-        throw new Error('You have already RSVP\'d to this event');
-      }
-
-      // Check capacity (critical for concurrency)
-      if (event.currentAttendees >= event.capacity) {
-        throw new Error('Event is at full capacity');
-      }
-
-      // Create RSVP
-      const rsvp = new RSVP({
-        user: req.user._id,
-        event: event._id,
-        status: 'attending'
-      });
-
-      await rsvp.save({ session });
-
-      // Update event attendees count and add to attendees array
-      await Event.findByIdAndUpdate(
-        event._id,
-        {
-          $inc: { currentAttendees: 1 },
-          $addToSet: { attendees: req.user._id }
-        },
-        { session }
-      );
-    });
-
-    // Fetch updated event data
-    const updatedEvent = await Event.findById(req.params.eventId)
-      .populate('creator', 'name email');
-
-    res.status(201).json({
-      message: 'RSVP successful',
-      event: updatedEvent
-    });
-
-  } catch (error) {
-    console.error('RSVP error:', error);
-    
-    if (error.message === 'Event not found') {
-      return res.status(404).json({ message: error.message });
-    }
-    if (error.message === 'Cannot RSVP to past events' || 
-        error.message === 'You have already RSVP\'d to this event' ||
-        error.message === 'Event is at full capacity') {
-      return res.status(400).json({ message: error.message });
-    }
-    
-    res.status(500).json({ message: 'Server error while processing RSVP' });
-  } finally {
-    await session.endSession();
-  }
-});
-
-// Cancel RSVP
-router.delete('/:eventId', auth, async (req, res) => {
-  const session = await mongoose.startSession();
-  
-  try {
-    await session.withTransaction(async () => {
-      // Find the RSVP
-      const rsvp = await RSVP.findOne({
-        user: req.user._id,
-        event: req.params.eventId,
-        status: 'attending'
-      }).session(session);
-
-      if (!rsvp) {
-        throw new Error('No active RSVP found for this event');
-      }
-
-      // Update RSVP status to cancelled
-      rsvp.status = 'cancelled';
-      await rsvp.save({ session });
-
-      // Update event attendees count and remove from attendees array
-      await Event.findByIdAndUpdate(
-        req.params.eventId,
-        {
-          $inc: { currentAttendees: -1 },
-          $pull: { attendees: req.user._id }
-        },
-        { session }
-      );
-    });
-
-    // Fetch updated event data
-    const updatedEvent = await Event.findById(req.params.eventId)
-      .populate('creator', 'name email');
-
-    res.json({
-      message: 'RSVP cancelled successfully',
-      event: updatedEvent
-    });
-
-  } catch (error) {
-    console.error('Cancel RSVP error:', error);
-    
-    if (error.message === 'No active RSVP found for this event') {
-      return res.status(404).json({ message: error.message });
-    }
-    
-    res.status(500).json({ message: 'Server error while cancelling RSVP' });
-  } finally {
-    await session.endSession();
-  }
-});
-
-// Get user's RSVPs
-router.get('/user/attending', auth, async (req, res) => {
-  try {
-    const rsvps = await RSVP.find({
-      user: req.user._id,
-      status: 'attending'
-    })
-    .populate({
-      path: 'event',
-      populate: {
-        path: 'creator',
-        select: 'name email'
-      }
-    })
-    .sort({ createdAt: -1 });
-
-    const events = rsvps.map(rsvp => rsvp.event).filter(event => event !== null);
-
-    res.json(events);
-  } catch (error) {
-    console.error('Get user RSVPs error:', error);
-    res.status(500).json({ message: 'Server error while fetching RSVPs' });
-  }
-});
-
-// Check RSVP status for a specific event
-router.get('/:eventId/status', auth, async (req, res) => {
-  try {
-    const rsvp = await RSVP.findOne({
-      user: req.user._id,
-      event: req.params.eventId,
-      status: 'attending'
-    });
-
-    res.json({
-      hasRSVP: !!rsvp,
-      rsvp: rsvp || null
-    });
-  } catch (error) {
-    console.error('Check RSVP status error:', error);
-    res.status(500).json({ message: 'Server error while checking RSVP status' });
-  }
-});
-
-// Get event attendees (for event creators)
-router.get('/:eventId/attendees', auth, async (req, res) => {
-  try {
-    const event = await Event.findById(req.params.eventId);
-    
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
-    }
-
-    // Check if user is the event creator
-    if (event.creator.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to view attendees' });
-    }
-
-    const rsvps = await RSVP.find({
-      event: req.params.eventId,
-      status: 'attending'
-    })
-    .populate('user', 'name email')
-    .sort({ createdAt: 1 });
-
-    const attendees = rsvps.map(rsvp => ({
-      id: rsvp.user._id,
-      name: rsvp.user.name,
-      email: rsvp.user.email,
-      rsvpDate: rsvp.createdAt
-    }));
-
-    res.json({
-      attendees,
-      count: attendees.length,
-      capacity: event.capacity
-    });
-  } catch (error) {
-    console.error('Get attendees error:', error);
-    res.status(500).json({ message: 'Server error while fetching attendees' });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+const express = require('express');
+const RSVPService = require('../services/RSVPService');
+const TicketService = require('../services/TicketService');
+const auth = require('../middleware/authenticate');
+const { requireVerifiedEmail } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// RSVP to an event (with concurrency handling)
+router.post('/:eventId', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const result = await RSVPService.createRSVP(req.params.eventId, req.user.id, req.query.occurrence || null, {
+      ticketTypeId: req.body.ticketType || null,
+      guests: req.body.guests
+    });
+
+    if (!result.success) {
+      return res.status(result.error === 'Event not found' ? 404 : 400).json({ message: result.error });
+    }
+
+    res.status(201).json({
+      message: result.message,
+      waitlisted: !!result.waitlisted,
+      position: result.position,
+      event: result.event
+    });
+  } catch (error) {
+    console.error('RSVP error:', error);
+    res.status(500).json({ message: 'Server error while processing RSVP' });
+  }
+});
+
+// Cancel RSVP
+router.delete('/:eventId', auth, async (req, res) => {
+  try {
+    const result = await RSVPService.cancelRSVP(req.params.eventId, req.user.id, req.query.occurrence || null);
+
+    if (!result.success) {
+      return res.status(result.error.includes('not found') ? 404 : 400).json({ message: result.error });
+    }
+
+    res.json({
+      message: result.message,
+      event: result.event
+    });
+  } catch (error) {
+    console.error('Cancel RSVP error:', error);
+    res.status(500).json({ message: 'Server error while cancelling RSVP' });
+  }
+});
+
+// Change the guests coming along
+router.put('/:eventId/guests', auth, async (req, res) => {
+  try {
+    const result = await RSVPService.updateGuests(req.params.eventId, req.user.id, req.query.occurrence || null, req.body.guests);
+
+    if (!result.success) {
+      const status = result.error.includes('not found') ? 404 :
+        result.error.includes('free seats') || result.error.includes('meantime') ? 409 :
+        result.error.startsWith('Failed') ? 500 : 400;
+      return res.status(status).json({ message: result.error });
+    }
+
+    res.json({
+      message: result.message,
+      guests: result.guests,
+      seats: result.seats,
+      event: result.event
+    });
+  } catch (error) {
+    console.error('Update guests error:', error);
+    res.status(500).json({ message: 'Server error while updating guests' });
+  }
+});
+
+// Get user's RSVPs
+router.get('/user/attending', auth, async (req, res) => {
+  try {
+    const result = await RSVPService.getUserRSVPs(req.user.id);
+
+    if (!result.success) {
+      return res.status(500).json({ message: result.error });
+    }
+
+    res.json(result.events);
+  } catch (error) {
+    console.error('Get user RSVPs error:', error);
+    res.status(500).json({ message: 'Server error while fetching RSVPs' });
+  }
+});
+
+// Get user's events grouped by response
+router.get('/user/responses', auth, async (req, res) => {
+  try {
+    const result = await RSVPService.getUserResponses(req.user.id, req.query.status || null);
+
+    if (!result.success) {
+      return res.status(result.error.startsWith('Invalid') ? 400 : 500).json({ message: result.error });
+    }
+
+    res.json(result.responses);
+  } catch (error) {
+    console.error('Get user responses error:', error);
+    res.status(500).json({ message: 'Server error while fetching responses' });
+  }
+});
+
+// Set response: attending, interested, maybe or declined
+router.put('/:eventId/status', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const result = await RSVPService.respond(req.params.eventId, req.user.id, req.query.occurrence || null, req.body.status, {
+      ticketTypeId: req.body.ticketType || null,
+      guests: req.body.guests
+    });
+
+    if (!result.success) {
+      const status = result.error.includes('not found') ? 404 :
+        result.error.includes('meantime') ? 409 :
+        result.error.startsWith('Failed') ? 500 : 400;
+      return res.status(status).json({ message: result.error });
+    }
+
+    res.json({
+      message: result.message,
+      status: result.status,
+      waitlisted: !!result.waitlisted,
+      position: result.position,
+      event: result.event
+    });
+  } catch (error) {
+    console.error('Set response error:', error);
+    res.status(500).json({ message: 'Server error while saving response' });
+  }
+});
+
+// Check RSVP status for a specific event
+router.get('/:eventId/status', auth, async (req, res) => {
+  try {
+    const result = await RSVPService.checkRSVPStatus(req.params.eventId, req.user.id, req.query.occurrence || null);
+
+    if (!result.success) {
+      return res.status(500).json({ message: result.error });
+    }
+
+    res.json({
+      hasRSVP: result.hasRSVP,
+      status: result.status,
+      rsvp: result.rsvp
+    });
+  } catch (error) {
+    console.error('Check RSVP status error:', error);
+    res.status(500).json({ message: 'Server error while checking RSVP status' });
+  }
+});
+
+// Get waitlist position
+router.get('/:eventId/waitlist', auth, async (req, res) => {
+  try {
+    const result = await RSVPService.getWaitlistPosition(req.params.eventId, req.user.id, req.query.occurrence || null);
+
+    if (!result.success) {
+      const statusCode = result.error.includes('not found') || result.error.includes('not on the waitlist') ? 404 : 500;
+      return res.status(statusCode).json({ message: result.error });
+    }
+
+    res.json({
+      position: result.position,
+      waitlistSize: result.waitlistSize
+    });
+  } catch (error) {
+    console.error('Get waitlist position error:', error);
+    res.status(500).json({ message: 'Server error while checking waitlist position' });
+  }
+});
+
+// Leave waitlist
+router.delete('/:eventId/waitlist', auth, async (req, res) => {
+  try {
+    const result = await RSVPService.leaveWaitlist(req.params.eventId, req.user.id, req.query.occurrence || null);
+
+    if (!result.success) {
+      return res.status(result.error.includes('not on the waitlist') ? 404 : 500).json({ message: result.error });
+    }
+
+    res.json({ message: result.message });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ message: 'Server error while leaving waitlist' });
+  }
+});
+
+const attendeesErrorStatus = (error) => (
+  error.includes('not found') ? 404 :
+  error.includes('authorized') ? 403 :
+  error.startsWith('Invalid') ? 400 : 500
+);
+
+// Response counts per status (for the event's organizers)
+router.get('/:eventId/counts', auth, async (req, res) => {
+  try {
+    const result = await RSVPService.getResponseCounts(req.params.eventId, req.user, req.query.occurrence || null);
+
+    if (!result.success) {
+      return res.status(attendeesErrorStatus(result.error)).json({ message: result.error });
+    }
+
+    res.json({
+      counts: result.counts,
+      seatsTaken: result.seatsTaken,
+      capacity: result.capacity
+    });
+  } catch (error) {
+    console.error('Get response counts error:', error);
+    res.status(500).json({ message: 'Server error while counting responses' });
+  }
+});
+
+// Get event attendees (for the event's creator and admins)
+router.get('/:eventId/attendees', auth, async (req, res) => {
+  try {
+    const result = await RSVPService.getEventAttendees(req.params.eventId, req.user, {
+      occurrenceId: req.query.occurrence || null,
+      status: req.query.status || 'attending',
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    if (!result.success) {
+      return res.status(attendeesErrorStatus(result.error)).json({ message: result.error });
+    }
+
+    res.json({
+      attendees: result.attendees,
+      count: result.attendees.length,
+      capacity: result.capacity,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Get attendees error:', error);
+    res.status(500).json({ message: 'Server error while fetching attendees' });
+  }
+});
+
+// Download every RSVP, including waitlisted and cancelled, as CSV
+router.get('/:eventId/attendees/export', auth, async (req, res) => {
+  try {
+    const result = await RSVPService.exportAttendees(req.params.eventId, req.user, req.query.occurrence || null);
+
+    if (!result.success) {
+      return res.status(attendeesErrorStatus(result.error)).json({ message: result.error });
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(result.csv);
+  } catch (error) {
+    console.error('Export attendees error:', error);
+    res.status(500).json({ message: 'Server error while exporting attendees' });
+  }
+});
+
+// Get the signed ticket for an event the user is attending
+router.get('/:eventId/ticket', auth, async (req, res) => {
+  try {
+    const result = await TicketService.getTicket(req.params.eventId, req.user.id, req.query.occurrence || null);
+
+    if (!result.success) {
+      const statusCode = result.error.includes('not found') || result.error.includes('No active RSVP') ? 404 : 500;
+      return res.status(statusCode).json({ message: result.error });
+    }
+
+    res.json(result.ticket);
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({ message: 'Server error while retrieving ticket' });
+  }
+});
+
+// Get the ticket's QR code as a PNG image
+router.get('/:eventId/ticket/qr', auth, async (req, res) => {
+  try {
+    const result = await TicketService.getTicket(req.params.eventId, req.user.id, req.query.occurrence || null);
+
+    if (!result.success) {
+      const statusCode = result.error.includes('not found') || result.error.includes('No active RSVP') ? 404 : 500;
+      return res.status(statusCode).json({ message: result.error });
+    }
+
+    res.set('Content-Type', 'image/png');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(await TicketService.renderQrImage(result.ticket.code));
+  } catch (error) {
+    console.error('Get ticket QR code error:', error);
+    res.status(500).json({ message: 'Server error while retrieving ticket' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+/**
+ * Seat reservation tests
+ * The compare-and-set in reserveSeat and addSeats under concurrent
+ * RSVPs, and what happens when it keeps losing
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../config/database');
+const EventService = require('../services/EventService');
+const RSVPService = require('../services/RSVPService');
+const { createUser, createEvent } = require('./fixtures');
+
+// RSVPService's MAX_RESERVATION_ATTEMPTS
+const MAX_RESERVATION_ATTEMPTS = 5;
+
+const rsvps = () => DatabaseManager.getRepository('rsvps');
+
+let organizer;
+let users;
+
+before(async () => {
+  organizer = await createUser({ role: 'organizer' });
+  users = [];
+  for (let i = 0; i < 10; i++) {
+    users.push(await createUser());
+  }
+});
+
+test('concurrent RSVPs never take more seats than the event has', async () => {
+  const event = await createEvent(organizer, { capacity: 3 });
+
+  const results = await Promise.all(users.map(user => RSVPService.createRSVP(event.id, user.id)));
+  assert.ok(results.every(result => result.success));
+
+  const stored = await EventService.events.findById(event.id);
+  assert.equal(stored.currentAttendees, 3);
+  assert.equal(stored.attendees.length, 3);
+  assert.equal(stored.waitlist.length, 7);
+
+  const attending = await rsvps().find({ eventId: event.id, status: 'attending' });
+  assert.deepEqual(attending.map(rsvp => rsvp.userId).sort(), [...stored.attendees].sort());
+  assert.equal(await rsvps().count({ eventId: event.id, status: 'waitlisted' }), 7);
+});
+
+test('a reservation that loses the compare-and-set re-reads the event and tries again', async (t) => {
+  const event = await createEvent(organizer, { capacity: 2 });
+  const repository = EventService.events;
+  const updateOne = repository.updateOne.bind(repository);
+
+  // Another RSVP takes a seat between our read and our write
+  let intercepted = false;
+  const write = t.mock.method(repository, 'updateOne', async (filter, update) => {
+    if (!intercepted) {
+      intercepted = true;
+      await updateOne({ id: event.id }, { $inc: { currentAttendees: 1 }, $push: { attendees: users[0].id } });
+    }
+    return updateOne(filter, update);
+  });
+
+  const result = await RSVPService.reserveSeat(event.id, users[1].id);
+  assert.ok(result.success, result.error);
+  assert.equal(write.mock.callCount(), 2);
+  assert.equal(result.event.currentAttendees, 2);
+  assert.deepEqual(result.event.attendees, [users[0].id, users[1].id]);
+});
+
+test('a reservation gives up after MAX_RESERVATION_ATTEMPTS lost compare-and-sets', async (t) => {
+  const event = await createEvent(organizer, { capacity: 5 });
+  const write = t.mock.method(EventService.events, 'updateOne', async () => null);
+
+  const reserved = await RSVPService.reserveSeat(event.id, users[0].id);
+  assert.deepEqual(reserved, { success: false, error: 'Event is busy, please try again' });
+  assert.equal(write.mock.callCount(), MAX_RESERVATION_ATTEMPTS);
+
+  const added = await RSVPService.addSeats(event.id, users[0].id, null, { extra: 1 });
+  assert.equal(added.error, 'No active RSVP found for this event');
+
+  t.mock.restoreAll();
+  assert.ok((await RSVPService.reserveSeat(event.id, users[0].id)).success);
+
+  t.mock.method(EventService.events, 'updateOne', async () => null);
+  const busy = await RSVPService.addSeats(event.id, users[0].id, null, { extra: 1 });
+  assert.deepEqual(busy, { success: false, error: 'Event is busy, please try again' });
+  assert.equal((await EventService.events.findById(event.id)).currentAttendees, 1);
+});
+
+test('a party is seated together or not at all', async () => {
+  const event = await createEvent(organizer, { capacity: 4, maxGuests: 3 });
+
+  const tooBig = await RSVPService.reserveSeat(event.id, users[0].id, null, { seats: 5 });
+  assert.equal(tooBig.error, 'A party of 5 does not fit in this event');
+
+  assert.ok((await RSVPService.reserveSeat(event.id, users[0].id, null, { seats: 3 })).success);
+
+  const noRoom = await RSVPService.reserveSeat(event.id, users[1].id, null, { seats: 2 });
+  assert.equal(noRoom.full, true);
+  assert.equal((await EventService.events.findById(event.id)).currentAttendees, 3);
+});
+
+test('concurrent guest additions cannot overfill the event or pass the waitlist', async () => {
+  const event = await createEvent(organizer, { capacity: 3, maxGuests: 2 });
+  assert.ok((await RSVPService.reserveSeat(event.id, users[0].id)).success);
+  assert.ok((await RSVPService.reserveSeat(event.id, users[1].id)).success);
+
+  const results = await Promise.all([
+    RSVPService.addSeats(event.id, users[0].id, null, { extra: 1 }),
+    RSVPService.addSeats(event.id, users[1].id, null, { extra: 1 })
+  ]);
+  assert.equal(results.filter(result => result.success).length, 1);
+  assert.equal((await EventService.events.findById(event.id)).currentAttendees, 3);
+
+  // Seats freed while someone waits go to them, not to guests
+  const waiting = await RSVPService.createRSVP(event.id, users[2].id);
+  assert.ok(waiting.success);
+  await EventService.events.updateOne({ id: event.id }, { $inc: { currentAttendees: -1 } });
+  const passed = await RSVPService.addSeats(event.id, users[0].id, null, { extra: 1 });
+  assert.equal(passed.error, 'Not enough free seats for more guests');
+});
+
+test('ticket tier limits hold under concurrent RSVPs', async () => {
+  const event = await createEvent(organizer, {
+    capacity: 6,
+    ticketTypes: [{ name: 'VIP', capacity: 2 }, { name: 'General', capacity: 6 }]
+  });
+  const vip = event.ticketTypes.find(type => type.name === 'VIP');
+
+  const results = await Promise.all(users.slice(0, 5).map(user => RSVPService.reserveSeat(event.id, user.id, null, { ticketTypeId: vip.id })));
+  assert.equal(results.filter(result => result.success).length, 2);
+  assert.ok(results.filter(result => !result.success).every(result => result.full));
+
+  const stored = await EventService.events.findById(event.id);
+  assert.equal(stored.ticketCounts[vip.id], 2);
+  assert.equal(stored.currentAttendees, 2);
+});
@@ -0,0 +1,326 @@
+/**
+ * Search Index
+ * In-process inverted index for relevance-ranked event search with
+ * light stemming, prefix matching, typo tolerance and highlighting
+ */
+
+// Relative weight of a match in each indexed field
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  location: 1,
+  description: 1
+};
+
+// How much a non-exact match counts compared to an exact one
+const PREFIX_FACTOR = 0.6;
+const FUZZY_FACTOR = 0.4;
+
+const SNIPPET_LENGTH = 160;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+  'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and strip diacritics so "Café" matches "cafe"
+const normalizeWord = (word) => word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Light suffix stripping; enough to match "meetups" with "meetup"
+ * and "coding" with "code" without a full Porter stemmer
+ */
+const stem = (word) => {
+  if (word.length <= 3 || /^\d+$/.test(word)) {
+    return word;
+  }
+
+  let result = word;
+  if (result.endsWith('ies') && result.length > 4) {
+    result = result.slice(0, -3) + 'y';
+  } else if (/(ss|sh|ch|x|z)es$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('s') && !result.endsWith('ss') && !result.endsWith('us')) {
+    result = result.slice(0, -1);
+  } else if (result.endsWith('ing') && result.length > 5) {
+    result = result.slice(0, -3);
+  } else if (result.endsWith('ed') && result.length > 4) {
+    result = result.slice(0, -2);
+  }
+
+  // "running" -> "runn" -> "run"
+  if (result !== word && /([^aeiouls])\1$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  // "coding" -> "cod", so drop a trailing "e" everywhere to line up with "code"
+  if (result.length > 3 && result.endsWith('e')) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+};
+
+const tokenize = (text) => (String(text || '').match(WORD_PATTERN) || [])
+  .map(normalizeWord)
+  .filter(word => word && !STOP_WORDS.has(word));
+
+/**
+ * Edit distance with adjacent transpositions, giving up once it
+ * exceeds `max` so scanning the vocabulary stays cheap
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Short words allow no typos, otherwise "code" would match "come"
+const maxTyposFor = (word) => (word.length >= 9 ? 2 : word.length >= 5 ? 1 : 0);
+
+class SearchIndex {
+  constructor() {
+    // stem -> Map(docId -> weight)
+    this.postings = new Map();
+    // surface word -> { stem, docs: Set(docId) }, used for prefix and typo matching
+    this.words = new Map();
+    // docId -> { stems: Set, words: Set }
+    this.documents = new Map();
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  clear() {
+    this.postings.clear();
+    this.words.clear();
+    this.documents.clear();
+  }
+
+  /**
+   * Index an event, replacing any previous version of it
+   */
+  add(event) {
+    this.remove(event.id);
+
+    const stems = new Set();
+    const words = new Set();
+    const weights = new Map();
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+      const value = Array.isArray(event[field]) ? event[field].join(' ') : event[field];
+      const counts = new Map();
+
+      tokenize(value).forEach(word => {
+        const term = stem(word);
+        counts.set(term, (counts.get(term) || 0) + 1);
+        words.add(word);
+
+        if (!this.words.has(word)) {
+          this.words.set(word, { stem: term, docs: new Set() });
+        }
+        this.words.get(word).docs.add(event.id);
+      });
+
+      // Repeats count, but with diminishing returns
+      counts.forEach((count, term) => {
+        weights.set(term, (weights.get(term) || 0) + fieldWeight * (1 + Math.log(count)));
+        stems.add(term);
+      });
+    });
+
+    weights.forEach((weight, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(event.id, weight);
+    });
+
+    this.documents.set(event.id, { stems, words });
+  }
+
+  remove(eventId) {
+    const doc = this.documents.get(eventId);
+    if (!doc) {
+      return;
+    }
+
+    doc.stems.forEach(term => {
+      const postings = this.postings.get(term);
+      postings.delete(eventId);
+      if (postings.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+
+    doc.words.forEach(word => {
+      const entry = this.words.get(word);
+      entry.docs.delete(eventId);
+      if (entry.docs.size === 0) {
+        this.words.delete(word);
+      }
+    });
+
+    this.documents.delete(eventId);
+  }
+
+  /**
+   * Index terms a query word can match, with how much each match counts
+   */
+  expand(word) {
+    const term = stem(word);
+    const matches = new Map();
+    const consider = (candidate, factor) => {
+      if (this.postings.has(candidate) && factor > (matches.get(candidate) || 0)) {
+        matches.set(candidate, factor);
+      }
+    };
+
+    consider(term, 1);
+
+    const maxTypos = maxTyposFor(word);
+    this.words.forEach((entry, indexed) => {
+      if (indexed.length > word.length && indexed.startsWith(word)) {
+        consider(entry.stem, PREFIX_FACTOR);
+      } else if (maxTypos > 0 && entry.stem !== term && editDistance(word, indexed, maxTypos) <= maxTypos) {
+        consider(entry.stem, FUZZY_FACTOR);
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Rank documents matching every query word.
+   * Returns Map(docId -> { score, terms }) where `terms` are the matched
+   * index terms, for highlighting.
+   */
+  search(text) {
+    const queryWords = [...new Set(tokenize(text))];
+    const results = new Map();
+
+    if (queryWords.length === 0) {
+      return results;
+    }
+
+    const totalDocs = this.documents.size;
+
+    queryWords.forEach((word, index) => {
+      const perDoc = new Map();
+
+      this.expand(word).forEach((factor, term) => {
+        const postings = this.postings.get(term);
+        const idf = Math.log(1 + totalDocs / postings.size);
+
+        postings.forEach((weight, docId) => {
+          const entry = perDoc.get(docId) || { score: 0, terms: new Set() };
+          entry.score = Math.max(entry.score, weight * idf * factor);
+          entry.terms.add(term);
+          perDoc.set(docId, entry);
+        });
+      });
+
+      if (index === 0) {
+        perDoc.forEach((entry, docId) => results.set(docId, entry));
+        return;
+      }
+
+      // Every query word has to match somewhere in the document
+      results.forEach((entry, docId) => {
+        const match = perDoc.get(docId);
+        if (!match) {
+          results.delete(docId);
+          return;
+        }
+        entry.score += match.score;
+        match.terms.forEach(term => entry.terms.add(term));
+      });
+    });
+
+    results.forEach(entry => {
+      entry.score = Math.round(entry.score * 1000) / 1000;
+    });
+
+    return results;
+  }
+
+  /**
+   * Wrap matched words in <mark> for each field that matched;
+   * long fields are cut down to a snippet around the first match
+   */
+  highlight(event, terms) {
+    const highlights = {};
+
+    ['title', 'location', 'description'].forEach(field => {
+      const text = String(event[field] || '');
+      const marks = [];
+
+      text.replace(WORD_PATTERN, (word, offset) => {
+        if (terms.has(stem(normalizeWord(word)))) {
+          marks.push({ start: offset, end: offset + word.length });
+        }
+        return word;
+      });
+
+      if (marks.length === 0) {
+        return;
+      }
+
+      let start = 0;
+      let end = text.length;
+      if (text.length > SNIPPET_LENGTH) {
+        // Start a little before the first match, on a word boundary
+        start = text.lastIndexOf(' ', Math.max(0, marks[0].start - Math.floor(SNIPPET_LENGTH / 3))) + 1;
+        end = Math.min(text.length, start + SNIPPET_LENGTH);
+        if (end < text.length && text.lastIndexOf(' ', end) > marks[0].end) {
+          end = text.lastIndexOf(' ', end);
+        }
+      }
+
+      let snippet = '';
+      let cursor = start;
+      marks
+        .filter(mark => mark.start >= start && mark.end <= end)
+        .forEach(mark => {
+          snippet += text.slice(cursor, mark.start) + '<mark>' + text.slice(mark.start, mark.end) + '</mark>';
+          cursor = mark.end;
+        });
+      snippet += text.slice(cursor, end);
+
+      highlights[field] = (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+    });
+
+    return highlights;
+  }
+}
+
+module.exports = SearchIndex;
@@ -0,0 +1,78 @@
+/**
+ * Seat Slots
+ * Where attendance is kept on an event document: top-level fields for a
+ * one-off event, `occurrences.<key>` for one occurrence of a recurring
+ * series. Every seat write is a compare-and-set guarded by `slotGuard`;
+ * per-tier `ticketCounts` only change together with `currentAttendees`, so
+ * the same guard covers them. A cancelled event has every slot cancelled.
+ */
+
+// Upper limit for an event's `maxGuests`
+const MAX_GUESTS_LIMIT = 20;
+
+/**
+ * Seats an RSVP holds: the user plus their guests. RSVPs from before
+ * plus-ones have no `seats` field and hold one.
+ */
+const seatsOf = (rsvp) => rsvp.seats || 1;
+
+const slotField = (occurrenceId, field) => (occurrenceId ? `occurrences.${occurrenceId}.${field}` : field);
+
+// Unmaterialized occurrences have no fields yet, which has to match too
+const equalsOrMissing = (value) => (value === undefined ? { $exists: false } : value);
+
+const readSlot = (event, occurrenceId) => {
+  if (!occurrenceId) {
+    return {
+      capacity: event.capacity,
+      currentAttendees: event.currentAttendees,
+      attendees: event.attendees || [],
+      waitlist: event.waitlist || [],
+      ticketCounts: event.ticketCounts || {},
+      cancelled: event.status === 'cancelled'
+    };
+  }
+
+  const occurrence = (event.occurrences || {})[occurrenceId] || {};
+  const overrides = occurrence.overrides || {};
+
+  return {
+    capacity: overrides.capacity !== undefined ? overrides.capacity : event.capacity,
+    currentAttendees: occurrence.currentAttendees || 0,
+    attendees: occurrence.attendees || [],
+    waitlist: occurrence.waitlist || [],
+    ticketCounts: occurrence.ticketCounts || {},
+    cancelled: event.status === 'cancelled' || !!occurrence.cancelled
+  };
+};
+
+/**
+ * Filter that only matches while the slot still looks the way it did
+ * when `event` was read
+ */
+const slotGuard = (event, occurrenceId) => {
+  if (!occurrenceId) {
+    return { id: event.id, capacity: event.capacity, currentAttendees: event.currentAttendees, status: { $ne: 'cancelled' } };
+  }
+
+  const occurrence = (event.occurrences || {})[occurrenceId] || {};
+
+  return {
+    id: event.id,
+    capacity: event.capacity,
+    // A split or reschedule may have removed the occurrence since
+    'recurrence.rule': event.recurrence.rule,
+    [slotField(occurrenceId, 'currentAttendees')]: equalsOrMissing(occurrence.currentAttendees),
+    [slotField(occurrenceId, 'overrides.capacity')]: equalsOrMissing((occurrence.overrides || {}).capacity),
+    [slotField(occurrenceId, 'cancelled')]: { $ne: true },
+    status: { $ne: 'cancelled' }
+  };
+};
+
+module.exports = {
+  MAX_GUESTS_LIMIT,
+  seatsOf,
+  slotField,
+  readSlot,
+  slotGuard
+};
@@ -0,0 +1,101 @@
+/**
+ * Test Server
+ * Serves EventManagementServer's app on a free local port against the
+ * in-memory repositories, for the node:test suites in this directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// Verification emails go to a throwaway directory
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eventhub-mail-'));
+process.env.MAIL_DIR = mailDir;
+
+const server = require('../app');
+const DatabaseManager = require('../config/database');
+const UserService = require('../services/UserService');
+const EventService = require('../services/EventService');
+
+const listen = (httpServer) => new Promise(resolve => {
+  httpServer.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${httpServer.address().port}`));
+});
+
+const close = (httpServer) => new Promise(resolve => httpServer.close(resolve));
+
+/**
+ * Poll `check` until it returns something truthy, and return that
+ */
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for condition');
+};
+
+let userCount = 0;
+
+/**
+ * Initialize the services the way EventManagementServer.start() does and
+ * listen. Returns helpers bound to the running server.
+ */
+const startTestServer = async () => {
+  await UserService.initialize();
+  await EventService.initialize();
+
+  const httpServer = http.createServer(server.app);
+  const baseUrl = await listen(httpServer);
+
+  const request = async (method, pathname, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  /**
+   * Register a verified account; organizer and admin roles are granted
+   * directly, as an admin would. Returns the public user and a fresh token.
+   */
+  const createUser = async ({ role = 'attendee', name = 'Test User' } = {}) => {
+    userCount += 1;
+    const email = `user${userCount}@example.com`;
+    const password = 'password1';
+
+    const registered = await UserService.register({ name, email, password });
+    if (!registered.success) {
+      throw new Error(registered.error);
+    }
+    await DatabaseManager.getRepository('users').updateById(registered.user.id, {
+      $set: { role, emailVerified: true }
+    });
+
+    const { user, accessToken } = await UserService.login(email, password);
+    return { user, token: accessToken };
+  };
+
+  const stop = async () => {
+    await close(httpServer);
+    fs.rmSync(mailDir, { recursive: true, force: true });
+  };
+
+  return { baseUrl, request, createUser, stop };
+};
+
+module.exports = {
+  startTestServer,
+  listen,
+  close,
+  waitFor
+};
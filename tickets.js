@@ -0,0 +1,99 @@
+/**
+ * Ticket Types
+ * Tiers such as "General", "Student" or "VIP", each with its own capacity,
+ * sale window and visibility. Sold tickets per tier are counted in the seat
+ * slot under `ticketCounts.<id>`; the event capacity still caps the total.
+ */
+
+const VISIBILITIES = Object.freeze(['public', 'hidden']);
+
+const MAX_TICKET_TYPES = 10;
+const MAX_TICKET_NAME_LENGTH = 50;
+
+const slugify = (name) => String(name)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 40) || 'ticket';
+
+const toIsoOrNull = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Stored form of validated ticket types. Tiers that keep the id of an
+ * existing tier keep their sold count; new tiers get an id from their name.
+ */
+const normalizeTicketTypes = (ticketTypes, existing = []) => {
+  const existingIds = new Set(existing.map(type => type.id));
+  const kept = ticketTypes.filter(type => type.id && existingIds.has(type.id));
+  const used = new Set(kept.map(type => type.id));
+
+  return ticketTypes.map(type => {
+    let id = kept.includes(type) ? type.id : null;
+
+    if (!id) {
+      const base = slugify(type.name);
+      id = base;
+      for (let suffix = 2; used.has(id) || existingIds.has(id); suffix++) {
+        id = `${base}-${suffix}`;
+      }
+      used.add(id);
+    }
+
+    return {
+      id,
+      name: type.name,
+      capacity: parseInt(type.capacity),
+      salesStart: toIsoOrNull(type.salesStart),
+      salesEnd: toIsoOrNull(type.salesEnd),
+      visibility: type.visibility || 'public'
+    };
+  });
+};
+
+const hasTicketTypes = (event) => Array.isArray(event.ticketTypes) && event.ticketTypes.length > 0;
+
+const findTicketType = (event, ticketTypeId) => (event.ticketTypes || []).find(type => type.id === ticketTypeId) || null;
+
+/**
+ * Why a tier cannot be bought right now, or null when it is on sale
+ */
+const saleError = (ticketType, now = new Date()) => {
+  if (ticketType.salesStart && now < new Date(ticketType.salesStart)) {
+    return `Sales for ${ticketType.name} tickets open at ${ticketType.salesStart}`;
+  }
+  if (ticketType.salesEnd && now >= new Date(ticketType.salesEnd)) {
+    return `Sales for ${ticketType.name} tickets have ended`;
+  }
+  return null;
+};
+
+/**
+ * The tier an RSVP asks for. Without an explicit choice the event's only
+ * public tier is used; hidden tiers must be asked for by id.
+ */
+const resolveTicketType = (event, ticketTypeId) => {
+  if (!hasTicketTypes(event)) {
+    return ticketTypeId ? { error: 'This event has no ticket types' } : { ticketType: null };
+  }
+
+  if (!ticketTypeId) {
+    const listed = event.ticketTypes.filter(type => type.visibility === 'public');
+    return listed.length === 1
+      ? { ticketType: listed[0] }
+      : { error: 'Choose a ticket type' };
+  }
+
+  const ticketType = findTicketType(event, ticketTypeId);
+  return ticketType ? { ticketType } : { error: 'Ticket type not found' };
+};
+
+module.exports = {
+  VISIBILITIES,
+  MAX_TICKET_TYPES,
+  MAX_TICKET_NAME_LENGTH,
+  normalizeTicketTypes,
+  hasTicketTypes,
+  findTicketType,
+  saleError,
+  resolveTicketType
+};
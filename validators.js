@@ -1,51 +1,270 @@
-/**
- * Input Validation Utilities
- * Centralized validation functions
- */
-
-class Validators {
-  static validateEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  }
-
-  static validatePassword(password) {
-    return password && password.length >= 6;
-  }
-
-  static validateEventData(eventData) {
-    const { title, description, date, location, capacity } = eventData;
-    const errors = [];
-
-    if (!title || title.trim().length < 3) {
-      errors.push('Title must be at least 3 characters long');
-    }
-
-    if (!description || description.trim().length < 10) {
-      errors.push('Description must be at least 10 characters long');
-    }
-
-    if (!date || new Date(date) <= new Date()) {
-      errors.push('Event date must be in the future');
-    }
-
-    if (!location || location.trim().length < 3) {
-      errors.push('Location must be at least 3 characters long');
-    }
-
-    if (!capacity || capacity < 1 || capacity > 10000) {
-      errors.push('Capacity must be between 1 and 10,000');
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors
-    };
-  }
-
-  static sanitizeString(str) {
-    return str ? str.trim().replace(/[<>]/g, '') : '';
-  }
-}
-
-module.exports = Validators;
\ No newline at end of file
+/**
+ * Input Validation Utilities
+ * Centralized validation functions
+ */
+
+const { CATEGORIES, MAX_TAGS, MAX_TAG_LENGTH, isValidCategory } = require('./categories');
+const { isValidLatitude, isValidLongitude } = require('./geo');
+const { parseRule, parseDateValue } = require('./recurrence');
+const { VISIBILITIES, MAX_TICKET_TYPES, MAX_TICKET_NAME_LENGTH } = require('./tickets');
+const { MAX_GUESTS_LIMIT } = require('./seats');
+const { INITIAL_STATUSES } = require('./lifecycle');
+const { WEBHOOK_EVENTS, MAX_WEBHOOK_URL_LENGTH } = require('./webhookSigning');
+
+const MAX_GUEST_NAME_LENGTH = 100;
+
+class Validators {
+  static validateEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+  }
+
+  static validatePassword(password) {
+    return password && password.length >= 6;
+  }
+
+  static validateEventData(eventData) {
+    const { title, description, date, location, capacity } = eventData;
+    const errors = [];
+
+    if (!title || title.trim().length < 3) {
+      errors.push('Title must be at least 3 characters long');
+    }
+
+    if (!description || description.trim().length < 10) {
+      errors.push('Description must be at least 10 characters long');
+    }
+
+    if (date && isNaN(new Date(date))) {
+      errors.push('Event date must be a valid date');
+    } else if (!date || new Date(date) <= new Date()) {
+      errors.push('Event date must be in the future');
+    }
+
+    if (!location || location.trim().length < 3) {
+      errors.push('Location must be at least 3 characters long');
+    }
+
+    if (!capacity || capacity < 1 || capacity > 10000) {
+      errors.push('Capacity must be between 1 and 10,000');
+    }
+
+    errors.push(...Validators.validateEventTaxonomy(eventData));
+    errors.push(...Validators.validateCoordinates(eventData.coordinates));
+    errors.push(...Validators.validateRecurrence(eventData.recurrence));
+    errors.push(...Validators.validateTicketTypes(eventData.ticketTypes));
+    errors.push(...Validators.validateMaxGuests(eventData.maxGuests));
+
+    if (eventData.status !== undefined && !INITIAL_STATUSES.includes(eventData.status)) {
+      errors.push(`New events must be created as one of: ${INITIAL_STATUSES.join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Optional category and tags; shared by event creation and updates
+   */
+  static validateEventTaxonomy({ category, tags }) {
+    const errors = [];
+
+    if (category !== undefined && !isValidCategory(category)) {
+      errors.push(`Category must be one of: ${CATEGORIES.join(', ')}`);
+    }
+
+    if (tags !== undefined) {
+      if (!Array.isArray(tags)) {
+        errors.push('Tags must be an array of strings');
+      } else {
+        if (tags.length > MAX_TAGS) {
+          errors.push(`An event can have at most ${MAX_TAGS} tags`);
+        }
+        if (tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.trim().length > MAX_TAG_LENGTH)) {
+          errors.push(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Optional { latitude, longitude } in decimal degrees; null clears them on update
+   */
+  static validateCoordinates(coordinates) {
+    if (coordinates === undefined || coordinates === null) {
+      return [];
+    }
+
+    if (typeof coordinates !== 'object' ||
+        !isValidLatitude(coordinates.latitude) ||
+        !isValidLongitude(coordinates.longitude)) {
+      return ['Coordinates must have a latitude between -90 and 90 and a longitude between -180 and 180'];
+    }
+
+    return [];
+  }
+
+  /**
+   * Optional { rule, exdates } where `rule` is an RFC 5545 RRULE and
+   * `exdates` lists occurrence starts to skip; null makes the event one-off
+   */
+  static validateRecurrence(recurrence) {
+    if (recurrence === undefined || recurrence === null) {
+      return [];
+    }
+
+    if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+      return ['Recurrence must be an object with a rule and optional exdates'];
+    }
+
+    const errors = [];
+    const { error } = parseRule(recurrence.rule);
+    if (error) {
+      errors.push(error);
+    }
+
+    if (recurrence.exdates !== undefined &&
+        (!Array.isArray(recurrence.exdates) || recurrence.exdates.some(value => !parseDateValue(value)))) {
+      errors.push('Exception dates must be an array of dates');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Optional list of { name, capacity, salesStart, salesEnd, visibility }
+   * ticket tiers; null or [] removes them on update
+   */
+  static validateTicketTypes(ticketTypes) {
+    if (ticketTypes === undefined || ticketTypes === null) {
+      return [];
+    }
+
+    if (!Array.isArray(ticketTypes)) {
+      return ['Ticket types must be an array'];
+    }
+
+    const errors = [];
+
+    if (ticketTypes.length > MAX_TICKET_TYPES) {
+      errors.push(`An event can have at most ${MAX_TICKET_TYPES} ticket types`);
+    }
+
+    const names = new Set();
+    ticketTypes.forEach((type, index) => {
+      const label = `Ticket type ${index + 1}`;
+
+      if (!type || typeof type !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+
+      const name = typeof type.name === 'string' ? type.name.trim() : '';
+      if (!name || name.length > MAX_TICKET_NAME_LENGTH) {
+        errors.push(`${label} must have a name of 1 to ${MAX_TICKET_NAME_LENGTH} characters`);
+      } else if (names.has(name.toLowerCase())) {
+        errors.push(`Ticket type names must be unique (${name})`);
+      }
+      names.add(name.toLowerCase());
+
+      if (!Number.isInteger(Number(type.capacity)) || type.capacity < 1 || type.capacity > 10000) {
+        errors.push(`${label} capacity must be between 1 and 10,000`);
+      }
+
+      const invalidDate = ['salesStart', 'salesEnd'].find(field => type[field] && isNaN(new Date(type[field])));
+      if (invalidDate) {
+        errors.push(`${label} ${invalidDate} must be a valid date`);
+      } else if (type.salesStart && type.salesEnd && new Date(type.salesStart) >= new Date(type.salesEnd)) {
+        errors.push(`${label} sales must start before they end`);
+      }
+
+      if (type.visibility !== undefined && !VISIBILITIES.includes(type.visibility)) {
+        errors.push(`${label} visibility must be one of: ${VISIBILITIES.join(', ')}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Optional number of guests each attendee may bring
+   */
+  static validateMaxGuests(maxGuests) {
+    if (maxGuests === undefined) {
+      return [];
+    }
+
+    if (!Number.isInteger(maxGuests) || maxGuests < 0 || maxGuests > MAX_GUESTS_LIMIT) {
+      return [`Maximum guests must be a whole number between 0 and ${MAX_GUESTS_LIMIT}`];
+    }
+
+    return [];
+  }
+
+  /**
+   * Guests on an RSVP: a count, or a list of names (null or "" for an
+   * unnamed guest). At most `maxGuests` of them.
+   */
+  static validateGuests(guests, maxGuests = 0) {
+    if (guests === undefined || guests === null) {
+      return [];
+    }
+
+    const isCount = Number.isInteger(guests) && guests >= 0;
+    const isList = Array.isArray(guests) && guests.every(name =>
+      name === null || (typeof name === 'string' && name.trim().length <= MAX_GUEST_NAME_LENGTH));
+
+    if (!isCount && !isList) {
+      return [`Guests must be a number or a list of names of at most ${MAX_GUEST_NAME_LENGTH} characters`];
+    }
+
+    const count = isCount ? guests : guests.length;
+    if (count > maxGuests) {
+      return [maxGuests === 0
+        ? 'This event does not allow guests'
+        : `You can bring at most ${maxGuests} guest${maxGuests === 1 ? '' : 's'}`];
+    }
+
+    return [];
+  }
+
+  /**
+   * Webhook { url, events } for a create, or the given fields of an
+   * update. Production receivers must use https.
+   */
+  static validateWebhook({ url, events }, { partial = false } = {}) {
+    const errors = [];
+
+    if (url !== undefined || !partial) {
+      let parsed = null;
+      try {
+        parsed = typeof url === 'string' && url.length <= MAX_WEBHOOK_URL_LENGTH ? new URL(url) : null;
+      } catch (error) {
+        parsed = null;
+      }
+
+      const protocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+      if (!parsed || !protocols.includes(parsed.protocol)) {
+        errors.push(`Webhook URL must be a valid ${protocols.map(protocol => protocol.slice(0, -1)).join(' or ')} URL`);
+      }
+    }
+
+    if (events !== undefined || !partial) {
+      if (!Array.isArray(events) || events.length === 0 || events.some(type => !WEBHOOK_EVENTS.includes(type))) {
+        errors.push(`Webhook events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  static sanitizeString(str) {
+    return str ? str.trim().replace(/[<>]/g, '') : '';
+  }
+}
+
+module.exports = Validators;
@@ -0,0 +1,157 @@
+/**
+ * Waitlist tests
+ * Promotion order, parties and ticket types that do not fit, and
+ * concurrent promotions
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseManager = require('../config/database');
+const EventService = require('../services/EventService');
+const RSVPService = require('../services/RSVPService');
+const WaitlistService = require('../services/WaitlistService');
+const { createUser, createEvent } = require('./fixtures');
+
+// WaitlistService's MAX_ATTEMPTS
+const MAX_PROMOTION_ATTEMPTS = 5;
+
+const rsvps = () => DatabaseManager.getRepository('rsvps');
+
+const statusOf = async (eventId, user) => (await rsvps().findOne({ eventId, userId: user.id, status: { $ne: 'cancelled' } }))?.status;
+
+let organizer;
+let users;
+
+before(async () => {
+  organizer = await createUser({ role: 'organizer' });
+  users = [];
+  for (let i = 0; i < 6; i++) {
+    users.push(await createUser());
+  }
+});
+
+test('a freed seat goes to the first in line, and everyone behind moves up', async () => {
+  const [alice, bob, carol, dave] = users;
+  const event = await createEvent(organizer, { capacity: 1 });
+
+  assert.ok((await RSVPService.createRSVP(event.id, alice.id)).success);
+  for (const [position, user] of [[1, bob], [2, carol], [3, dave]]) {
+    const queued = await RSVPService.createRSVP(event.id, user.id);
+    assert.equal(queued.position, position);
+  }
+
+  assert.ok((await RSVPService.cancelRSVP(event.id, alice.id)).success);
+
+  const promoted = await rsvps().findOne({ eventId: event.id, userId: bob.id });
+  assert.equal(promoted.status, 'attending');
+  assert.ok(promoted.promotedAt);
+  assert.equal(await DatabaseManager.getRepository('notifications').count({ type: 'rsvp.promoted', userId: bob.id, eventId: event.id }), 1);
+
+  assert.equal((await WaitlistService.getPosition(event.id, carol.id)).position, 1);
+  assert.equal((await WaitlistService.getPosition(event.id, dave.id)).position, 2);
+
+  const stored = await EventService.events.findById(event.id);
+  assert.deepEqual(stored.attendees, [bob.id]);
+  assert.equal(stored.currentAttendees, 1);
+});
+
+test('a party that does not fit is passed over until there is room for all of it', async () => {
+  const [alice, bob, carol, dave, erin] = users;
+  const event = await createEvent(organizer, { capacity: 3, maxGuests: 2 });
+
+  for (const user of [alice, bob, carol]) {
+    assert.ok((await RSVPService.createRSVP(event.id, user.id)).success);
+  }
+  assert.ok((await RSVPService.createRSVP(event.id, dave.id, null, { guests: 2 })).waitlisted);
+  assert.ok((await RSVPService.createRSVP(event.id, erin.id)).waitlisted);
+
+  await RSVPService.cancelRSVP(event.id, bob.id);
+  assert.equal(await statusOf(event.id, erin), 'attending');
+  assert.equal(await statusOf(event.id, dave), 'waitlisted');
+
+  await RSVPService.cancelRSVP(event.id, alice.id);
+  await RSVPService.cancelRSVP(event.id, carol.id);
+  assert.equal(await statusOf(event.id, dave), 'waitlisted');
+
+  await RSVPService.cancelRSVP(event.id, erin.id);
+  const seated = await rsvps().findOne({ eventId: event.id, userId: dave.id, status: 'attending' });
+  assert.equal(seated.seats, 3);
+  assert.equal((await EventService.events.findById(event.id)).currentAttendees, 3);
+});
+
+test('a waitlisted ticket type that is sold out does not block other tiers', async () => {
+  const [alice, bob, carol] = users;
+  const event = await createEvent(organizer, {
+    capacity: 2,
+    ticketTypes: [{ name: 'VIP', capacity: 1 }, { name: 'General', capacity: 2 }]
+  });
+  const vip = event.ticketTypes.find(type => type.name === 'VIP');
+  const general = event.ticketTypes.find(type => type.name === 'General');
+
+  assert.ok((await RSVPService.createRSVP(event.id, alice.id, null, { ticketTypeId: vip.id })).success);
+  assert.ok((await RSVPService.createRSVP(event.id, bob.id, null, { ticketTypeId: general.id })).success);
+  assert.ok((await RSVPService.createRSVP(event.id, carol.id, null, { ticketTypeId: vip.id })).waitlisted);
+  const dave = users[3];
+  assert.ok((await RSVPService.createRSVP(event.id, dave.id, null, { ticketTypeId: general.id })).waitlisted);
+
+  // A General seat frees up; Carol is first but wants the sold-out VIP tier
+  await RSVPService.cancelRSVP(event.id, bob.id);
+  assert.equal(await statusOf(event.id, carol), 'waitlisted');
+  assert.equal(await statusOf(event.id, dave), 'attending');
+});
+
+test('concurrent promotions never seat the same user twice or overfill the event', async () => {
+  const [alice, bob, carol, dave, erin] = users;
+  const event = await createEvent(organizer, { capacity: 2 });
+
+  for (const user of [alice, bob, carol, dave, erin]) {
+    assert.ok((await RSVPService.createRSVP(event.id, user.id)).success);
+  }
+
+  await Promise.all([RSVPService.cancelRSVP(event.id, alice.id), RSVPService.cancelRSVP(event.id, bob.id)]);
+
+  let stored = await EventService.events.findById(event.id);
+  assert.deepEqual([...stored.attendees].sort(), [carol.id, dave.id].sort());
+  assert.deepEqual(stored.waitlist, [erin.id]);
+  assert.equal(stored.currentAttendees, 2);
+
+  // Free a seat without promoting, then race three promotions for it
+  await RSVPService.releaseSeat(event.id, carol.id);
+  await rsvps().updateOne({ eventId: event.id, userId: carol.id, status: 'attending' }, { $set: { status: 'cancelled' } });
+  const promoted = (await Promise.all([1, 2, 3].map(() => WaitlistService.promote(event.id)))).flat();
+
+  assert.deepEqual(promoted, [erin.id]);
+  stored = await EventService.events.findById(event.id);
+  assert.equal(stored.currentAttendees, 2);
+  assert.equal(stored.attendees.filter(id => id === erin.id).length, 1);
+  assert.equal(await rsvps().count({ eventId: event.id, userId: erin.id, status: 'attending' }), 1);
+});
+
+test('a promotion gives up after MAX_ATTEMPTS lost compare-and-sets', async (t) => {
+  const [alice, bob] = users;
+  const event = await createEvent(organizer, { capacity: 1 });
+
+  assert.ok((await RSVPService.createRSVP(event.id, alice.id)).success);
+  assert.ok((await RSVPService.createRSVP(event.id, bob.id)).waitlisted);
+  await RSVPService.releaseSeat(event.id, alice.id);
+
+  const write = t.mock.method(EventService.events, 'updateOne', async () => null);
+  assert.deepEqual(await WaitlistService.promote(event.id), []);
+  assert.equal(write.mock.callCount(), MAX_PROMOTION_ATTEMPTS);
+  assert.equal(await statusOf(event.id, bob), 'waitlisted');
+
+  t.mock.restoreAll();
+  assert.deepEqual(await WaitlistService.promote(event.id), [bob.id]);
+});
+
+test('nobody is promoted into a cancelled event', async () => {
+  const [alice, bob] = users;
+  const event = await createEvent(organizer, { capacity: 1 });
+
+  assert.ok((await RSVPService.createRSVP(event.id, alice.id)).success);
+  assert.ok((await RSVPService.createRSVP(event.id, bob.id)).waitlisted);
+  assert.ok((await EventService.changeStatus(event.id, organizer, 'cancelled')).success);
+
+  assert.deepEqual(await WaitlistService.promote(event.id), []);
+  assert.equal(await rsvps().count({ eventId: event.id, status: { $in: ['attending', 'waitlisted'] } }), 0);
+});
@@ -0,0 +1,44 @@
+/**
+ * Webhook Signing
+ * Event types organizers can subscribe to and how deliveries are signed.
+ * Receivers verify a delivery by computing the same HMAC over the
+ * X-EventHub-Timestamp header, a dot and the raw request body.
+ */
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = Object.freeze(['rsvp.created', 'rsvp.cancelled', 'event.updated', 'event.deleted']);
+
+const MAX_WEBHOOK_URL_LENGTH = 2000;
+const MAX_WEBHOOKS_PER_USER = 20;
+
+const SIGNATURE_HEADER = 'X-EventHub-Signature';
+const TIMESTAMP_HEADER = 'X-EventHub-Timestamp';
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Value of the signature header for `body` sent at `timestamp` (seconds)
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Whether `signature` matches, compared in constant time
+ */
+const verifySignature = (secret, timestamp, body, signature) => {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOK_URL_LENGTH,
+  MAX_WEBHOOKS_PER_USER,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  generateSecret,
+  signPayload,
+  verifySignature
+};
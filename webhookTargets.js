@@ -0,0 +1,98 @@
+/**
+ * Webhook Targets
+ * Keeps webhooks from reaching the server's own network. A URL whose host
+ * is, or resolves to, a loopback, private, link-local (cloud metadata) or
+ * otherwise non-public address is refused, unless
+ * WEBHOOK_ALLOW_PRIVATE_TARGETS=true is set for local development.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],         // "this" network
+  ['10.0.0.0', 8],        // private
+  ['100.64.0.0', 10],     // carrier-grade NAT
+  ['127.0.0.0', 8],       // loopback
+  ['169.254.0.0', 16],    // link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12],     // private
+  ['192.0.0.0', 24],      // IETF protocol assignments
+  ['192.168.0.0', 16],    // private
+  ['198.18.0.0', 15],     // benchmarking
+  ['224.0.0.0', 4],       // multicast
+  ['240.0.0.0', 4]        // reserved and broadcast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],            // unspecified
+  ['::1', 128],           // loopback
+  ['::ffff:0:0', 96],     // IPv4-mapped, which would bypass the IPv4 ranges
+  ['64:ff9b::', 96],      // NAT64
+  ['fc00::', 7],          // unique local
+  ['fe80::', 10],         // link-local
+  ['ff00::', 8]           // multicast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const PRIVATE_TARGET_ERROR = 'Webhook URL must not point to a private or local address';
+
+const allowPrivateTargets = () => process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Drop-in for dns.lookup that fails when any address of `hostname` is not
+ * public. Passed as the `lookup` option of a request, it checks the very
+ * address the socket connects to, so a name re-pointed after the webhook
+ * was registered (DNS rebinding) is still refused.
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (!allowPrivateTargets() && addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(Object.assign(new Error(PRIVATE_TARGET_ERROR), { code: 'EPRIVATETARGET' }));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Why `url` cannot receive webhooks, or null when it can. Host names are
+ * resolved now; IP literals never go through a lookup, so this is also
+ * what keeps deliveries from reaching them.
+ */
+const checkWebhookTarget = async (url) => {
+  if (allowPrivateTargets()) {
+    return null;
+  }
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(host)) {
+    return isPublicAddress(host) ? null : PRIVATE_TARGET_ERROR;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return `Webhook URL host ${host} could not be resolved`;
+  }
+
+  return addresses.every(({ address }) => isPublicAddress(address)) ? null : PRIVATE_TARGET_ERROR;
+};
+
+module.exports = {
+  isPublicAddress,
+  guardedLookup,
+  checkWebhookTarget
+};
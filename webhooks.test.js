@@ -0,0 +1,229 @@
+/**
+ * Webhook delivery tests
+ * Drives the webhook routes of EventManagementServer's app and delivers to
+ * a local HTTP receiver. Run with `npm test`.
+ */
+
+// Read when WebhookService loads, so set them first
+process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+process.env.WEBHOOK_POLL_INTERVAL_MS = '20';
+process.env.WEBHOOK_RETRY_BASE_MS = '100';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startTestServer, listen, close, waitFor } = require('./testServer');
+const DatabaseManager = require('../config/database');
+const WebhookService = require('../services/WebhookService');
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, verifySignature } = require('../utils/webhookSigning');
+
+let api;
+let receiver;
+let receiverUrl;
+let received;
+let receiverStatus;
+let organizer;
+let event;
+
+const createWebhook = async (body = { url: receiverUrl, events: ['event.updated'], eventId: event.id }) => {
+  const { status, body: created } = await api.request('POST', '/api/webhooks', { token: organizer.token, body });
+  assert.equal(status, 201, created.message);
+  return created;
+};
+
+const deleteWebhook = (webhook) => api.request('DELETE', `/api/webhooks/${webhook.id}`, { token: organizer.token });
+
+// Polled through the service, so waiting doesn't use up the API rate limit
+const waitForDelivery = (webhook, check) => waitFor(async () => {
+  const { deliveries } = await WebhookService.getDeliveries(webhook.id, organizer.user);
+  return check(deliveries) && deliveries;
+});
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body, at: Date.now() });
+      res.writeHead(receiverStatus).end();
+    });
+  });
+  receiverUrl = `${await listen(receiver)}/hooks`;
+
+  api = await startTestServer();
+  organizer = await api.createUser({ role: 'organizer' });
+
+  event = await DatabaseManager.getRepository('events').insert({
+    title: 'Webhook Test Event',
+    creator: organizer.user.id,
+    date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+    status: 'published'
+  });
+
+  WebhookService.start();
+});
+
+after(async () => {
+  await WebhookService.stop();
+  await api.stop();
+  await close(receiver);
+});
+
+beforeEach(() => {
+  received = [];
+  receiverStatus = 200;
+});
+
+test('signs each delivery so the receiver can verify it with the secret', async () => {
+  const { webhook, secret } = await createWebhook();
+
+  await WebhookService.publish('event.updated', event, { changes: ['title'] });
+  const [delivery] = await waitFor(() => received.length === 1 && received);
+
+  const signature = delivery.headers[SIGNATURE_HEADER.toLowerCase()];
+  const timestamp = delivery.headers[TIMESTAMP_HEADER.toLowerCase()];
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.ok(verifySignature(secret, timestamp, delivery.body, signature));
+  assert.ok(!verifySignature(secret, timestamp, delivery.body.replace('title', 'place'), signature));
+  assert.ok(!verifySignature('another-secret', timestamp, delivery.body, signature));
+
+  const payload = JSON.parse(delivery.body);
+  assert.equal(payload.type, 'event.updated');
+  assert.equal(payload.data.event.id, event.id);
+  assert.deepEqual(payload.data.changes, ['title']);
+
+  const [logged] = await waitForDelivery(webhook, deliveries => deliveries[0]?.status === 'delivered');
+  assert.equal(logged.attempts, 1);
+  assert.equal(logged.log[0].statusCode, 200);
+
+  await deleteWebhook(webhook);
+});
+
+test('retries a failing receiver with backoff until the attempts run out', async () => {
+  const { webhook } = await createWebhook();
+  receiverStatus = 500;
+
+  await WebhookService.publish('event.updated', event, { changes: ['date'] });
+  await waitForDelivery(webhook, deliveries => deliveries[0]?.status === 'failed');
+
+  const { status, body } = await api.request('GET', `/api/webhooks/${webhook.id}/deliveries`, { token: organizer.token });
+  assert.equal(status, 200);
+  const [delivery] = body.deliveries;
+
+  assert.equal(received.length, 3);
+  assert.equal(delivery.attempts, 3);
+  assert.deepEqual(delivery.log.map(entry => entry.attempt), [1, 2, 3]);
+  assert.ok(delivery.log.every(entry => entry.statusCode === 500 && entry.error === 'Receiver responded with 500'));
+  assert.ok(delivery.log.every(entry => !('response' in entry)));
+  assert.equal(delivery.lastError, 'Receiver responded with 500');
+
+  // Every attempt posts the same payload; the wait doubles each time
+  assert.ok(received.every(({ body: posted }) => posted === received[0].body));
+  const [firstWait, secondWait] = [received[1].at - received[0].at, received[2].at - received[1].at];
+  assert.ok(firstWait >= 100, `first retry after ${firstWait}ms`);
+  assert.ok(secondWait >= 200, `second retry after ${secondWait}ms`);
+
+  await deleteWebhook(webhook);
+});
+
+test('redelivering queues a new delivery of the same payload', async () => {
+  const { webhook, secret } = await createWebhook();
+  receiverStatus = 500;
+
+  await WebhookService.publish('event.updated', event, { changes: ['location'] });
+  const [failed] = await waitForDelivery(webhook, deliveries => deliveries[0]?.status === 'failed');
+
+  receiverStatus = 200;
+  received = [];
+  const { status, body } = await api.request(
+    'POST',
+    `/api/webhooks/${webhook.id}/deliveries/${failed.id}/redeliver`,
+    { token: organizer.token }
+  );
+  assert.equal(status, 202);
+  assert.notEqual(body.delivery.id, failed.id);
+  assert.equal(body.delivery.redeliveryOf, failed.id);
+
+  const deliveries = await waitForDelivery(
+    webhook,
+    listed => listed.find(d => d.id === body.delivery.id)?.status === 'delivered'
+  );
+  assert.equal(deliveries.length, 2);
+  assert.equal(deliveries.find(d => d.id === failed.id).status, 'failed');
+
+  assert.equal(received.length, 1);
+  const [redelivered] = received;
+  assert.equal(JSON.parse(redelivered.body).id, failed.payload.id);
+  assert.equal(redelivered.headers['x-eventhub-delivery'], String(body.delivery.id));
+  assert.ok(verifySignature(
+    secret,
+    redelivered.headers[TIMESTAMP_HEADER.toLowerCase()],
+    redelivered.body,
+    redelivered.headers[SIGNATURE_HEADER.toLowerCase()]
+  ));
+
+  const missing = await api.request(
+    'POST',
+    `/api/webhooks/${webhook.id}/deliveries/9999/redeliver`,
+    { token: organizer.token }
+  );
+  assert.equal(missing.status, 404);
+
+  await deleteWebhook(webhook);
+});
+
+test('refuses private and local receivers unless they are allowed', async () => {
+  const { webhook } = await createWebhook();
+
+  process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'false';
+  try {
+    for (const url of [receiverUrl, 'http://169.254.169.254/latest/meta-data', 'http://[::1]:8080/', 'http://10.1.2.3/']) {
+      const created = await api.request('POST', '/api/webhooks', {
+        token: organizer.token,
+        body: { url, events: ['event.updated'] }
+      });
+      assert.equal(created.status, 400, url);
+      assert.equal(created.body.message, 'Webhook URL must not point to a private or local address');
+    }
+
+    const updated = await api.request('PUT', `/api/webhooks/${webhook.id}`, {
+      token: organizer.token,
+      body: { url: 'http://192.168.1.10/hooks' }
+    });
+    assert.equal(updated.status, 400);
+    assert.equal(updated.body.message, 'Webhook URL must not point to a private or local address');
+
+    // Registered while allowed, then refused at delivery time
+    await WebhookService.publish('event.updated', event, { changes: ['title'] });
+    const [refused] = await waitForDelivery(webhook, deliveries => deliveries[0]?.log.length >= 1);
+    assert.equal(refused.lastError, 'Webhook URL must not point to a private or local address');
+    assert.equal(received.length, 0);
+
+    // Before the flag is back, so no retry gets through
+    await deleteWebhook(webhook);
+  } finally {
+    process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+  }
+});
+
+test('only the owner can see or redeliver a webhook\'s deliveries', async () => {
+  const { webhook } = await createWebhook();
+  const other = await api.createUser({ role: 'organizer' });
+  const attendee = await api.createUser();
+
+  const listed = await api.request('GET', `/api/webhooks/${webhook.id}/deliveries`, { token: other.token });
+  assert.equal(listed.status, 403);
+
+  const redelivered = await api.request('POST', `/api/webhooks/${webhook.id}/deliveries/1/redeliver`, { token: other.token });
+  assert.equal(redelivered.status, 403);
+
+  const created = await api.request('POST', '/api/webhooks', {
+    token: attendee.token,
+    body: { url: receiverUrl, events: ['event.updated'] }
+  });
+  assert.equal(created.status, 403);
+
+  await deleteWebhook(webhook);
+});